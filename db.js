@@ -1,7 +1,12 @@
 const mongoose = require("mongoose");
+const { auditTrail } = require("./utils/auditTrail");
 require("dotenv").config();
 const REMOTE_DB_URL = process.env.REMOTE_DB_URL;
 
+// Audit every write made while serving a request. Must be registered
+// before any other model is compiled.
+mongoose.plugin(auditTrail);
+
 mongoose.connect(REMOTE_DB_URL);
 const db = mongoose.connection;
 
@@ -0,0 +1,221 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { getRequestContext } = require("./requestContext");
+require("dotenv").config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+// Admins must use two-factor authentication unless explicitly disabled
+const ADMIN_2FA_REQUIRED = process.env.ADMIN_2FA_REQUIRED !== "false";
+
+if (!JWT_SECRET) {
+  throw new Error("JWT_SECRET environment variable is not set");
+}
+
+// Route policies. Anything other than PUBLIC, OPTIONAL_AUTH or
+// AUTHENTICATED is treated as a role name that must match the caller's
+// userRole. OPTIONAL_AUTH lets guests through but identifies signed-in users.
+const PUBLIC = "PUBLIC";
+const OPTIONAL_AUTH = "OPTIONAL_AUTH";
+const AUTHENTICATED = "AUTHENTICATED";
+const ADMIN = "ADMIN";
+const RECRUITER = "RECRUITER";
+const ARTISAN = "ARTISAN";
+
+// Sign a short-lived access token for a user document. The token carries
+// the user's tokenVersion so bumping it revokes the token immediately.
+const signToken = (user) =>
+  jwt.sign(
+    {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      userRole: user.userRole,
+      ver: user.tokenVersion || 0,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+// Sign the short-lived token returned by /login when a second factor is
+// still needed. It can only be exchanged at /login/2fa.
+const signTwoFactorChallenge = (user) =>
+  jwt.sign(
+    { id: user._id, ver: user.tokenVersion || 0, purpose: "2fa" },
+    JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+
+// Resolve a challenge token to its payload, or null when invalid/expired
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Authentication Middleware
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith("Bearer ")) {
+    return res.status(401).json({ message: "No token provided" });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.split(" ")[1], JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ message: "Invalid or expired token" });
+  }
+
+  if (decoded.purpose) {
+    return res.status(401).json({ message: "Invalid or expired token" });
+  }
+
+  try {
+    // Claims are only trusted for identity; role and revocation state are
+    // always read from the database
+    const user = await User.findById(decoded.id).select(
+      "username email userRole companies isVerified twoFactor.enabled tokenVersion"
+    );
+    if (!user || (user.tokenVersion || 0) !== decoded.ver) {
+      return res.status(401).json({ message: "Session has been revoked" });
+    }
+
+    req.user = {
+      id: user._id.toString(),
+      username: user.username,
+      email: user.email,
+      userRole: user.userRole,
+      isVerified: user.isVerified,
+      companies: (user.companies || []).map((id) => id.toString()),
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+    };
+
+    // Attribute writes made by this request in the audit log
+    const context = getRequestContext();
+    if (context) {
+      context.actor = {
+        id: user._id,
+        username: user.username,
+        userRole: user.userRole,
+      };
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: "Error authenticating request",
+      error: error.message,
+    });
+  }
+};
+
+// Like authenticateToken, but requests without a token continue as guests
+// with req.user unset. A token that is sent must still be valid.
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+};
+
+// Role Authorization Middleware
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user?.userRole)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    if (
+      ADMIN_2FA_REQUIRED &&
+      req.user.userRole === ADMIN &&
+      !req.user.twoFactorEnabled
+    ) {
+      return res.status(403).json({
+        message: "Enable two-factor authentication to use admin features",
+        twoFactorSetupRequired: true,
+      });
+    }
+    next();
+  };
+
+// Email Verification Middleware (use after authenticateToken)
+const requireVerified = (req, res, next) => {
+  if (!req.user?.isVerified) {
+    return res
+      .status(403)
+      .json({ message: "Please verify your email address first" });
+  }
+  next();
+};
+
+// Declarative route policy, e.g. authorize(PUBLIC), authorize(AUTHENTICATED)
+// or authorize(ADMIN). Returns a middleware chain usable in any route.
+const authorize = (...policies) => {
+  if (!policies.length) {
+    throw new Error("authorize() requires at least one policy");
+  }
+
+  if (policies.includes(PUBLIC)) {
+    return [];
+  }
+
+  if (policies.includes(OPTIONAL_AUTH)) {
+    return [optionalAuthenticate];
+  }
+
+  if (policies.includes(AUTHENTICATED)) {
+    return [authenticateToken];
+  }
+
+  return [authenticateToken, requireRole(...policies)];
+};
+
+// True when the caller is an admin or the given username is their own
+const isSelfOrAdmin = (user, username) =>
+  user?.userRole === ADMIN || user?.username === username;
+
+// True when the caller is an admin or the record (an order or a return
+// request) belongs to their account. Usernames are not compared: they can
+// change and are not unique in the database.
+const isOwnerOrAdmin = (user, record) =>
+  user?.userRole === ADMIN ||
+  (!!user && !!record.user && record.user.toString() === user.id);
+
+// True when the caller may manage jobs and applicants of the company
+const canManageCompany = (user, companyId) =>
+  user?.userRole === ADMIN ||
+  (user?.userRole === RECRUITER &&
+    !!companyId &&
+    user.companies.includes(companyId.toString()));
+
+// True when the caller may edit the product, its stock or delete it
+const canManageProduct = (user, product) =>
+  user?.userRole === ADMIN ||
+  (user?.userRole === ARTISAN &&
+    !!product.owner &&
+    product.owner.toString() === user.id);
+
+module.exports = {
+  PUBLIC,
+  OPTIONAL_AUTH,
+  AUTHENTICATED,
+  ADMIN,
+  RECRUITER,
+  ARTISAN,
+  signToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  authenticateToken,
+  optionalAuthenticate,
+  requireRole,
+  requireVerified,
+  authorize,
+  isSelfOrAdmin,
+  isOwnerOrAdmin,
+  canManageCompany,
+  canManageProduct,
+};
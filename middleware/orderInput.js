@@ -0,0 +1,175 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+
+// Fill in customer details and the shipping address from the caller's
+// profile. A saved address can be picked with addressId; without one the
+// default address is used unless an address is sent in the body.
+const applyProfileDefaults = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    let savedAddress;
+    if (req.body.addressId) {
+      savedAddress = user.addresses.id(req.body.addressId);
+      if (!savedAddress) {
+        return res.status(400).json({ message: "Saved address not found" });
+      }
+    } else if (!req.body.address) {
+      savedAddress = user.addresses.find((address) => address.isDefault);
+    }
+
+    // Copy the fields so the order keeps a snapshot of the address
+    if (savedAddress) {
+      const { street, city, state, postalCode, country } = savedAddress;
+      req.body.address = { street, city, state, postalCode, country };
+    }
+
+    req.body.fullName =
+      req.body.fullName || savedAddress?.fullName || user.fullName;
+    req.body.phone = req.body.phone || savedAddress?.phone || user.phone;
+    req.body.email = req.body.email || user.email;
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: "Error loading profile",
+      error: error.message,
+    });
+  }
+};
+
+// Items need a product and a positive whole quantity; a negative one would
+// put stock back instead of taking it
+const hasInvalidItem = (items) =>
+  items.some(
+    (item) =>
+      !mongoose.Types.ObjectId.isValid(item?._id) ||
+      !Number.isInteger(item.quantity) ||
+      item.quantity < 1
+  );
+
+// Coupon codes are optional
+const isInvalidCouponCode = (couponCode) =>
+  couponCode !== undefined &&
+  (typeof couponCode !== "string" || !couponCode.trim());
+
+// A quote needs the items and where they ship to
+const validateQuoteInput = (req, res, next) => {
+  const { items, address, paymentMethod, couponCode } = req.body;
+
+  if (!Array.isArray(items) || !items.length) {
+    return res.status(400).json({
+      message: "Quote must contain at least one item",
+    });
+  }
+
+  if (hasInvalidItem(items)) {
+    return res.status(400).json({
+      message: "Every item needs a valid product and a positive quantity",
+    });
+  }
+
+  if (typeof address?.postalCode !== "string" || !address.postalCode.trim()) {
+    return res.status(400).json({
+      message: "Shipping postal code is required",
+    });
+  }
+
+  if (
+    paymentMethod !== undefined &&
+    !["Online", "COD"].includes(paymentMethod)
+  ) {
+    return res.status(400).json({
+      message: "Invalid payment method",
+    });
+  }
+
+  if (isInvalidCouponCode(couponCode)) {
+    return res.status(400).json({
+      message: "Invalid coupon code",
+    });
+  }
+
+  next();
+};
+
+// Input validation middleware
+const validateOrderInput = (req, res, next) => {
+  const { fullName, email, phone, items, totalAmount, address, paymentMethod } =
+    req.body;
+
+  if (!fullName?.trim() || !email?.trim() || !phone?.trim()) {
+    return res.status(400).json({
+      message: "Customer information is incomplete",
+    });
+  }
+
+  if (!items?.length) {
+    return res.status(400).json({
+      message: "Order must contain at least one item",
+    });
+  }
+
+  if (hasInvalidItem(items)) {
+    return res.status(400).json({
+      message: "Every item needs a valid product and a positive quantity",
+    });
+  }
+
+  if (!totalAmount || totalAmount <= 0) {
+    return res.status(400).json({
+      message: "Invalid total amount",
+    });
+  }
+
+  if (
+    !address?.street ||
+    !address?.city ||
+    !address?.state ||
+    !address?.postalCode
+  ) {
+    return res.status(400).json({
+      message: "Shipping address is incomplete",
+    });
+  }
+
+  if (!["Online", "COD"].includes(paymentMethod)) {
+    return res.status(400).json({
+      message: "Invalid payment method",
+    });
+  }
+
+  if (isInvalidCouponCode(req.body.couponCode)) {
+    return res.status(400).json({
+      message: "Invalid coupon code",
+    });
+  }
+
+  // Basic email validation
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    return res.status(400).json({
+      message: "Invalid email format",
+    });
+  }
+
+  // Basic phone validation
+  const phoneRegex = /^\+?[\d\s-()]{8,}$/;
+  if (!phoneRegex.test(phone)) {
+    return res.status(400).json({
+      message: "Invalid phone number format",
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  applyProfileDefaults,
+  hasInvalidItem,
+  validateQuoteInput,
+  validateOrderInput,
+};
@@ -0,0 +1,19 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+// Keep per-request details (who is calling, which route) reachable from
+// code that never sees req, such as Mongoose middleware
+const requestContext = (req, res, next) => {
+  storage.run({ req, actor: null }, next);
+};
+
+// Context of the request being handled, or undefined outside of one
+const getRequestContext = () => storage.getStore();
+
+// Run `fn` with `details` added to the current context, e.g. { audit: false }
+// to keep its writes out of the audit log
+const withRequestContext = (details, fn) =>
+  storage.run({ ...storage.getStore(), ...details }, fn);
+
+module.exports = { requestContext, getRequestContext, withRequestContext };
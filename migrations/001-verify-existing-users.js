@@ -0,0 +1,21 @@
+// Accounts created before email verification existed never received a
+// verification link. Mark them as verified so they can keep ordering.
+//
+// Usage: node migrations/001-verify-existing-users.js
+const db = require("../db");
+const User = require("../models/User");
+
+const run = async () => {
+  const result = await User.updateMany(
+    { isVerified: { $exists: false } },
+    { $set: { isVerified: true } }
+  );
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,72 @@
+// Products and product donations used to store their category as one of
+// seven hard-coded names. Create a Category document for every name in use
+// and point the records at it. Safe to run again, e.g. after importing the
+// files in sampledata/.
+//
+// Usage: node migrations/002-product-categories.js
+const db = require("../db");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const DonateProduct = require("../models/DonateProduct");
+
+const DEFAULT_CATEGORIES = [
+  "Frames",
+  "Wall Hanging",
+  "Bag",
+  "Pen Stand",
+  "Jewellery",
+  "Diyas",
+  "Bottle Art",
+];
+
+const findOrCreateCategory = async (name, sortOrder) => {
+  const existing = await Category.findOne({ name });
+  if (existing) return existing;
+
+  return Category.create({ name, sortOrder });
+};
+
+// Replace string categories in a collection with Category ids. Uses the
+// raw collection because the schema now only accepts ObjectIds.
+const migrateCollection = async (Model, categoriesByName) => {
+  const names = await Model.collection.distinct("category", {
+    category: { $type: "string" },
+  });
+
+  let migrated = 0;
+  for (const name of names) {
+    if (!categoriesByName.has(name)) {
+      const category = await findOrCreateCategory(name, categoriesByName.size);
+      categoriesByName.set(name, category);
+    }
+
+    const result = await Model.collection.updateMany(
+      { category: name },
+      { $set: { category: categoriesByName.get(name)._id } }
+    );
+    migrated += result.modifiedCount;
+  }
+  return migrated;
+};
+
+const run = async () => {
+  const categoriesByName = new Map();
+  for (const [index, name] of DEFAULT_CATEGORIES.entries()) {
+    categoriesByName.set(name, await findOrCreateCategory(name, index));
+  }
+
+  const products = await migrateCollection(Product, categoriesByName);
+  const donations = await migrateCollection(DonateProduct, categoriesByName);
+
+  console.log(
+    `Categories: ${categoriesByName.size}, products migrated: ${products}, ` +
+      `donations migrated: ${donations}`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,31 @@
+// Stock that existed before the stock movement ledger has no movements
+// explaining it. Record it as an opening balance so the ledger of every
+// product adds up to its current stock.
+//
+// Usage: node migrations/003-stock-opening-balances.js
+const db = require("../db");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const { recordStockChanges } = require("../utils/inventory");
+
+const run = async () => {
+  let recorded = 0;
+
+  for await (const product of Product.find()) {
+    if (await StockMovement.exists({ product: product._id })) continue;
+
+    await recordStockChanges(product, new Map(), {
+      reason: "opening_balance",
+    });
+    recorded += 1;
+  }
+
+  console.log(`Recorded opening balances for ${recorded} products`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,50 @@
+// Orders placed before the status history only know their current status.
+// Give them a history of being placed and, when they have moved on since,
+// of reaching their current status at their last update. Safe to run again.
+//
+// Usage: node migrations/004-order-status-history.js
+const db = require("../db");
+const Order = require("../models/Order");
+
+const MIGRATION_NOTE = "Recorded before status history was kept";
+
+const run = async () => {
+  const placed = {
+    status: "Pending",
+    at: "$orderDate",
+    note: MIGRATION_NOTE,
+  };
+  const current = {
+    status: "$status",
+    at: { $ifNull: ["$updatedAt", "$orderDate"] },
+    note: MIGRATION_NOTE,
+  };
+
+  const result = await Order.updateMany(
+    { "statusHistory.0": { $exists: false } },
+    [
+      {
+        $set: {
+          statusHistory: {
+            $cond: [
+              { $eq: ["$status", "Pending"] },
+              [placed],
+              [placed, current],
+            ],
+          },
+        },
+      },
+    ],
+    // Keep updatedAt as the time the order last really changed
+    { timestamps: false }
+  );
+
+  console.log(`Added status history to ${result.modifiedCount} orders`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
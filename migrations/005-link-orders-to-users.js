@@ -0,0 +1,50 @@
+// Orders placed before they were linked to accounts only carry the
+// username, and customers can only see orders linked to their account.
+// Link them to the account that has the username. Usernames held by more
+// than one account are left for an admin to sort out, as are the ones of
+// erased accounts. Safe to run again.
+//
+// Usage: node migrations/005-link-orders-to-users.js
+const db = require("../db");
+const Order = require("../models/Order");
+const User = require("../models/User");
+
+const run = async () => {
+  const usernames = await Order.distinct("username", { user: null });
+  let linked = 0;
+  const skipped = [];
+
+  for (const username of usernames) {
+    if (username.startsWith("deleted-")) continue;
+
+    const users = await User.find({ username }).select("_id").limit(2);
+    if (users.length !== 1) {
+      skipped.push(username);
+      continue;
+    }
+
+    const result = await Order.updateMany(
+      { user: null, username },
+      { $set: { user: users[0]._id } },
+      // Keep updatedAt as the time the order last really changed
+      { timestamps: false }
+    );
+    linked += result.modifiedCount;
+  }
+
+  console.log(`Linked ${linked} orders to their accounts`);
+  if (skipped.length) {
+    console.log(
+      `Left orders of usernames without exactly one account: ${skipped.join(
+        ", "
+      )}`
+    );
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { getRequestContext } = require("../middleware/requestContext");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      username: { type: String },
+      userRole: { type: String },
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete"],
+      required: true,
+    },
+    method: { type: String },
+    route: { type: String },
+    path: { type: String },
+    ip: { type: String },
+    targetModel: { type: String, required: true },
+    targetId: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+    // { field: { from, to } } for every top-level field that changed
+    changes: { type: mongoose.Schema.Types.Mixed },
+    // Set when the snapshots were dropped because the user they are about
+    // asked for their personal data to be erased
+    erasedAt: { type: Date },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    audit: false,
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ "actor.id": 1, createdAt: -1 });
+
+// Entries are append-only: reject every kind of update or delete, except
+// for anonymising them during a personal data erasure
+const rejectChange = function () {
+  if (getRequestContext()?.erasingPersonalData) return;
+  throw new Error("Audit log entries cannot be modified or deleted");
+};
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  variantId: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  // Stock taken off the shelf for this line until holdExpiresAt
+  heldQuantity: { type: Number, default: 0 },
+  holdExpiresAt: { type: Date },
+});
+
+// A signed-in user's cart, or a guest cart identified by a cart token
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      unique: true,
+      sparse: true,
+    },
+    // SHA-256 of the guest's cart token; the raw value is never stored
+    guestTokenHash: { type: String, unique: true, sparse: true },
+    items: [cartItemSchema],
+    // Guest carts are dropped after a period without changes
+    expiresAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    // Carts change on every click; orders record what was bought
+    audit: false,
+  }
+);
+
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ "items.holdExpiresAt": 1 });
+
+module.exports = mongoose.model("Cart", cartSchema);
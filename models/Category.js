@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Lower-case, dash separated version of a name for use in URLs
+const slugify = (value) =>
+  value
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    slug: { type: String, required: true, unique: true },
+    description: { type: String },
+    image: { type: String },
+    sortOrder: { type: Number, default: 0 },
+    // Default low-stock threshold for products in this category
+    reorderThreshold: { type: Number, min: 0 },
+    // Tax classification printed on invoices for products in this category
+    hsnCode: { type: String, trim: true },
+    gstRate: { type: Number, min: 0, max: 28 },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+categorySchema.pre("validate", function () {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+});
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -1,9 +1,16 @@
 const mongoose = require("mongoose");
+const { imageSchema, removeImagesOnDelete } = require("../utils/images");
 
 const companySchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: { type: String, required: true },
+  // URL of the logo; kept in step with an uploaded logo
   image: { type: String },
+  logo: { type: imageSchema },
 });
 
+removeImagesOnDelete(companySchema, (company) =>
+  company.logo ? [company.logo] : []
+);
+
 module.exports = mongoose.model("Company", companySchema);
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Named sequences, e.g. invoice numbers per financial year
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    seq: { type: Number, default: 0 },
+    // Numbers drawn but never used, handed out again before new ones so
+    // the series has no gaps
+    released: [{ type: Number }],
+  },
+  {
+    audit: false,
+  }
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
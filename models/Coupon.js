@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// A promo code customers enter at checkout, e.g. "DIWALI20". Products and
+// categories restrict which items it discounts; without any it covers the
+// whole cart.
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: { type: String },
+    // Percent off the eligible items, or a flat amount off them
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    discountValue: { type: Number, required: true, min: 0 },
+    // Cap on what a percentage coupon takes off one order
+    maxDiscount: { type: Number, min: 0 },
+    // Cart value after offers the order must reach
+    minCartValue: { type: Number, min: 0, default: 0 },
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    // Redemptions allowed in total and per customer; empty means no limit
+    usageLimit: { type: Number, min: 1 },
+    perUserLimit: { type: Number, min: 1 },
+    // Orders placed with the coupon and not cancelled
+    usedCount: { type: Number, default: 0, min: 0 },
+    // Either end of the validity window may be left open
+    startsAt: { type: Date },
+    endsAt: { type: Date },
+    // Only for customers without any earlier order
+    firstOrderOnly: { type: Boolean, default: false },
+    enabled: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Coupon", couponSchema);
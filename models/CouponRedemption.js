@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// A customer's use of a coupon with a per-customer rule, kept while the
+// order it was used on isn't cancelled. The unique indexes let only one
+// order take each of a customer's allowed uses, however many are placed
+// at once.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    // Which of the coupon's perUserLimit uses this is, from 1
+    slot: { type: Number, min: 1 },
+    // Set for first-order-only coupons: a customer has one first order
+    firstOrder: { type: Boolean },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+couponRedemptionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { firstOrder: true } }
+);
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
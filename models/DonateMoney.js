@@ -4,7 +4,9 @@ const donateMoneySchema = new mongoose.Schema({
   name: { type: String, required: true },
   phone: { type: String, required: true },
   amount: { type: Number, required: true },
-  date: { type: Date, default: Date.now }
+  date: { type: Date, default: Date.now },
+  // Donor's account when they were signed in
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }
 });
 
 module.exports = mongoose.model('DonateMoney', donateMoneySchema);
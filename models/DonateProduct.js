@@ -4,20 +4,20 @@ const donateProductSchema = new mongoose.Schema({
   name: { type: String, required: true },
   phone: { type: String, required: true },
   category: {
-    type: String,
-    enum: [
-      "Frames",
-      "Wall Hanging",
-      "Bag",
-      "Pen Stand",
-      "Jewellery",
-      "Diyas",
-      "Bottle Art",
-    ],
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
     required: true,
   },
   quantity: { type: Number, required: true },
   date: { type: Date, default: Date.now },
+  // Donor's account when they were signed in
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  // Set once the donated items are taken into product stock
+  receivedAt: { type: Date, default: null },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  receivedProduct: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+  receivedVariantId: { type: String },
+  receivedQuantity: { type: Number },
 });
 
 module.exports = mongoose.model("DonateProduct", donateProductSchema);
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+const partyAddressSchema = {
+  street: { type: String },
+  city: { type: String },
+  state: { type: String },
+  postalCode: { type: String },
+  country: { type: String },
+};
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    product: { type: String },
+    description: { type: String, required: true },
+    sku: { type: String },
+    hsnCode: { type: String },
+    quantity: { type: Number, required: true },
+    // As charged on the order, so including GST unless it was added on top
+    unitPrice: { type: Number, required: true },
+    grossAmount: { type: Number, required: true },
+    discountPercent: { type: Number, default: 0 },
+    discountAmount: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+    gstRate: { type: Number, required: true },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// A tax invoice exactly as it was issued for an order
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: { type: String, required: true, unique: true },
+    financialYear: { type: String, required: true },
+    sequence: { type: Number, required: true },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    issuedAt: { type: Date, required: true },
+    seller: {
+      name: { type: String },
+      gstin: { type: String },
+      address: { type: String },
+      state: { type: String },
+    },
+    buyer: {
+      name: { type: String },
+      email: { type: String },
+      phone: { type: String },
+      address: partyAddressSchema,
+    },
+    placeOfSupply: { type: String },
+    // CGST + SGST within the seller's state, IGST across states
+    supplyType: {
+      type: String,
+      enum: ["intra-state", "inter-state"],
+      required: true,
+    },
+    paymentMethod: { type: String },
+    lines: [invoiceLineSchema],
+    totals: {
+      grossAmount: { type: Number },
+      discountAmount: { type: Number },
+      taxableValue: { type: Number },
+      cgst: { type: Number },
+      sgst: { type: Number },
+      igst: { type: Number },
+      totalTax: { type: Number },
+      total: { type: Number },
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+invoiceSchema.index({ financialYear: 1, sequence: 1 });
+
+// Issued invoices are final: reject every kind of update or delete
+const rejectChange = function () {
+  throw new Error("Issued invoices cannot be modified or deleted");
+};
+
+invoiceSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+invoiceSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Failed login counter for one account ("account:<email>") or one client
+// address ("ip:<address>")
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    lastFailureAt: { type: Date, default: Date.now },
+  },
+  {
+    audit: false,
+  }
+);
+
+// Forget counters a day after the last failure
+loginAttemptSchema.index({ lastFailureAt: 1 }, { expireAfterSeconds: 86400 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Entry in the admin notification feed
+const notificationSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["low_stock"], required: true },
+    title: { type: String, required: true },
+    message: { type: String, required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+    // Type specific details, e.g. stock level and reorder suggestion
+    data: { type: mongoose.Schema.Types.Mixed },
+    // Admins who have read the notification
+    readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    // Generated by the system; writes are not user actions
+    audit: false,
+  }
+);
+
+notificationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -1,7 +1,26 @@
 const mongoose = require("mongoose");
 
+// One step of an order's progress; the first entry is the order being placed
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      username: { type: String },
+      userRole: { type: String },
+    },
+    note: { type: String },
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     username: {
       type: String,
       required: true,
@@ -26,12 +45,49 @@ const orderSchema = new mongoose.Schema(
         quantity: Number,
         image: String,
         offer: Number,
+        // The sale campaign the offer came from, if any
+        saleCampaign: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "SaleCampaign",
+        },
+        // Set when the product is sold in variants
+        variantId: String,
+        sku: String,
+        attributes: { type: Map, of: String },
+        // Tax class the item was priced with
+        hsnCode: String,
+        gstRate: Number,
+        // This item's share of the coupon discount
+        couponDiscount: Number,
       },
     ],
     totalAmount: {
       type: Number,
       required: true,
     },
+    // How the checkout pricing engine arrived at totalAmount; charges are
+    // before any GST added on top
+    pricing: {
+      subtotal: Number,
+      discount: Number,
+      couponDiscount: Number,
+      shippingZone: String,
+      shippingCharge: Number,
+      codFee: Number,
+      tax: Number,
+      taxIncluded: Boolean,
+    },
+    // The coupon redeemed on the order
+    coupon: {
+      coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      code: String,
+      discount: Number,
+    },
+    // Sum of the refunds of its return requests
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
     address: {
       street: {
         type: String,
@@ -61,9 +117,18 @@ const orderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["Pending", "Processing", "Shipped", "Delivered", "Cancelled"],
+      enum: [
+        "Pending",
+        "Processing",
+        "Shipped",
+        "Delivered",
+        "Cancelled",
+        "Returned",
+        "Refunded",
+      ],
       default: "Pending",
     },
+    statusHistory: [statusHistorySchema],
     orderDate: {
       type: Date,
       default: Date.now,
@@ -74,9 +139,22 @@ const orderSchema = new mongoose.Schema(
     trackingNumber: {
       type: String,
     },
+    // Issued once the order ships
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+    // When issuing the invoice started; see utils/invoices
+    invoiceClaimedAt: {
+      type: Date,
+    },
     notes: {
       type: String,
     },
+    // Held while a return request for the order is being submitted
+    returnLockedUntil: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -84,5 +162,6 @@ const orderSchema = new mongoose.Schema(
 );
 
 orderSchema.index({ username: 1, orderDate: -1 });
+orderSchema.index({ user: 1, orderDate: -1 });
 
 module.exports = mongoose.model("Order", orderSchema);
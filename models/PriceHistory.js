@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// Append-only record of what a product cost and which offer applied
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Set when a variant's own price changed
+    variantId: { type: String },
+    reason: {
+      type: String,
+      enum: ["product_created", "price_changed", "offer_changed", "campaign"],
+      required: true,
+    },
+    price: { type: Number, required: true },
+    // The product's own offer and the one customers actually get
+    offer: { type: Number, default: 0 },
+    effectiveOffer: { type: Number, default: 0 },
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: "SaleCampaign" },
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      username: { type: String },
+      userRole: { type: String },
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    audit: false,
+  }
+);
+
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+// Entries are append-only: reject every kind of update or delete
+const rejectChange = function () {
+  throw new Error("Price history entries cannot be modified or deleted");
+};
+
+priceHistorySchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+priceHistorySchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+module.exports = mongoose.model("PriceHistory", priceHistorySchema);
@@ -1,29 +1,81 @@
 const mongoose = require("mongoose");
+const { imageSchema, removeImagesOnDelete } = require("../utils/images");
+
+// A purchasable option of a product such as a colour or size. Price and
+// images fall back to the parent product when left empty.
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  attributes: { type: Map, of: String, default: {} },
+  price: { type: Number, min: 0 },
+  quantity: { type: Number, required: true, min: 0 },
+  images: [{ type: String }],
+  // Shipping weight in grams when it differs from the product's
+  weight: { type: Number, min: 0 },
+  status: {
+    type: String,
+    enum: ["Available", "Not Available"],
+    default: "Available",
+  },
+});
 
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
+  description: { type: String },
+  // For products with variants this is the total stock of all variants
   quantity: { type: Number, required: true },
   price: { type: Number, required: true },
+  // Shipping weight in grams, used for weight-based shipping rates
+  weight: { type: Number, min: 0 },
+  // URL of the main image; the first uploaded image once there are any
   image: { type: String },
+  // Uploaded images in display order
+  images: [imageSchema],
   status: {
     type: String,
     enum: ["Available", "Not Available"],
     required: true,
   },
   category: {
-    type: String,
-    enum: [
-      "Frames",
-      "Wall Hanging",
-      "Bag",
-      "Pen Stand",
-      "Jewellery",
-      "Diyas",
-      "Bottle Art",
-    ],
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
     required: true,
   },
   offer: { type: Number, default: 0 },
+  // ARTISAN who manages this product; unset for store-owned products
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  variants: [variantSchema],
+  // Alert admins when stock drops to this level; falls back to the
+  // category's threshold when unset
+  reorderThreshold: { type: Number, min: 0 },
+  // Archived products are hidden from the catalog but kept for past orders
+  archivedAt: { type: Date, default: null, index: true },
+  archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Aggregated from published reviews
+  ratingAverage: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
 });
 
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+
+productSchema.pre("validate", function (next) {
+  if (!this.variants.length) return next();
+
+  const skus = this.variants.map((variant) => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate("variants", "Variant SKUs must be unique");
+  }
+
+  // Stock of saved products only changes through the conditional updates in
+  // utils/inventory, so a save of a stale document can't rewrite the total
+  if (this.isNew) {
+    this.quantity = this.variants.reduce(
+      (sum, variant) => sum + variant.quantity,
+      0
+    );
+  }
+  next();
+});
+
+removeImagesOnDelete(productSchema, (product) => product.images || []);
+
 module.exports = mongoose.model("Product", productSchema);
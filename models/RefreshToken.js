@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the token handed to the client; the raw value is never stored
+    tokenHash: { type: String, required: true, unique: true },
+    // All tokens produced by rotating one login share a family
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    replacedBy: { type: String },
+    createdByIp: { type: String },
+    userAgent: { type: String },
+  },
+  {
+    timestamps: true,
+    audit: false,
+  }
+);
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
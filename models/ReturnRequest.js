@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const { imageSchema, removeImagesOnDelete } = require("../utils/images");
+
+const returnItemSchema = new mongoose.Schema({
+  // The order item: product id, plus the variant for products with variants
+  product: { type: String, required: true },
+  variantId: { type: String },
+  name: { type: String },
+  sku: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  // What the customer paid per unit, after the offer and any coupon
+  unitPrice: { type: Number, required: true },
+  // Exchanges can swap to another variant at the same price
+  exchangeVariantId: { type: String },
+  // Filled in when the goods come back
+  receivedQuantity: { type: Number, min: 0 },
+  sellableQuantity: { type: Number, min: 0 },
+  restockedQuantity: { type: Number, min: 0 },
+});
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      username: { type: String },
+      userRole: { type: String },
+    },
+    note: { type: String },
+  },
+  { _id: false }
+);
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    username: { type: String, required: true },
+    type: { type: String, enum: ["return", "exchange"], required: true },
+    items: [returnItemSchema],
+    reason: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    photos: [imageSchema],
+    status: {
+      type: String,
+      enum: [
+        "Requested",
+        "Approved",
+        "Rejected",
+        "Cancelled",
+        "Received",
+        "Refunded",
+        "Exchanged",
+      ],
+      default: "Requested",
+    },
+    statusHistory: [statusHistorySchema],
+    // Logged against the order's payment method
+    refund: {
+      amount: { type: Number, min: 0 },
+      method: { type: String, enum: ["Online", "COD"] },
+      reference: { type: String },
+      refundedAt: { type: Date },
+      refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+removeImagesOnDelete(returnRequestSchema, (request) => request.photos || []);
+
+module.exports = mongoose.model("ReturnRequest", returnRequestSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+const { imageSchema, removeImagesOnDelete } = require("../utils/images");
+
+const flagSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, required: true },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: { type: String, required: true },
+    // The delivered order that makes this a verified purchase
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    title: { type: String, trim: true },
+    text: { type: String, required: true, trim: true },
+    photos: [imageSchema],
+    // Hidden reviews are left out of listings and product ratings
+    status: {
+      type: String,
+      enum: ["Published", "Hidden"],
+      default: "Published",
+    },
+    flags: [flagSchema],
+    moderationNote: { type: String },
+    helpfulVoters: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    helpfulCount: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One review per customer and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+removeImagesOnDelete(reviewSchema, (review) => review.photos || []);
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A time-boxed discount on selected products and/or categories (including
+// their sub-categories). Active while enabled and startsAt <= now < endsAt.
+const saleCampaignSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    // Percent off, or an amount off the unit price for fixed discounts
+    discountValue: { type: Number, required: true, min: 0 },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    // Lets admins pause a campaign without changing its dates
+    enabled: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+saleCampaignSchema.index({ startsAt: 1, endsAt: 1 });
+// The scheduled offer check looks campaigns up by when they ended
+saleCampaignSchema.index({ endsAt: 1 });
+
+module.exports = mongoose.model("SaleCampaign", saleCampaignSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Shipping rates for the postal codes starting with one of the prefixes.
+// The longest matching prefix wins; the default zone covers the rest.
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    postalCodePrefixes: [{ type: String, trim: true }],
+    isDefault: { type: Boolean, default: false },
+    // Rates go by parcel weight in grams or by number of units
+    basis: { type: String, enum: ["weight", "quantity"], default: "weight" },
+    // Charge for parcels up to each limit, e.g. 500 g for 40, 1000 g for 60
+    rates: [
+      {
+        _id: false,
+        upTo: { type: Number, required: true, min: 0 },
+        charge: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Beyond the highest limit, extraCharge is added per extraStep started
+    extraStep: { type: Number, min: 0 },
+    extraCharge: { type: Number, min: 0 },
+    // Orders worth at least this much (after offers) ship free
+    freeShippingThreshold: { type: Number, min: 0 },
+    enabled: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("ShippingZone", shippingZoneSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Why stock changed
+const MOVEMENT_REASONS = [
+  "opening_balance",
+  "initial_stock",
+  "manual_adjustment",
+  "order",
+  "order_failed",
+  "order_cancelled",
+  "cart_hold",
+  "cart_hold_released",
+  "donation",
+  "variant_removed",
+  "reconciliation",
+  "customer_return",
+  "exchange",
+];
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Set for products sold in variants
+    variantId: { type: String },
+    sku: { type: String },
+    reason: { type: String, enum: MOVEMENT_REASONS, required: true },
+    delta: { type: Number, required: true },
+    // Stock of the product (all variants) and of the variant afterwards
+    resultingQuantity: { type: Number, required: true },
+    resultingVariantQuantity: { type: Number },
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      username: { type: String },
+      userRole: { type: String },
+    },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    donation: { type: mongoose.Schema.Types.ObjectId, ref: "DonateProduct" },
+    note: { type: String },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    audit: false,
+  }
+);
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+// Movements are append-only: reject every kind of update or delete
+const rejectChange = function () {
+  throw new Error("Stock movements cannot be modified or deleted");
+};
+
+stockMovementSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+stockMovementSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
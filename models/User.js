@@ -1,15 +1,45 @@
 const mongoose = require("mongoose");
 
+const addressSchema = new mongoose.Schema({
+  label: { type: String, default: "Home" },
+  fullName: { type: String },
+  phone: { type: String },
+  street: { type: String, required: true },
+  city: { type: String, required: true },
+  state: { type: String, required: true },
+  postalCode: { type: String, required: true },
+  country: { type: String, default: "India" },
+  isDefault: { type: Boolean, default: false },
+});
+
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  fullName: { type: String },
+  phone: { type: String },
+  addresses: [addressSchema],
   userRole: {
     type: String,
-    enum: ["NORMAL", "ADMIN"],
+    enum: ["NORMAL", "ADMIN", "RECRUITER", "ARTISAN"],
     default: "NORMAL",
     required: true,
   },
+  // Companies a RECRUITER may manage jobs and applicants for
+  companies: [{ type: mongoose.Schema.Types.ObjectId, ref: "Company" }],
+  isVerified: { type: Boolean, default: false },
+  // TOTP second factor; secrets are never returned unless selected
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: { type: [String], select: false },
+    // Last accepted time step, so a code can't be used twice
+    lastUsedStep: { type: Number, select: false },
+  },
+  // Bumped to invalidate every access token issued before the change
+  tokenVersion: { type: Number, default: 0 },
 });
 
 module.exports = mongoose.model("User", userSchema);
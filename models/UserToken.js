@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens mailed to users (email verification, password reset)
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["EMAIL_VERIFICATION", "PASSWORD_RESET"],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    audit: false,
+  }
+);
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
@@ -2,6 +2,13 @@ const express = require("express");
 const router = express.Router();
 const Applicant = require("../models/Applicant");
 const mongoose = require("mongoose");
+const {
+  PUBLIC,
+  ADMIN,
+  RECRUITER,
+  authorize,
+  canManageCompany,
+} = require("../middleware/auth");
 
 // Input validation middleware
 const validateApplicantInput = (req, res, next) => {
@@ -33,46 +40,51 @@ const validateApplicantInput = (req, res, next) => {
 };
 
 // Create a new applicant
-router.post("/", validateApplicantInput, async (req, res) => {
-  try {
-    // Validate ObjectIds
-    if (
-      !mongoose.Types.ObjectId.isValid(req.body.companyId) ||
-      !mongoose.Types.ObjectId.isValid(req.body.jobId)
-    ) {
-      return res.status(400).json({
-        message: "Invalid company ID or job ID format",
+router.post(
+  "/",
+  authorize(PUBLIC),
+  validateApplicantInput,
+  async (req, res) => {
+    try {
+      // Validate ObjectIds
+      if (
+        !mongoose.Types.ObjectId.isValid(req.body.companyId) ||
+        !mongoose.Types.ObjectId.isValid(req.body.jobId)
+      ) {
+        return res.status(400).json({
+          message: "Invalid company ID or job ID format",
+        });
+      }
+
+      const applicant = new Applicant({
+        companyId: req.body.companyId,
+        jobId: req.body.jobId,
+        name: req.body.name.trim(),
+        email: req.body.email.trim().toLowerCase(),
+        phoneNumber: req.body.phoneNumber.trim(),
       });
-    }
 
-    const applicant = new Applicant({
-      companyId: req.body.companyId,
-      jobId: req.body.jobId,
-      name: req.body.name.trim(),
-      email: req.body.email.trim().toLowerCase(),
-      phoneNumber: req.body.phoneNumber.trim(),
-    });
+      const savedApplicant = await applicant.save();
 
-    const savedApplicant = await applicant.save();
+      const populatedApplicant = await Applicant.findById(savedApplicant._id)
+        .populate("companyId", "name")
+        .populate("jobId", "title description skills jobRole");
 
-    const populatedApplicant = await Applicant.findById(savedApplicant._id)
-      .populate("companyId", "name")
-      .populate("jobId", "title description skills jobRole");
-
-    res.status(201).json({
-      message: "Application submitted successfully",
-      applicant: populatedApplicant,
-    });
-  } catch (error) {
-    res.status(400).json({
-      message: "Error submitting application",
-      error: error.message,
-    });
+      res.status(201).json({
+        message: "Application submitted successfully",
+        applicant: populatedApplicant,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error submitting application",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Get all applicants with filtering and sorting
-router.get("/", async (req, res) => {
+router.get("/", authorize(ADMIN, RECRUITER), async (req, res) => {
   try {
     const { company, job, search, sortBy = "-createdAt" } = req.query;
 
@@ -83,6 +95,14 @@ router.get("/", async (req, res) => {
       query.companyId = company;
     }
 
+    // Recruiters only ever see applicants of their own companies
+    if (req.user.userRole === RECRUITER) {
+      if (company && !canManageCompany(req.user, company)) {
+        return res.status(403).json({ message: "Access denied" });
+      }
+      query.companyId = company || { $in: req.user.companies };
+    }
+
     // Apply job filter
     if (job) {
       query.jobId = job;
@@ -115,33 +135,43 @@ router.get("/", async (req, res) => {
 });
 
 // Get applicants by company ID
-router.get("/company/:companyId", async (req, res) => {
-  try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.companyId)) {
-      return res.status(400).json({
-        message: "Invalid company ID format",
+router.get(
+  "/company/:companyId",
+  authorize(ADMIN, RECRUITER),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.companyId)) {
+        return res.status(400).json({
+          message: "Invalid company ID format",
+        });
+      }
+
+      if (!canManageCompany(req.user, req.params.companyId)) {
+        return res.status(403).json({ message: "Access denied" });
+      }
+
+      const applicants = await Applicant.find({
+        companyId: req.params.companyId,
+      })
+        .populate("companyId", "name")
+        .populate("jobId", "title description skills jobRole")
+        .sort("-createdAt");
+
+      res.json({
+        count: applicants.length,
+        applicants,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching applicants",
+        error: error.message,
       });
     }
-
-    const applicants = await Applicant.find({ companyId: req.params.companyId })
-      .populate("companyId", "name")
-      .populate("jobId", "title description skills jobRole")
-      .sort("-createdAt");
-
-    res.json({
-      count: applicants.length,
-      applicants,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: "Error fetching applicants",
-      error: error.message,
-    });
   }
-});
+);
 
 // Get applicants by job ID
-router.get("/job/:jobId", async (req, res) => {
+router.get("/job/:jobId", authorize(ADMIN, RECRUITER), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
       return res.status(400).json({
@@ -149,7 +179,12 @@ router.get("/job/:jobId", async (req, res) => {
       });
     }
 
-    const applicants = await Applicant.find({ jobId: req.params.jobId })
+    const query = { jobId: req.params.jobId };
+    if (req.user.userRole === RECRUITER) {
+      query.companyId = { $in: req.user.companies };
+    }
+
+    const applicants = await Applicant.find(query)
       .populate("companyId", "name")
       .populate("jobId", "title description skills jobRole")
       .sort("-createdAt");
@@ -167,7 +202,7 @@ router.get("/job/:jobId", async (req, res) => {
 });
 
 // Get a single applicant by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", authorize(ADMIN, RECRUITER), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
@@ -185,6 +220,15 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    if (
+      !canManageCompany(
+        req.user,
+        applicant.populated("companyId") || applicant.companyId
+      )
+    ) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     res.json(applicant);
   } catch (error) {
     res.status(500).json({
@@ -195,7 +239,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Delete an applicant
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", authorize(ADMIN), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
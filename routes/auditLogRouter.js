@@ -0,0 +1,93 @@
+const express = require("express");
+const router = express.Router();
+const AuditLog = require("../models/AuditLog");
+const mongoose = require("mongoose");
+const { ADMIN, authorize } = require("../middleware/auth");
+
+// The audit trail is read-only through the API and admin only
+router.use(authorize(ADMIN));
+
+// Get audit log entries with filtering and pagination
+router.get("/", async (req, res) => {
+  try {
+    const {
+      actor,
+      action,
+      targetModel,
+      targetId,
+      method,
+      route,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    let query = {};
+
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        return res.status(400).json({ message: "Invalid actor ID format" });
+      }
+      query["actor.id"] = actor;
+    }
+
+    if (action) query.action = action;
+    if (targetModel) query.targetModel = targetModel;
+    if (targetId) query.targetId = targetId;
+    if (method) query.method = method.toUpperCase();
+    if (route) query.route = route;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const pageSize = Math.min(Number(limit) || 20, 100);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((Number(page) - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      entries,
+      currentPage: Number(page),
+      totalPages: Math.ceil(total / pageSize),
+      totalEntries: total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching audit log",
+      error: error.message,
+    });
+  }
+});
+
+// Get a single audit log entry
+router.get("/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid audit log ID format" });
+    }
+
+    const entry = await AuditLog.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ message: "Audit log entry not found" });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching audit log entry",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
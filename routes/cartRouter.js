@@ -0,0 +1,444 @@
+const express = require("express");
+const router = express.Router();
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const mongoose = require("mongoose");
+const {
+  OPTIONAL_AUTH,
+  AUTHENTICATED,
+  authorize,
+  requireVerified,
+} = require("../middleware/auth");
+const {
+  applyProfileDefaults,
+  validateOrderInput,
+} = require("../middleware/orderInput");
+const { findVariant } = require("../utils/inventory");
+const { placeOrder } = require("../utils/orders");
+const { quoteOrder } = require("../utils/pricing");
+const {
+  CART_HOLD_MINUTES,
+  findCart,
+  saveCart,
+  setHold,
+  releaseHold,
+  releaseExpiredHolds,
+  claimHolds,
+  returnClaimedHolds,
+  priceCart,
+} = require("../utils/cart");
+const { hashToken } = require("../utils/hash");
+
+const MAX_LINES = 50;
+const MAX_QUANTITY = 100;
+
+// Priced cart in the response shape shared by all cart endpoints. New guest
+// carts also return the token to send as X-Cart-Token.
+const sendCart = async (res, cart, extra = {}) => {
+  const body = {
+    ...extra,
+    cart: cart
+      ? await priceCart(cart)
+      : { items: [], itemCount: 0, subtotal: 0, discount: 0, total: 0 },
+  };
+  res.json(body);
+};
+
+// Load the caller's cart into req.cart, starting one when `create` is set
+const loadCart =
+  ({ create = false } = {}) =>
+  async (req, res, next) => {
+    try {
+      const { cart, cartToken } = await findCart(req, { create });
+      if (cart && !cart.isNew) {
+        await releaseExpiredHolds(cart);
+      }
+
+      req.cart = cart;
+      req.cartToken = cartToken;
+      next();
+    } catch (error) {
+      res.status(500).json({
+        message: "Error loading cart",
+        error: error.message,
+      });
+    }
+  };
+
+const isValidQuantity = (quantity) =>
+  Number.isInteger(quantity) && quantity >= 1 && quantity <= MAX_QUANTITY;
+
+// Get Cart
+router.get("/", authorize(OPTIONAL_AUTH), loadCart(), async (req, res) => {
+  try {
+    await sendCart(res, req.cart);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching cart",
+      error: error.message,
+    });
+  }
+});
+
+// Add Item to Cart
+// Adding a product that is already in the cart raises its quantity
+router.post(
+  "/items",
+  authorize(OPTIONAL_AUTH),
+  loadCart({ create: true }),
+  async (req, res) => {
+    try {
+      const { product: productId, variantId, quantity = 1 } = req.body;
+      const { cart } = req;
+
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({ message: "Invalid product ID format" });
+      }
+
+      if (!isValidQuantity(quantity)) {
+        return res.status(400).json({
+          message: `Quantity must be a whole number from 1 to ${MAX_QUANTITY}`,
+        });
+      }
+
+      const product = await Product.findById(productId);
+      if (!product || product.archivedAt) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      const variant = findVariant(product, variantId);
+      if (product.variants.length && !variant) {
+        return res.status(400).json({
+          message: variantId
+            ? "Variant not found"
+            : "Please choose a variant of this product",
+        });
+      }
+
+      const existing = cart.items.find(
+        (item) =>
+          item.product.toString() === productId &&
+          (item.variantId || null) === (variant?._id.toString() || null)
+      );
+
+      if (existing) {
+        if (!isValidQuantity(existing.quantity + quantity)) {
+          return res.status(400).json({
+            message: `At most ${MAX_QUANTITY} of an item fit in the cart`,
+          });
+        }
+        existing.quantity += quantity;
+      } else {
+        if (cart.items.length >= MAX_LINES) {
+          return res
+            .status(400)
+            .json({ message: `A cart can hold at most ${MAX_LINES} items` });
+        }
+        cart.items.push({
+          product: product._id,
+          variantId: variant?._id.toString(),
+          quantity,
+        });
+      }
+
+      await saveCart(cart);
+
+      res.status(201);
+      await sendCart(
+        res,
+        cart,
+        req.cartToken ? { cartToken: req.cartToken } : {}
+      );
+    } catch (error) {
+      res.status(400).json({
+        message: "Error adding item to cart",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update Cart Item Quantity
+router.patch(
+  "/items/:itemId",
+  authorize(OPTIONAL_AUTH),
+  loadCart(),
+  async (req, res) => {
+    try {
+      const { quantity } = req.body;
+      const item = req.cart?.items.id(req.params.itemId);
+
+      if (!item) {
+        return res.status(404).json({ message: "Cart item not found" });
+      }
+
+      if (!isValidQuantity(quantity)) {
+        return res.status(400).json({
+          message: `Quantity must be a whole number from 1 to ${MAX_QUANTITY}`,
+        });
+      }
+
+      // Stock held beyond the new quantity goes back on the shelf
+      if (item.heldQuantity > quantity) {
+        await setHold(req.cart, item, quantity);
+      }
+
+      item.quantity = quantity;
+      await saveCart(req.cart);
+
+      await sendCart(res, req.cart);
+    } catch (error) {
+      res.status(400).json({
+        message: "Error updating cart item",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Remove Cart Item
+router.delete(
+  "/items/:itemId",
+  authorize(OPTIONAL_AUTH),
+  loadCart(),
+  async (req, res) => {
+    try {
+      const item = req.cart?.items.id(req.params.itemId);
+
+      if (!item) {
+        return res.status(404).json({ message: "Cart item not found" });
+      }
+
+      await releaseHold(req.cart, item);
+      item.deleteOne();
+      await saveCart(req.cart);
+
+      await sendCart(res, req.cart);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error removing cart item",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Clear Cart
+router.delete("/", authorize(OPTIONAL_AUTH), loadCart(), async (req, res) => {
+  try {
+    const { cart } = req;
+
+    if (cart) {
+      for (const item of cart.items) {
+        await releaseHold(cart, item);
+      }
+      cart.items = [];
+      await saveCart(cart);
+    }
+
+    await sendCart(res, cart);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error clearing cart",
+      error: error.message,
+    });
+  }
+});
+
+// Hold Cart Stock
+// Sets the stock of every line aside for CART_HOLD_MINUTES. Lines that
+// can't be held in full are left unheld and reported.
+router.post("/hold", authorize(OPTIONAL_AUTH), loadCart(), async (req, res) => {
+  try {
+    const { cart } = req;
+
+    if (!cart?.items.length) {
+      return res.status(400).json({ message: "Your cart is empty" });
+    }
+
+    const failed = [];
+    for (const item of cart.items) {
+      try {
+        if (!(await setHold(cart, item, item.quantity))) {
+          failed.push({ _id: item._id, reason: "Cart changed, try again" });
+        }
+      } catch (error) {
+        failed.push({ _id: item._id, reason: error.message });
+      }
+    }
+
+    await sendCart(res, cart, {
+      message: failed.length
+        ? "Some items could not be held"
+        : `Items held for ${CART_HOLD_MINUTES} minutes`,
+      failed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error holding cart items",
+      error: error.message,
+    });
+  }
+});
+
+// Release Cart Stock
+router.delete(
+  "/hold",
+  authorize(OPTIONAL_AUTH),
+  loadCart(),
+  async (req, res) => {
+    try {
+      const { cart } = req;
+
+      if (cart) {
+        for (const item of cart.items) {
+          await releaseHold(cart, item);
+        }
+      }
+
+      await sendCart(res, cart, { message: "Held items released" });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error releasing held items",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Merge Guest Cart
+// Moves the lines of the X-Cart-Token guest cart into the user's cart
+router.post(
+  "/merge",
+  authorize(AUTHENTICATED),
+  loadCart({ create: true }),
+  async (req, res) => {
+    try {
+      const token = req.get("X-Cart-Token");
+      const guestCart =
+        token && (await Cart.findOne({ guestTokenHash: hashToken(token) }));
+
+      if (!guestCart) {
+        return res.status(404).json({ message: "Guest cart not found" });
+      }
+
+      const { cart } = req;
+      for (const guestItem of guestCart.items) {
+        await releaseHold(guestCart, guestItem);
+
+        const existing = cart.items.find(
+          (item) =>
+            item.product.toString() === guestItem.product.toString() &&
+            (item.variantId || null) === (guestItem.variantId || null)
+        );
+
+        if (existing) {
+          existing.quantity = Math.min(
+            existing.quantity + guestItem.quantity,
+            MAX_QUANTITY
+          );
+        } else if (cart.items.length < MAX_LINES) {
+          cart.items.push({
+            product: guestItem.product,
+            variantId: guestItem.variantId,
+            quantity: guestItem.quantity,
+          });
+        }
+      }
+
+      await saveCart(cart);
+      await guestCart.deleteOne();
+
+      await sendCart(res, cart, { message: "Guest cart merged" });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error merging carts",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Turn the caller's cart into order items priced from the catalog, so the
+// order can't fail on a price the customer never saw
+const prepareCheckout = async (req, res, next) => {
+  try {
+    const { cart } = req;
+    const priced = cart ? await priceCart(cart) : null;
+
+    if (!priced?.items.length) {
+      return res.status(400).json({ message: "Your cart is empty" });
+    }
+
+    if (!priced.checkoutReady) {
+      return res.status(409).json({
+        message: "Some items in your cart can't be ordered",
+        cart: priced,
+      });
+    }
+
+    req.body.items = priced.items.map((line) => ({
+      _id: line.product.toString(),
+      name: line.name,
+      price: line.price,
+      quantity: line.quantity,
+      image: line.image,
+      offer: line.offer,
+      variantId: line.variantId,
+    }));
+    // Merchandise only until the address is known; checkout quotes the rest
+    req.body.totalAmount = priced.total;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: "Error preparing checkout",
+      error: error.message,
+    });
+  }
+};
+
+// Checkout Cart
+router.post(
+  "/checkout",
+  authorize(AUTHENTICATED),
+  requireVerified,
+  loadCart(),
+  prepareCheckout,
+  applyProfileDefaults,
+  validateOrderInput,
+  async (req, res) => {
+    const { cart } = req;
+    let holds = new Map();
+    let order;
+
+    try {
+      // Shipping, fees and tax depend on the address, known only now
+      req.body.totalAmount = (await quoteOrder(req.body, req.user)).total;
+      holds = await claimHolds(cart);
+      order = await placeOrder(req.user, req.body, new Map(holds));
+    } catch (error) {
+      await returnClaimedHolds(holds);
+
+      console.error("Checkout error:", error);
+      return res.status(400).json({
+        message: error.message || "Error placing order",
+      });
+    }
+
+    // The order is placed; a cart that fails to clear is only stale
+    try {
+      cart.items = [];
+      await saveCart(cart);
+    } catch (error) {
+      console.error("Error clearing cart after checkout:", error);
+    }
+
+    res.status(201).json({
+      message: "Order created successfully",
+      orderId: order._id,
+      estimatedDelivery: order.deliveryDate,
+    });
+  }
+);
+
+module.exports = router;
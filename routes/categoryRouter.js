@@ -0,0 +1,275 @@
+const express = require("express");
+const router = express.Router();
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const DonateProduct = require("../models/DonateProduct");
+const mongoose = require("mongoose");
+const { PUBLIC, ADMIN, authorize } = require("../middleware/auth");
+const { resolveCategory, getCategoryTreeIds } = require("../utils/categories");
+const { GST_RATES } = require("../utils/pricing");
+
+const CATEGORY_FIELDS = [
+  "name",
+  "slug",
+  "description",
+  "image",
+  "sortOrder",
+  "reorderThreshold",
+  "hsnCode",
+  "gstRate",
+  "parent",
+];
+
+// Input validation middleware
+const validateCategoryInput = async (req, res, next) => {
+  try {
+    const {
+      name,
+      slug,
+      sortOrder,
+      reorderThreshold,
+      hsnCode,
+      gstRate,
+      parent,
+    } = req.body;
+
+    // An empty parent moves the category to the top level
+    if (parent === "") {
+      req.body.parent = null;
+    }
+
+    if (!name?.trim()) {
+      return res.status(400).json({ message: "Category name is required" });
+    }
+
+    if (slug !== undefined && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) {
+      return res.status(400).json({
+        message: "Slug may only contain lower-case letters, digits and dashes",
+      });
+    }
+
+    if (sortOrder !== undefined && typeof sortOrder !== "number") {
+      return res.status(400).json({ message: "Sort order must be a number" });
+    }
+
+    if (
+      reorderThreshold !== undefined &&
+      reorderThreshold !== null &&
+      (!Number.isInteger(reorderThreshold) || reorderThreshold < 0)
+    ) {
+      return res.status(400).json({
+        message: "Reorder threshold must be a non-negative whole number",
+      });
+    }
+
+    if (
+      hsnCode !== undefined &&
+      hsnCode !== null &&
+      !/^(\d{4}|\d{6}|\d{8})$/.test(hsnCode)
+    ) {
+      return res
+        .status(400)
+        .json({ message: "HSN code must have 4, 6 or 8 digits" });
+    }
+
+    if (
+      gstRate !== undefined &&
+      gstRate !== null &&
+      !GST_RATES.includes(gstRate)
+    ) {
+      return res.status(400).json({
+        message: `GST rate must be one of ${GST_RATES.join(", ")}`,
+      });
+    }
+
+    if (parent) {
+      if (!mongoose.Types.ObjectId.isValid(parent)) {
+        return res.status(400).json({ message: "Invalid parent ID format" });
+      }
+
+      // A category can't be nested under itself or one of its descendants
+      if (req.params.id) {
+        const ownTree = await getCategoryTreeIds(req.params.id);
+        if (ownTree.some((id) => id.toString() === parent.toString())) {
+          return res.status(400).json({
+            message: "A category cannot be nested under itself",
+          });
+        }
+      }
+
+      if (!(await Category.exists({ _id: parent }))) {
+        return res.status(400).json({ message: "Parent category not found" });
+      }
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: "Error validating category",
+      error: error.message,
+    });
+  }
+};
+
+// Nest a flat, sorted list of categories under their parents
+const buildTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...category.toObject(), children: [] },
+    ])
+  );
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+// Create Category
+router.post("/", authorize(ADMIN), validateCategoryInput, async (req, res) => {
+  try {
+    const category = new Category(
+      CATEGORY_FIELDS.reduce((fields, field) => {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+        return fields;
+      }, {})
+    );
+    await category.save();
+
+    res.status(201).json({
+      message: "Category created successfully",
+      category,
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error creating category",
+      error: error.message,
+    });
+  }
+});
+
+// Get All Categories, flat or as a tree
+router.get("/", authorize(PUBLIC), async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ sortOrder: 1, name: 1 });
+
+    res.json(req.query.tree === "true" ? buildTree(categories) : categories);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching categories",
+      error: error.message,
+    });
+  }
+});
+
+// Get Category by ID or slug, with its direct children
+router.get("/:idOrSlug", authorize(PUBLIC), async (req, res) => {
+  try {
+    const category = await resolveCategory(req.params.idOrSlug);
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const children = await Category.find({ parent: category._id }).sort({
+      sortOrder: 1,
+      name: 1,
+    });
+
+    res.json({ ...category.toObject(), children });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching category",
+      error: error.message,
+    });
+  }
+});
+
+// Update Category
+router.put(
+  "/:id",
+  authorize(ADMIN),
+  validateCategoryInput,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: "Invalid category ID format" });
+      }
+
+      const category = await Category.findById(req.params.id);
+
+      if (!category) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      // A renamed category gets a new slug unless one is given
+      if (req.body.name !== category.name && req.body.slug === undefined) {
+        category.slug = undefined;
+      }
+
+      CATEGORY_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) category[field] = req.body[field];
+      });
+      await category.save();
+
+      res.json({
+        message: "Category updated successfully",
+        category,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error updating category",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete Category
+router.delete("/:id", authorize(ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid category ID format" });
+    }
+
+    const [childCount, productCount, donationCount] = await Promise.all([
+      Category.countDocuments({ parent: req.params.id }),
+      Product.countDocuments({ category: req.params.id }),
+      DonateProduct.countDocuments({ category: req.params.id }),
+    ]);
+
+    if (childCount || productCount || donationCount) {
+      return res.status(400).json({
+        message: "Category is still in use",
+        childCount,
+        productCount,
+        donationCount,
+      });
+    }
+
+    const category = await Category.findByIdAndDelete(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    res.json({
+      message: "Category deleted successfully",
+      deletedCategory: category,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting category",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
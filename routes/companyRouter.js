@@ -1,29 +1,12 @@
 const express = require("express");
 const Company = require("../models/Company");
+const { PUBLIC, ADMIN, authorize } = require("../middleware/auth");
+const {
+  uploadImages,
+  storeImages,
+  removeStoredImages,
+} = require("../utils/images");
 const router = express.Router();
-const jwt = require("jsonwebtoken");
-
-const SECRET = process.env.JWT_SECRET || "your-secret-key";
-
-// Authentication Middleware
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ message: "No token provided" });
-    }
-
-    const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      message: "Invalid or expired token",
-      error: error.message,
-    });
-  }
-};
 
 // Input validation middleware
 const validateCompanyInput = (req, res, next) => {
@@ -39,9 +22,11 @@ const validateCompanyInput = (req, res, next) => {
 };
 
 // Create Company
-router.post("/", validateCompanyInput, async (req, res) => {
+router.post("/", authorize(ADMIN), validateCompanyInput, async (req, res) => {
   try {
-    const company = new Company(req.body);
+    // Logos are uploaded through POST /:id/logo
+    const { logo, ...details } = req.body;
+    const company = new Company(details);
     const savedCompany = await company.save();
     res.status(201).json({
       message: "Company created successfully",
@@ -56,7 +41,7 @@ router.post("/", validateCompanyInput, async (req, res) => {
 });
 
 // Get All Companies with optional search and pagination
-router.get("/", async (req, res) => {
+router.get("/", authorize(PUBLIC), async (req, res) => {
   try {
     const { search, page = 1, limit = 10 } = req.query;
     const query = search ? { name: { $regex: search, $options: "i" } } : {};
@@ -84,7 +69,7 @@ router.get("/", async (req, res) => {
 });
 
 // Get Company Count
-router.get("/count", async (req, res) => {
+router.get("/count", authorize(PUBLIC), async (req, res) => {
   try {
     const count = await Company.countDocuments();
     res.json({ count });
@@ -97,7 +82,7 @@ router.get("/count", async (req, res) => {
 });
 
 // Get Company By ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", authorize(PUBLIC), async (req, res) => {
   try {
     const company = await Company.findById(req.params.id);
 
@@ -115,11 +100,12 @@ router.get("/:id", async (req, res) => {
 });
 
 // Update Company
-router.put("/:id", validateCompanyInput, async (req, res) => {
+router.put("/:id", authorize(ADMIN), validateCompanyInput, async (req, res) => {
   try {
+    const { logo, ...details } = req.body;
     const company = await Company.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      { $set: details },
       { new: true, runValidators: true }
     );
 
@@ -140,7 +126,7 @@ router.put("/:id", validateCompanyInput, async (req, res) => {
 });
 
 // Delete Company
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", authorize(ADMIN), async (req, res) => {
   try {
     const company = await Company.findByIdAndDelete(req.params.id);
 
@@ -160,4 +146,78 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+// Upload Company Logo
+router.post(
+  "/:id/logo",
+  authorize(ADMIN),
+  uploadImages("logo", 1),
+  async (req, res) => {
+    try {
+      const company = await Company.findById(req.params.id);
+
+      if (!company) {
+        return res.status(404).json({ message: "Company not found" });
+      }
+
+      const [logo] = await storeImages(req.files, `companies/${company._id}`);
+      const previousLogo = company.logo;
+
+      company.logo = logo;
+      company.image = logo.url;
+
+      try {
+        await company.save();
+      } catch (error) {
+        await removeStoredImages([logo]);
+        throw error;
+      }
+
+      // The replaced logo is no longer referenced anywhere
+      if (previousLogo) {
+        await removeStoredImages([previousLogo]);
+      }
+
+      res.status(201).json({
+        message: "Company logo uploaded successfully",
+        company,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error uploading company logo",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete Company Logo
+router.delete("/:id/logo", authorize(ADMIN), async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+
+    if (!company?.logo) {
+      return res.status(404).json({ message: "Company logo not found" });
+    }
+
+    const { logo } = company;
+    company.logo = undefined;
+    if (company.image === logo.url) {
+      company.image = undefined;
+    }
+
+    await company.save();
+    await removeStoredImages([logo]);
+
+    res.json({
+      message: "Company logo deleted successfully",
+      company,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting company logo",
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
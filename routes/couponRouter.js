@@ -0,0 +1,541 @@
+const express = require("express");
+const router = express.Router();
+const Coupon = require("../models/Coupon");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const Order = require("../models/Order");
+const mongoose = require("mongoose");
+const { OPTIONAL_AUTH, ADMIN, authorize } = require("../middleware/auth");
+const {
+  hasInvalidItem,
+  validateQuoteInput,
+} = require("../middleware/orderInput");
+const {
+  normaliseCode,
+  getCouponStatus,
+  findCoupon,
+  evaluateCoupon,
+} = require("../utils/coupons");
+const { loadQuoteLines, quoteOrder } = require("../utils/pricing");
+const { escapeRegex } = require("../utils/search");
+
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "minCartValue",
+  "products",
+  "categories",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "endsAt",
+  "firstOrderOnly",
+  "enabled",
+];
+
+// Optional fields that are cleared when an update leaves them out
+const OPTIONAL_FIELDS = [
+  "description",
+  "maxDiscount",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "endsAt",
+];
+
+const isOptionalNumber = (value, min) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "number" && value >= min);
+
+const isOptionalDate = (value) =>
+  value === undefined || value === null || !isNaN(new Date(value).getTime());
+
+// Input validation middleware
+const validateCouponInput = async (req, res, next) => {
+  try {
+    const {
+      code,
+      discountType,
+      discountValue,
+      maxDiscount,
+      minCartValue,
+      products = [],
+      categories = [],
+      usageLimit,
+      perUserLimit,
+      startsAt,
+      endsAt,
+      firstOrderOnly,
+      enabled,
+    } = req.body;
+
+    if (typeof code !== "string" || !/^[A-Za-z0-9_-]{3,30}$/.test(code)) {
+      return res.status(400).json({
+        message:
+          "Coupon code must be 3 to 30 letters, digits, dashes or underscores",
+      });
+    }
+
+    if (!["percentage", "fixed"].includes(discountType)) {
+      return res
+        .status(400)
+        .json({ message: "Discount type must be percentage or fixed" });
+    }
+
+    if (
+      typeof discountValue !== "number" ||
+      discountValue <= 0 ||
+      (discountType === "percentage" && discountValue > 100)
+    ) {
+      return res.status(400).json({
+        message:
+          discountType === "percentage"
+            ? "Discount must be a number between 0 and 100"
+            : "Discount must be a positive number",
+      });
+    }
+
+    if (
+      !isOptionalNumber(maxDiscount, 0) ||
+      !isOptionalNumber(minCartValue, 0)
+    ) {
+      return res.status(400).json({
+        message:
+          "Maximum discount and minimum cart value must be non-negative numbers",
+      });
+    }
+
+    if (
+      [usageLimit, perUserLimit].some(
+        (limit) =>
+          limit !== undefined &&
+          limit !== null &&
+          (!Number.isInteger(limit) || limit < 1)
+      )
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Usage limits must be positive whole numbers" });
+    }
+
+    if (!isOptionalDate(startsAt) || !isOptionalDate(endsAt)) {
+      return res
+        .status(400)
+        .json({ message: "Start and end must be valid times" });
+    }
+
+    if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+      return res
+        .status(400)
+        .json({ message: "A coupon must end after it starts" });
+    }
+
+    if (
+      [firstOrderOnly, enabled].some(
+        (flag) => flag !== undefined && typeof flag !== "boolean"
+      )
+    ) {
+      return res
+        .status(400)
+        .json({
+          message: "First order only and enabled must be true or false",
+        });
+    }
+
+    if (!Array.isArray(products) || !Array.isArray(categories)) {
+      return res
+        .status(400)
+        .json({ message: "Products and categories must be lists" });
+    }
+
+    if (
+      [...products, ...categories].some(
+        (id) => !mongoose.Types.ObjectId.isValid(id)
+      )
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Invalid product or category ID format" });
+    }
+
+    const [productCount, categoryCount] = await Promise.all([
+      Product.countDocuments({ _id: { $in: products } }),
+      Category.countDocuments({ _id: { $in: categories } }),
+    ]);
+    if (
+      productCount !== new Set(products.map(String)).size ||
+      categoryCount !== new Set(categories.map(String)).size
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Some products or categories were not found" });
+    }
+
+    // Codes are matched without regard to case
+    const existing = await Coupon.findOne({ code: normaliseCode(code) });
+    if (existing && existing._id.toString() !== req.params.id) {
+      return res
+        .status(409)
+        .json({ message: "A coupon with this code already exists" });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: "Error validating coupon",
+      error: error.message,
+    });
+  }
+};
+
+const pickCouponFields = (body) =>
+  Object.fromEntries(
+    COUPON_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
+// A coupon with the status it has right now
+const withStatus = (coupon) => ({
+  ...coupon.toObject(),
+  status: getCouponStatus(coupon),
+});
+
+// What customers may see of a coupon
+const describeCoupon = (coupon) => ({
+  code: coupon.code,
+  description: coupon.description,
+  discountType: coupon.discountType,
+  discountValue: coupon.discountValue,
+  maxDiscount: coupon.maxDiscount,
+  minCartValue: coupon.minCartValue,
+  endsAt: coupon.endsAt,
+});
+
+// Validate Coupon
+// Checks a code against the items about to be ordered and shows what it
+// takes off them, before any address is known
+router.post("/validate", authorize(OPTIONAL_AUTH), async (req, res) => {
+  try {
+    const { couponCode, items } = req.body;
+
+    if (typeof couponCode !== "string" || !couponCode.trim()) {
+      return res.status(400).json({ message: "Coupon code is required" });
+    }
+
+    if (!Array.isArray(items) || !items.length || hasInvalidItem(items)) {
+      return res.status(400).json({
+        message: "Every item needs a valid product and a positive quantity",
+      });
+    }
+
+    const coupon = await findCoupon(couponCode);
+    const { discount } = await evaluateCoupon(
+      coupon,
+      req.user,
+      await loadQuoteLines(items)
+    );
+
+    res.json({ valid: true, coupon: describeCoupon(coupon), discount });
+  } catch (error) {
+    // Tells the customer why the code can't be used
+    res.status(400).json({ valid: false, message: error.message });
+  }
+});
+
+// Apply Coupon
+// The full quote with the coupon taken off. Placing the order with the
+// same couponCode and the quote's total as totalAmount redeems it.
+router.post(
+  "/apply",
+  authorize(OPTIONAL_AUTH),
+  validateQuoteInput,
+  async (req, res) => {
+    try {
+      if (!req.body.couponCode) {
+        return res.status(400).json({ message: "Coupon code is required" });
+      }
+
+      const quote = await quoteOrder(req.body, req.user);
+      res.json(quote);
+    } catch (error) {
+      res.status(400).json({
+        message: "Error applying coupon",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get Redemption Report
+// Orders, discount given and revenue per coupon, optionally for orders
+// placed between `from` and `to`
+router.get("/report", authorize(ADMIN), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const match = {
+      "coupon.coupon": { $ne: null },
+      status: { $ne: "Cancelled" },
+    };
+
+    if (from || to) {
+      match.orderDate = {};
+      if (from) match.orderDate.$gte = new Date(from);
+      if (to) match.orderDate.$lte = new Date(to);
+      if (Object.values(match.orderDate).some((date) => isNaN(date))) {
+        return res.status(400).json({ message: "Invalid report period" });
+      }
+    }
+
+    const coupons = await Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$coupon.coupon",
+          code: { $last: "$coupon.code" },
+          orders: { $sum: 1 },
+          customers: { $addToSet: "$user" },
+          discountGiven: { $sum: "$coupon.discount" },
+          revenue: { $sum: "$totalAmount" },
+        },
+      },
+      { $sort: { orders: -1 } },
+    ]);
+
+    const totals = coupons.reduce(
+      (sum, coupon) => ({
+        orders: sum.orders + coupon.orders,
+        discountGiven: sum.discountGiven + coupon.discountGiven,
+        revenue: sum.revenue + coupon.revenue,
+      }),
+      { orders: 0, discountGiven: 0, revenue: 0 }
+    );
+
+    res.json({
+      totals,
+      coupons: coupons.map(({ customers, ...coupon }) => ({
+        ...coupon,
+        customers: customers.length,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error generating coupon report",
+      error: error.message,
+    });
+  }
+});
+
+// Get All Coupons with filtering and pagination
+router.get("/", authorize(ADMIN), async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+    const now = new Date();
+    const query = {};
+
+    if (search) {
+      query.code = {
+        $regex: escapeRegex(normaliseCode(search)),
+      };
+    }
+
+    if (status === "disabled") {
+      query.enabled = false;
+    } else if (status === "scheduled") {
+      query.enabled = true;
+      query.startsAt = { $gt: now };
+    } else if (status === "expired") {
+      query.enabled = true;
+      query.endsAt = { $lte: now };
+    } else if (status === "active") {
+      query.enabled = true;
+      query.$and = [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+      ];
+    }
+
+    const pageSize = Math.min(Number(limit) || 20, 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      Coupon.countDocuments(query),
+    ]);
+
+    res.json({
+      coupons: coupons.map(withStatus),
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
+      totalCoupons: total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching coupons",
+      error: error.message,
+    });
+  }
+});
+
+// Get Coupon By ID
+router.get("/:id", authorize(ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid coupon ID format" });
+    }
+
+    const coupon = await Coupon.findById(req.params.id)
+      .populate("products", "name price offer")
+      .populate("categories", "name slug");
+
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    res.json(withStatus(coupon));
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching coupon",
+      error: error.message,
+    });
+  }
+});
+
+// Get Coupon Redemptions
+// The orders a coupon was redeemed on, newest first
+router.get("/:id/redemptions", authorize(ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid coupon ID format" });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageSize = Math.min(Number(limit) || 20, 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+    const query = { "coupon.coupon": req.params.id };
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .select("username coupon totalAmount status orderDate")
+        .sort({ orderDate: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      Order.countDocuments(query),
+    ]);
+
+    res.json({
+      redemptions: orders.map((order) => ({
+        order: order._id,
+        username: order.username,
+        discount: order.coupon.discount,
+        totalAmount: order.totalAmount,
+        status: order.status,
+        orderDate: order.orderDate,
+      })),
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
+      totalRedemptions: total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching coupon redemptions",
+      error: error.message,
+    });
+  }
+});
+
+// Create Coupon
+router.post("/", authorize(ADMIN), validateCouponInput, async (req, res) => {
+  try {
+    const coupon = new Coupon({
+      ...pickCouponFields(req.body),
+      createdBy: req.user.id,
+    });
+
+    await coupon.save();
+
+    res.status(201).json({
+      message: "Coupon created successfully",
+      coupon: withStatus(coupon),
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error creating coupon",
+      error: error.message,
+    });
+  }
+});
+
+// Update Coupon
+// Orders keep the discount they were placed with
+router.put("/:id", authorize(ADMIN), validateCouponInput, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid coupon ID format" });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    coupon.set({
+      ...Object.fromEntries(OPTIONAL_FIELDS.map((field) => [field, undefined])),
+      products: [],
+      categories: [],
+      ...pickCouponFields(req.body),
+    });
+    await coupon.save();
+
+    res.json({
+      message: "Coupon updated successfully",
+      coupon: withStatus(coupon),
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error updating coupon",
+      error: error.message,
+    });
+  }
+});
+
+// Delete Coupon
+// Only coupons nobody has redeemed can be deleted; disable the others so
+// their redemptions stay reportable
+router.delete("/:id", authorize(ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid coupon ID format" });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    if (await Order.exists({ "coupon.coupon": coupon._id })) {
+      return res.status(409).json({
+        message: "This coupon has been redeemed; disable it instead",
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({ message: "Coupon deleted successfully" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting coupon",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
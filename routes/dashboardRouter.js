@@ -8,6 +8,11 @@ const Company = require("../models/Company");
 const Applicant = require("../models/Applicant");
 const DonateMoney = require("../models/DonateMoney");
 const DonateProduct = require("../models/DonateProduct");
+const Category = require("../models/Category");
+const { ADMIN, authorize } = require("../middleware/auth");
+
+// Every dashboard endpoint is admin only
+router.use(authorize(ADMIN));
 
 // Get all dashboard statistics
 router.get("/stats", async (req, res) => {
@@ -24,7 +29,7 @@ router.get("/stats", async (req, res) => {
       productDonationCount,
     ] = await Promise.all([
       User.countDocuments(),
-      Product.countDocuments(),
+      Product.countDocuments({ archivedAt: null }),
       Order.countDocuments(),
       Job.countDocuments(),
       Company.countDocuments(),
@@ -49,6 +54,7 @@ router.get("/stats", async (req, res) => {
 
     // Get product statistics
     const productStats = await Product.aggregate([
+      { $match: { archivedAt: null } },
       {
         $group: {
           _id: null,
@@ -79,6 +85,10 @@ router.get("/stats", async (req, res) => {
         },
       },
     ]);
+    await Category.populate(productDonationStats, {
+      path: "_id",
+      select: "name slug",
+    });
 
     // Get recent activities
     const recentOrders = await Order.find()
@@ -191,6 +201,7 @@ router.get("/donation-stats", async (req, res) => {
         },
       },
     ]);
+    await Category.populate(productStats, { path: "_id", select: "name slug" });
 
     res.json({
       moneyDonations: moneyStats[0] || {
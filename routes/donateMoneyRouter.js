@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const DonateMoney = require("../models/DonateMoney");
 const mongoose = require("mongoose");
+const { OPTIONAL_AUTH, ADMIN, authorize } = require("../middleware/auth");
 
 // Input validation middleware
 const validateDonationInput = (req, res, next) => {
@@ -32,31 +33,37 @@ const validateDonationInput = (req, res, next) => {
 };
 
 // Create a new donation
-router.post("/donate", validateDonationInput, async (req, res) => {
-  try {
-    const { name, phone, amount } = req.body;
-    const newDonation = new DonateMoney({
-      name: name.trim(),
-      phone: phone.trim(),
-      amount: Math.abs(amount),
-    });
-
-    await newDonation.save();
-
-    res.status(201).json({
-      message: "Donation received successfully!",
-      donation: newDonation,
-    });
-  } catch (error) {
-    res.status(400).json({
-      message: "Error processing donation",
-      error: error.message,
-    });
+router.post(
+  "/donate",
+  authorize(OPTIONAL_AUTH),
+  validateDonationInput,
+  async (req, res) => {
+    try {
+      const { name, phone, amount } = req.body;
+      const newDonation = new DonateMoney({
+        name: name.trim(),
+        phone: phone.trim(),
+        amount: Math.abs(amount),
+        user: req.user?.id,
+      });
+
+      await newDonation.save();
+
+      res.status(201).json({
+        message: "Donation received successfully!",
+        donation: newDonation,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error processing donation",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Get all donations with filtering and sorting
-router.get("/donations", async (req, res) => {
+router.get("/donations", authorize(ADMIN), async (req, res) => {
   try {
     const { search, sortBy = "-createdAt", minAmount, maxAmount } = req.query;
 
@@ -98,7 +105,7 @@ router.get("/donations", async (req, res) => {
 });
 
 // Get donation statistics
-router.get("/statistics", async (req, res) => {
+router.get("/statistics", authorize(ADMIN), async (req, res) => {
   try {
     const stats = await DonateMoney.aggregate([
       {
@@ -129,7 +136,7 @@ router.get("/statistics", async (req, res) => {
 });
 
 // Get a specific donation by ID
-router.get("/donation/:id", async (req, res) => {
+router.get("/donation/:id", authorize(ADMIN), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: "Invalid donation ID format" });
@@ -151,7 +158,7 @@ router.get("/donation/:id", async (req, res) => {
 });
 
 // Delete a donation by ID
-router.delete("/donation/:id", async (req, res) => {
+router.delete("/donation/:id", authorize(ADMIN), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: "Invalid donation ID format" });
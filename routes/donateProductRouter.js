@@ -1,10 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const DonateProduct = require("../models/DonateProduct");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
 const mongoose = require("mongoose");
+const { OPTIONAL_AUTH, ADMIN, authorize } = require("../middleware/auth");
+const { resolveCategory } = require("../utils/categories");
+const { findVariant, returnStock } = require("../utils/inventory");
 
 // Input validation middleware
-const validateProductDonationInput = (req, res, next) => {
+const validateProductDonationInput = async (req, res, next) => {
   const { name, phone, category, quantity } = req.body;
 
   if (!name?.trim() || !phone?.trim() || !category) {
@@ -28,20 +33,19 @@ const validateProductDonationInput = (req, res, next) => {
     });
   }
 
-  // Validate category against enum values
-  const validCategories = [
-    "Frames",
-    "Wall Hanging",
-    "Bag",
-    "Pen Stand",
-    "Jewellery",
-    "Diyas",
-    "Bottle Art",
-  ];
-  if (!validCategories.includes(category)) {
-    return res.status(400).json({
-      message: "Invalid product category",
-      validCategories,
+  // Validate category by id, slug or name and store its id
+  try {
+    const resolvedCategory = await resolveCategory(category);
+    if (!resolvedCategory) {
+      return res.status(400).json({
+        message: "Invalid product category",
+      });
+    }
+    req.body.category = resolvedCategory._id;
+  } catch (error) {
+    return res.status(500).json({
+      message: "Error validating product category",
+      error: error.message,
     });
   }
 
@@ -49,32 +53,38 @@ const validateProductDonationInput = (req, res, next) => {
 };
 
 // Create a new product donation
-router.post("/donate", validateProductDonationInput, async (req, res) => {
-  try {
-    const { name, phone, category, quantity } = req.body;
-    const newDonation = new DonateProduct({
-      name: name.trim(),
-      phone: phone.trim(),
-      category,
-      quantity: Math.abs(quantity),
-    });
+router.post(
+  "/donate",
+  authorize(OPTIONAL_AUTH),
+  validateProductDonationInput,
+  async (req, res) => {
+    try {
+      const { name, phone, category, quantity } = req.body;
+      const newDonation = new DonateProduct({
+        name: name.trim(),
+        phone: phone.trim(),
+        category,
+        quantity: Math.abs(quantity),
+        user: req.user?.id,
+      });
 
-    await newDonation.save();
+      await newDonation.save();
 
-    res.status(201).json({
-      message: "Product donation received successfully!",
-      donation: newDonation,
-    });
-  } catch (error) {
-    res.status(400).json({
-      message: "Error processing product donation",
-      error: error.message,
-    });
+      res.status(201).json({
+        message: "Product donation received successfully!",
+        donation: newDonation,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error processing product donation",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Get all product donations with filtering and sorting
-router.get("/donations", async (req, res) => {
+router.get("/donations", authorize(ADMIN), async (req, res) => {
   try {
     const { search, category, sortBy = "-createdAt", minQuantity } = req.query;
 
@@ -90,7 +100,8 @@ router.get("/donations", async (req, res) => {
 
     // Apply category filter
     if (category) {
-      query.category = category;
+      const resolvedCategory = await resolveCategory(category);
+      query.category = resolvedCategory ? resolvedCategory._id : null;
     }
 
     // Apply minimum quantity filter
@@ -98,7 +109,9 @@ router.get("/donations", async (req, res) => {
       query.quantity = { $gte: Number(minQuantity) };
     }
 
-    const donations = await DonateProduct.find(query).sort(sortBy);
+    const donations = await DonateProduct.find(query)
+      .populate("category", "name slug")
+      .sort(sortBy);
 
     // Get category statistics
     const categoryStats = await DonateProduct.aggregate([
@@ -111,6 +124,10 @@ router.get("/donations", async (req, res) => {
         },
       },
     ]);
+    await Category.populate(categoryStats, {
+      path: "_id",
+      select: "name slug",
+    });
 
     res.json({
       count: donations.length,
@@ -126,7 +143,7 @@ router.get("/donations", async (req, res) => {
 });
 
 // Get product donation statistics
-router.get("/statistics", async (req, res) => {
+router.get("/statistics", authorize(ADMIN), async (req, res) => {
   try {
     const stats = await DonateProduct.aggregate([
       {
@@ -139,6 +156,7 @@ router.get("/statistics", async (req, res) => {
         },
       },
     ]);
+    await Category.populate(stats, { path: "_id", select: "name slug" });
 
     res.json(stats);
   } catch (error) {
@@ -150,13 +168,16 @@ router.get("/statistics", async (req, res) => {
 });
 
 // Get a specific product donation by ID
-router.get("/donation/:id", async (req, res) => {
+router.get("/donation/:id", authorize(ADMIN), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: "Invalid donation ID format" });
     }
 
-    const donation = await DonateProduct.findById(req.params.id);
+    const donation = await DonateProduct.findById(req.params.id).populate(
+      "category",
+      "name slug"
+    );
 
     if (!donation) {
       return res.status(404).json({ message: "Product donation not found" });
@@ -171,8 +192,110 @@ router.get("/donation/:id", async (req, res) => {
   }
 });
 
+// Receive a product donation into stock
+// Adds the donated items (or the usable part of them) to a product's stock
+router.post("/donation/:id/receive", authorize(ADMIN), async (req, res) => {
+  try {
+    const { product: productId, variantId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid donation ID format" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: "Invalid product ID format" });
+    }
+
+    const donation = await DonateProduct.findById(req.params.id);
+    if (!donation) {
+      return res.status(404).json({ message: "Product donation not found" });
+    }
+
+    const quantity = req.body.quantity ?? donation.quantity;
+    if (
+      !Number.isInteger(quantity) ||
+      quantity < 1 ||
+      quantity > donation.quantity
+    ) {
+      return res.status(400).json({
+        message: `Quantity must be a whole number from 1 to ${donation.quantity}`,
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const variant = findVariant(product, variantId);
+    if (product.variants.length && !variant) {
+      return res.status(400).json({
+        message: variantId
+          ? "Variant not found"
+          : "variantId is required for products with variants",
+      });
+    }
+
+    // Claim the donation first so it can't be received twice
+    const received = await DonateProduct.findOneAndUpdate(
+      { _id: donation._id, receivedAt: null },
+      {
+        $set: {
+          receivedAt: new Date(),
+          receivedBy: req.user.id,
+          receivedProduct: product._id,
+          receivedVariantId: variant?._id.toString(),
+          receivedQuantity: quantity,
+        },
+      },
+      { new: true }
+    );
+
+    if (!received) {
+      return res
+        .status(409)
+        .json({ message: "This donation has already been received" });
+    }
+
+    const stocked = await returnStock(
+      product._id,
+      variant?._id.toString(),
+      quantity,
+      { reason: "donation", donation: donation._id }
+    );
+
+    if (!stocked) {
+      await DonateProduct.updateOne(
+        { _id: donation._id },
+        {
+          $set: { receivedAt: null },
+          $unset: {
+            receivedBy: "",
+            receivedProduct: "",
+            receivedVariantId: "",
+            receivedQuantity: "",
+          },
+        }
+      );
+      return res
+        .status(409)
+        .json({ message: "The product changed, please try again" });
+    }
+
+    res.json({
+      message: "Donation received into stock",
+      donation: received,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error receiving product donation",
+      error: error.message,
+    });
+  }
+});
+
 // Delete a product donation by ID
-router.delete("/donation/:id", async (req, res) => {
+router.delete("/donation/:id", authorize(ADMIN), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: "Invalid donation ID format" });
@@ -1,6 +1,13 @@
 const express = require("express");
 const Job = require("../models/Job");
 const mongoose = require("mongoose");
+const {
+  PUBLIC,
+  ADMIN,
+  RECRUITER,
+  authorize,
+  canManageCompany,
+} = require("../middleware/auth");
 const router = express.Router();
 
 // Input validation middleware
@@ -29,28 +36,39 @@ const validateJobInput = (req, res, next) => {
 };
 
 // Create Job
-router.post("/", validateJobInput, async (req, res) => {
-  try {
-    const job = new Job(req.body);
-    const savedJob = await job.save();
-    const populatedJob = await Job.findById(savedJob._id).populate(
-      "companyId",
-      "name description image"
-    );
-    res.status(201).json({
-      message: "Job created successfully",
-      job: populatedJob,
-    });
-  } catch (error) {
-    res.status(400).json({
-      message: "Error creating job",
-      error: error.message,
-    });
+router.post(
+  "/",
+  authorize(ADMIN, RECRUITER),
+  validateJobInput,
+  async (req, res) => {
+    try {
+      if (!canManageCompany(req.user, req.body.companyId)) {
+        return res.status(403).json({
+          message: "You can only manage jobs of your own companies",
+        });
+      }
+
+      const job = new Job(req.body);
+      const savedJob = await job.save();
+      const populatedJob = await Job.findById(savedJob._id).populate(
+        "companyId",
+        "name description image"
+      );
+      res.status(201).json({
+        message: "Job created successfully",
+        job: populatedJob,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error creating job",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Get all Jobs
-router.get("/", async (req, res) => {
+router.get("/", authorize(PUBLIC), async (req, res) => {
   try {
     const jobs = await Job.find()
       .populate("companyId", "name description image")
@@ -68,7 +86,7 @@ router.get("/", async (req, res) => {
 });
 
 // Get Jobs for Company with enhanced error handling
-router.get("/company/:companyId", async (req, res) => {
+router.get("/company/:companyId", authorize(PUBLIC), async (req, res) => {
   try {
     const { companyId } = req.params;
     const jobs = await Job.find({ companyId })
@@ -88,7 +106,7 @@ router.get("/company/:companyId", async (req, res) => {
 });
 
 // Get a single Job by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", authorize(PUBLIC), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id).populate(
       "companyId",
@@ -109,47 +127,74 @@ router.get("/:id", async (req, res) => {
 });
 
 // Update Job
-router.put("/:id", validateJobInput, async (req, res) => {
-  try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: "Invalid job ID format" });
-    }
-
-    const job = await Job.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true, runValidators: true }
-    ).populate("companyId", "name description image");
-
-    if (!job) {
-      return res.status(404).json({ message: "Job not found" });
+router.put(
+  "/:id",
+  authorize(ADMIN, RECRUITER),
+  validateJobInput,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: "Invalid job ID format" });
+      }
+
+      const existingJob = await Job.findById(req.params.id);
+      if (!existingJob) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+
+      // The job must stay within the recruiter's companies
+      if (
+        !canManageCompany(req.user, existingJob.companyId) ||
+        (req.body.companyId && !canManageCompany(req.user, req.body.companyId))
+      ) {
+        return res.status(403).json({
+          message: "You can only manage jobs of your own companies",
+        });
+      }
+
+      const job = await Job.findByIdAndUpdate(
+        req.params.id,
+        { $set: req.body },
+        { new: true, runValidators: true }
+      ).populate("companyId", "name description image");
+
+      if (!job) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+
+      res.json({
+        message: "Job updated successfully",
+        job,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error updating job",
+        error: error.message,
+      });
     }
-
-    res.json({
-      message: "Job updated successfully",
-      job,
-    });
-  } catch (error) {
-    res.status(400).json({
-      message: "Error updating job",
-      error: error.message,
-    });
   }
-});
+);
 
 // Delete Job
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", authorize(ADMIN, RECRUITER), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: "Invalid job ID format" });
     }
 
-    const job = await Job.findByIdAndDelete(req.params.id);
-
-    if (!job) {
+    const existingJob = await Job.findById(req.params.id);
+    if (!existingJob) {
       return res.status(404).json({ message: "Job not found" });
     }
 
+    if (!canManageCompany(req.user, existingJob.companyId)) {
+      return res.status(403).json({
+        message: "You can only manage jobs of your own companies",
+      });
+    }
+
+    const job = await Job.findByIdAndDelete(req.params.id);
+
     res.json({
       message: "Job deleted successfully",
       deletedJob: job,
@@ -0,0 +1,107 @@
+const express = require("express");
+const router = express.Router();
+const Notification = require("../models/Notification");
+const mongoose = require("mongoose");
+const { ADMIN, authorize } = require("../middleware/auth");
+
+// The notification feed is shared by all admins; read state is per admin
+router.use(authorize(ADMIN));
+
+// Add a `read` flag for the caller and hide who else has read it
+const forReader = (notification, userId) => {
+  const { readBy, ...rest } = notification;
+  return {
+    ...rest,
+    read: (readBy || []).some((id) => id.toString() === userId),
+  };
+};
+
+// Get notifications with filtering and pagination
+router.get("/", async (req, res) => {
+  try {
+    const { type, unread, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (unread === "true") query.readBy = { $ne: req.user.id };
+
+    const pageSize = Math.min(Number(limit) || 20, 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate("product", "name quantity")
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ readBy: { $ne: req.user.id } }),
+    ]);
+
+    res.json({
+      notifications: notifications.map((notification) =>
+        forReader(notification, req.user.id)
+      ),
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
+      totalNotifications: total,
+      unreadCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching notifications",
+      error: error.message,
+    });
+  }
+});
+
+// Mark all notifications as read
+router.post("/read-all", async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { readBy: { $ne: req.user.id } },
+      { $addToSet: { readBy: req.user.id } }
+    );
+
+    res.json({
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error updating notifications",
+      error: error.message,
+    });
+  }
+});
+
+// Mark a notification as read
+router.patch("/:id/read", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid notification ID format" });
+    }
+
+    const notification = await Notification.findByIdAndUpdate(
+      req.params.id,
+      { $addToSet: { readBy: req.user.id } },
+      { new: true }
+    ).lean();
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.json(forReader(notification, req.user.id));
+  } catch (error) {
+    res.status(500).json({
+      message: "Error updating notification",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
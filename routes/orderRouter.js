@@ -1,186 +1,81 @@
 const express = require("express");
 const router = express.Router();
 const Order = require("../models/Order");
-const Product = require("../models/Product");
+const User = require("../models/User");
 const mongoose = require("mongoose");
-
-// Input validation middleware
-const validateOrderInput = (req, res, next) => {
-  const {
-    username,
-    fullName,
-    email,
-    phone,
-    items,
-    totalAmount,
-    address,
-    paymentMethod,
-  } = req.body;
-
-  if (
-    !username?.trim() ||
-    !fullName?.trim() ||
-    !email?.trim() ||
-    !phone?.trim()
-  ) {
-    return res.status(400).json({
-      message: "Customer information is incomplete",
-    });
-  }
-
-  if (!items?.length) {
-    return res.status(400).json({
-      message: "Order must contain at least one item",
-    });
-  }
-
-  if (!totalAmount || totalAmount <= 0) {
-    return res.status(400).json({
-      message: "Invalid total amount",
-    });
-  }
-
-  if (
-    !address?.street ||
-    !address?.city ||
-    !address?.state ||
-    !address?.postalCode
-  ) {
-    return res.status(400).json({
-      message: "Shipping address is incomplete",
-    });
-  }
-
-  if (!["Online", "COD"].includes(paymentMethod)) {
-    return res.status(400).json({
-      message: "Invalid payment method",
-    });
-  }
-
-  // Basic email validation
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({
-      message: "Invalid email format",
-    });
-  }
-
-  // Basic phone validation
-  const phoneRegex = /^\+?[\d\s-()]{8,}$/;
-  if (!phoneRegex.test(phone)) {
-    return res.status(400).json({
-      message: "Invalid phone number format",
-    });
+const { placeOrder } = require("../utils/orders");
+const { quoteOrder } = require("../utils/pricing");
+const { INVOICEABLE_STATUSES, issueInvoice } = require("../utils/invoices");
+const { writeInvoicePdf } = require("../utils/invoicePdf");
+const {
+  ORDER_STATUSES,
+  getAllowedStatuses,
+  changeOrderStatus,
+  getTrackingTimeline,
+} = require("../utils/orderStatus");
+const {
+  OPTIONAL_AUTH,
+  AUTHENTICATED,
+  ADMIN,
+  authorize,
+  requireVerified,
+  isSelfOrAdmin,
+  isOwnerOrAdmin,
+} = require("../middleware/auth");
+const {
+  applyProfileDefaults,
+  validateQuoteInput,
+  validateOrderInput,
+} = require("../middleware/orderInput");
+
+// Quote order
+// Prices items for delivery to an address with the same engine that places
+// orders, so its total is what POST / expects as totalAmount. Guests can
+// quote too, but not with coupons limited per customer.
+router.post(
+  "/quote",
+  authorize(OPTIONAL_AUTH),
+  validateQuoteInput,
+  async (req, res) => {
+    try {
+      const quote = await quoteOrder(req.body, req.user);
+      res.json(quote);
+    } catch (error) {
+      res.status(400).json({
+        message: "Error quoting order",
+        error: error.message,
+      });
+    }
   }
-
-  next();
-};
+);
 
 // Create new order
-router.post("/", validateOrderInput, async (req, res) => {
-  try {
-    const {
-      username,
-      fullName,
-      email,
-      phone,
-      items,
-      totalAmount,
-      address,
-      paymentMethod,
-    } = req.body;
-
-    // Validate and update product quantities
-    for (const item of items) {
-      const product = await Product.findById(item._id);
-      if (!product) {
-        throw new Error(`Product not found: ${item.name}`);
-      }
-
-      if (product.status !== "Available") {
-        throw new Error(`Product ${item.name} is currently not available`);
-      }
-
-      if (product.quantity < item.quantity) {
-        throw new Error(
-          `Insufficient stock for ${item.name}. Available: ${product.quantity}`
-        );
-      }
-
-      if (product.price !== item.price || product.offer !== item.offer) {
-        throw new Error(`Price or offer mismatch for ${item.name}`);
-      }
-
-      product.quantity -= item.quantity;
-      if (product.quantity === 0) {
-        product.status = "Not Available";
-      }
-      await product.save();
-    }
-
-    // Validate total amount
-    const calculatedTotal = items.reduce((sum, item) => {
-      const price = item.price * item.quantity;
-      const discount = price * (item.offer / 100);
-      return sum + (price - discount);
-    }, 0);
-
-    if (Math.abs(calculatedTotal - totalAmount) > 0.01) {
-      throw new Error("Total amount calculation mismatch");
+router.post(
+  "/",
+  authorize(AUTHENTICATED),
+  requireVerified,
+  applyProfileDefaults,
+  validateOrderInput,
+  async (req, res) => {
+    try {
+      const order = await placeOrder(req.user, req.body);
+
+      res.status(201).json({
+        message: "Order created successfully",
+        orderId: order._id,
+        estimatedDelivery: order.deliveryDate,
+      });
+    } catch (error) {
+      console.error("Order creation error:", error);
+      res.status(400).json({
+        message: error.message || "Error creating order",
+      });
     }
-
-    const deliveryDate = new Date();
-    deliveryDate.setDate(deliveryDate.getDate() + 5);
-
-    const order = new Order({
-      username: username.trim(),
-      fullName: fullName.trim(),
-      email: email.trim().toLowerCase(),
-      phone: phone.trim(),
-      items,
-      totalAmount,
-      address,
-      paymentMethod,
-      deliveryDate,
-      status: "Pending",
-      orderDate: new Date(),
-    });
-
-    await order.save();
-
-    res.status(201).json({
-      message: "Order created successfully",
-      orderId: order._id,
-      estimatedDelivery: deliveryDate,
-    });
-  } catch (error) {
-    // If an error occurred, try to restore product quantities
-    if (req.body.items) {
-      for (const item of req.body.items) {
-        try {
-          const product = await Product.findById(item._id);
-          if (product) {
-            product.quantity += item.quantity;
-            if (product.quantity > 0) {
-              product.status = "Available";
-            }
-            await product.save();
-          }
-        } catch (restoreError) {
-          console.error("Error restoring product quantity:", restoreError);
-        }
-      }
-    }
-
-    console.error("Order creation error:", error);
-    res.status(400).json({
-      message: error.message || "Error creating order",
-    });
   }
-});
+);
 
 // Get all orders
-router.get("/", async (req, res) => {
+router.get("/", authorize(ADMIN), async (req, res) => {
   try {
     const {
       status,
@@ -253,12 +148,30 @@ router.get("/", async (req, res) => {
 });
 
 // Get user's orders
-router.get("/:username", async (req, res) => {
+router.get("/:username", authorize(AUTHENTICATED), async (req, res) => {
   try {
     const { username } = req.params;
-    const orders = await Order.find({ username })
+
+    if (!isSelfOrAdmin(req.user, username)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // Orders belong to the account, whatever its username was when they
+    // were placed
+    const owner =
+      username === req.user.username
+        ? { _id: req.user.id }
+        : await User.findOne({ username }).select("_id");
+    if (!owner) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Customers don't see which staff member moved their order
+    const orders = await Order.find({ user: owner._id })
       .sort("-orderDate")
-      .select("-__v");
+      .select(
+        req.user.userRole === ADMIN ? "-__v" : "-__v -statusHistory.actor"
+      );
 
     res.json(orders);
   } catch (error) {
@@ -270,17 +183,11 @@ router.get("/:username", async (req, res) => {
   }
 });
 
-// Update order status
-router.patch("/:orderId/status", async (req, res) => {
+// Load the order in req.params.orderId
+const loadOrder = async (req, res, next) => {
   try {
-    const { status, trackingNumber, notes } = req.body;
-
-    if (
-      !["Pending", "Processing", "Shipped", "Delivered", "Cancelled"].includes(
-        status
-      )
-    ) {
-      return res.status(400).json({ message: "Invalid order status" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return res.status(400).json({ message: "Invalid order ID format" });
     }
 
     const order = await Order.findById(req.params.orderId);
@@ -288,45 +195,189 @@ router.patch("/:orderId/status", async (req, res) => {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    if (order.status === "Cancelled") {
-      return res
-        .status(400)
-        .json({ message: "Cannot update status of cancelled order" });
+    req.order = order;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching order",
+      error: error.message,
+    });
+  }
+};
+
+// Reject status changes the caller may not make from the order's current
+// status
+const checkTransition = (req, res, status) => {
+  const allowedStatuses = getAllowedStatuses(req.order, req.user);
+  if (allowedStatuses.includes(status)) return true;
+
+  res.status(400).json({
+    message: `Cannot change order from ${req.order.status} to ${status}`,
+    allowedStatuses,
+  });
+  return false;
+};
+
+// Get order tracking timeline
+router.get(
+  "/:orderId/tracking",
+  authorize(AUTHENTICATED),
+  loadOrder,
+  async (req, res) => {
+    const { order } = req;
+
+    if (!isOwnerOrAdmin(req.user, order)) {
+      return res.status(403).json({ message: "Access denied" });
     }
 
-    // If changing to Cancelled status, restore product quantities
-    if (status === "Cancelled" && order.status !== "Cancelled") {
-      for (const item of order.items) {
-        const product = await Product.findById(item._id);
-        if (product) {
-          product.quantity += item.quantity;
-          product.status = "Available";
-          await product.save();
-        }
+    res.json({
+      orderId: order._id,
+      status: order.status,
+      trackingNumber: order.trackingNumber,
+      orderDate: order.orderDate,
+      deliveryDate: order.deliveryDate,
+      timeline: getTrackingTimeline(order),
+      allowedStatuses: getAllowedStatuses(order, req.user),
+    });
+  }
+);
+
+// Get order invoice
+// JSON by default, or a PDF download with ?format=pdf. Issued on first
+// request for orders that shipped before invoicing existed.
+router.get(
+  "/:orderId/invoice",
+  authorize(AUTHENTICATED),
+  loadOrder,
+  async (req, res) => {
+    try {
+      const { order } = req;
+
+      if (!isOwnerOrAdmin(req.user, order)) {
+        return res.status(403).json({ message: "Access denied" });
+      }
+
+      if (!INVOICEABLE_STATUSES.includes(order.status) && !order.invoice) {
+        return res
+          .status(400)
+          .json({ message: "Orders are invoiced once they have shipped" });
       }
+
+      const invoice = await issueInvoice(order._id);
+      if (!invoice) {
+        return res.status(409).json({
+          message: "Invoice is being generated, please try again shortly",
+        });
+      }
+
+      if (req.query.format === "pdf") {
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${invoice.invoiceNumber.replace(
+            /\//g,
+            "-"
+          )}.pdf"`
+        );
+        return writeInvoicePdf(invoice, res);
+      }
+
+      res.json(invoice);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error generating invoice",
+        error: error.message,
+      });
     }
+  }
+);
+
+// Update order status
+router.patch(
+  "/:orderId/status",
+  authorize(ADMIN),
+  loadOrder,
+  async (req, res) => {
+    try {
+      const { status, trackingNumber, notes, note } = req.body;
+
+      if (!ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({ message: "Invalid order status" });
+      }
+
+      if (!checkTransition(req, res, status)) return;
+
+      const updates = {};
+      if (trackingNumber) updates.trackingNumber = trackingNumber.trim();
+      if (notes) updates.notes = notes.trim();
 
-    order.status = status;
-    if (trackingNumber) order.trackingNumber = trackingNumber.trim();
-    if (notes) order.notes = notes.trim();
+      const updatedOrder = await changeOrderStatus(
+        req.order,
+        status,
+        req.user,
+        note,
+        updates
+      );
 
-    if (status === "Delivered") {
-      order.deliveryDate = new Date();
+      if (!updatedOrder) {
+        return res.status(409).json({
+          message: "Order status was changed by someone else, please reload",
+        });
+      }
+
+      res.json({
+        message: "Order status updated successfully",
+        order: updatedOrder,
+      });
+    } catch (error) {
+      console.error("Error updating order status:", error);
+      res.status(500).json({
+        message: "Error updating order status",
+        error: error.message,
+      });
     }
+  }
+);
+
+// Cancel own order
+// Customers can cancel until the store starts processing the order
+router.post(
+  "/:orderId/cancel",
+  authorize(AUTHENTICATED),
+  loadOrder,
+  async (req, res) => {
+    try {
+      if (!isOwnerOrAdmin(req.user, req.order)) {
+        return res.status(403).json({ message: "Access denied" });
+      }
 
-    await order.save();
+      if (!checkTransition(req, res, "Cancelled")) return;
 
-    res.json({
-      message: "Order status updated successfully",
-      order,
-    });
-  } catch (error) {
-    console.error("Error updating order status:", error);
-    res.status(500).json({
-      message: "Error updating order status",
-      error: error.message,
-    });
+      const updatedOrder = await changeOrderStatus(
+        req.order,
+        "Cancelled",
+        req.user,
+        req.body.reason
+      );
+
+      if (!updatedOrder) {
+        return res.status(409).json({
+          message: "Order status was changed by someone else, please reload",
+        });
+      }
+
+      res.json({
+        message: "Order cancelled successfully",
+        order: updatedOrder,
+      });
+    } catch (error) {
+      console.error("Error cancelling order:", error);
+      res.status(500).json({
+        message: "Error cancelling order",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 module.exports = router;
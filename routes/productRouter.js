@@ -1,10 +1,141 @@
 const express = require("express");
 const router = express.Router();
 const Product = require("../models/Product");
+const Category = require("../models/Category");
+const StockMovement = require("../models/StockMovement");
+const PriceHistory = require("../models/PriceHistory");
+const Order = require("../models/Order");
+const Cart = require("../models/Cart");
+const Review = require("../models/Review");
 const mongoose = require("mongoose");
+const {
+  PUBLIC,
+  ADMIN,
+  ARTISAN,
+  authorize,
+  canManageProduct,
+} = require("../middleware/auth");
+const { resolveCategory, getCategoryTreeIds } = require("../utils/categories");
+const {
+  findVariant,
+  setStock,
+  addVariant,
+  removeVariant,
+  snapshotStock,
+  recordStockChanges,
+  recordMovement,
+} = require("../utils/inventory");
+const {
+  loadActiveCampaigns,
+  withEffectiveOffer,
+  snapshotPrices,
+  recordPriceChanges,
+} = require("../utils/offers");
+const {
+  uploadImages,
+  storeImages,
+  removeStoredImages,
+} = require("../utils/images");
+const {
+  escapeRegex,
+  tokenize,
+  candidatePattern,
+  scoreProduct,
+  PRICE_BANDS,
+  OFFER_RANGES,
+  inRange,
+} = require("../utils/search");
+
+// Fields the create and update requests may set. Ratings are aggregated
+// from reviews, archiving goes through DELETE and restore, and images are
+// uploaded through their own endpoints.
+const PRODUCT_FIELDS = [
+  "name",
+  "description",
+  "quantity",
+  "price",
+  "weight",
+  "image",
+  "status",
+  "category",
+  "offer",
+  "owner",
+  "reorderThreshold",
+];
+
+const pickProductFields = (body) =>
+  Object.fromEntries(
+    PRODUCT_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
+// Weights are optional grams
+const isValidWeight = (weight) =>
+  weight === undefined ||
+  weight === null ||
+  (typeof weight === "number" && weight >= 0);
+
+// Check the fields of a single variant; returns an error message or null
+const getVariantError = (variant) => {
+  if (!variant || typeof variant !== "object") {
+    return "Invalid variant";
+  }
+
+  if (typeof variant.sku !== "string" || !variant.sku.trim()) {
+    return "Variant SKU is required";
+  }
+
+  if (!Number.isInteger(variant.quantity) || variant.quantity < 0) {
+    return "Variant quantity must be a non-negative integer";
+  }
+
+  if (
+    variant.price !== undefined &&
+    variant.price !== null &&
+    (typeof variant.price !== "number" || variant.price <= 0)
+  ) {
+    return "Variant price must be a positive number";
+  }
+
+  if (!isValidWeight(variant.weight)) {
+    return "Variant weight must be a non-negative number of grams";
+  }
+
+  if (
+    variant.attributes !== undefined &&
+    (typeof variant.attributes !== "object" ||
+      Array.isArray(variant.attributes) ||
+      Object.values(variant.attributes).some(
+        (value) => typeof value !== "string"
+      ))
+  ) {
+    return "Variant attributes must map names to text values";
+  }
+
+  if (
+    variant.images !== undefined &&
+    (!Array.isArray(variant.images) ||
+      variant.images.some((image) => typeof image !== "string"))
+  ) {
+    return "Variant images must be a list of URLs";
+  }
+
+  return null;
+};
+
+const validateVariantInput = (req, res, next) => {
+  const error = getVariantError(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  next();
+};
 
 // Input validation middleware
-const validateProductInput = (req, res, next) => {
+const validateProductInput = async (req, res, next) => {
   const { name, price, quantity, category, status } = req.body;
 
   if (!name?.trim()) {
@@ -19,26 +150,35 @@ const validateProductInput = (req, res, next) => {
     });
   }
 
-  if (typeof quantity !== "number" || quantity < 0) {
+  if (req.body.variants !== undefined) {
+    if (!Array.isArray(req.body.variants)) {
+      return res.status(400).json({
+        message: "Variants must be a list",
+      });
+    }
+
+    const variantError = req.body.variants
+      .map(getVariantError)
+      .find((error) => error);
+    if (variantError) {
+      return res.status(400).json({ message: variantError });
+    }
+  }
+
+  // Stock of a product with variants is the sum of its variants
+  const hasVariants = req.body.variants?.length || req.product?.variants.length;
+  if (!hasVariants && (!Number.isInteger(quantity) || quantity < 0)) {
     return res.status(400).json({
-      message: "Quantity must be a non-negative number",
+      message: "Quantity must be a non-negative integer",
     });
   }
 
-  const validCategories = [
-    "Frames",
-    "Wall Hanging",
-    "Bag",
-    "Pen Stand",
-    "Jewellery",
-    "Diyas",
-    "Bottle Art",
-  ];
-
-  if (!validCategories.includes(category)) {
+  if (
+    req.body.description !== undefined &&
+    typeof req.body.description !== "string"
+  ) {
     return res.status(400).json({
-      message: "Invalid product category",
-      validCategories,
+      message: "Description must be text",
     });
   }
 
@@ -48,6 +188,23 @@ const validateProductInput = (req, res, next) => {
     });
   }
 
+  if (!isValidWeight(req.body.weight)) {
+    return res.status(400).json({
+      message: "Weight must be a non-negative number of grams",
+    });
+  }
+
+  if (
+    req.body.reorderThreshold !== undefined &&
+    req.body.reorderThreshold !== null &&
+    (!Number.isInteger(req.body.reorderThreshold) ||
+      req.body.reorderThreshold < 0)
+  ) {
+    return res.status(400).json({
+      message: "Reorder threshold must be a non-negative whole number",
+    });
+  }
+
   if (
     req.body.offer &&
     (typeof req.body.offer !== "number" ||
@@ -59,41 +216,117 @@ const validateProductInput = (req, res, next) => {
     });
   }
 
+  // Categories can be given by id, slug or name; store the id
+  try {
+    const resolvedCategory = await resolveCategory(category);
+    if (!resolvedCategory) {
+      return res.status(400).json({
+        message: "Invalid product category",
+      });
+    }
+    req.body.category = resolvedCategory._id;
+  } catch (error) {
+    return res.status(500).json({
+      message: "Error validating product category",
+      error: error.message,
+    });
+  }
+
   next();
 };
 
-// Create Product
-router.post("/", validateProductInput, async (req, res) => {
+// Load the product in req.params.id and check the caller may manage it
+const loadManagedProduct = async (req, res, next) => {
   try {
-    const product = new Product({
-      ...req.body,
-      name: req.body.name.trim(),
-      offer: req.body.offer || 0,
-    });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid product ID format" });
+    }
 
-    await product.save();
+    const product = await Product.findById(req.params.id);
 
-    res.status(201).json({
-      message: "Product created successfully",
-      product,
-    });
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    if (!canManageProduct(req.user, product)) {
+      return res
+        .status(403)
+        .json({ message: "You can only manage your own products" });
+    }
+
+    req.product = product;
+    next();
   } catch (error) {
-    res.status(400).json({
-      message: "Error creating product",
+    res.status(500).json({
+      message: "Error fetching product",
       error: error.message,
     });
   }
-});
+};
+
+// Create Product
+router.post(
+  "/",
+  authorize(ADMIN, ARTISAN),
+  validateProductInput,
+  async (req, res) => {
+    try {
+      const product = new Product({
+        ...pickProductFields(req.body),
+        variants: req.body.variants,
+        name: req.body.name.trim(),
+        offer: req.body.offer || 0,
+        // Artisans always own what they list; admins may assign an owner
+        owner: req.user.userRole === ARTISAN ? req.user.id : req.body.owner,
+      });
+
+      await product.save();
+      await recordStockChanges(product, new Map(), {
+        reason: "initial_stock",
+      });
+      await recordPriceChanges(product);
+
+      res.status(201).json({
+        message: "Product created successfully",
+        product,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error creating product",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Repeated parameters (?q=a&q=b) arrive as arrays and bracketed ones as
+// objects; returns the first such parameter, as filters take single values
+const findMultiValuedParam = (query) =>
+  Object.keys(query).find((name) => typeof query[name] !== "string");
+
+// Search scores at most this many candidate products. When more match, the
+// response says it was truncated and its totals and facets only cover the
+// candidates that were scored.
+const MAX_SEARCH_CANDIDATES = Number(process.env.MAX_SEARCH_CANDIDATES) || 1000;
 
 // Get All Products with filtering and sorting
-router.get("/", async (req, res) => {
+router.get("/", authorize(PUBLIC), async (req, res) => {
   try {
+    const multiValued = findMultiValuedParam(req.query);
+    if (multiValued) {
+      return res.status(400).json({
+        message: `Query parameter ${multiValued} must be a single value`,
+      });
+    }
+
     const {
       category,
       status,
       minPrice,
       maxPrice,
       inStock,
+      minRating,
+      owner,
       search,
       sortBy = "name",
       sortOrder = "asc",
@@ -101,43 +334,65 @@ router.get("/", async (req, res) => {
       limit = 10,
     } = req.query;
 
-    let query = {};
+    let query = { archivedAt: null };
 
+    // A category also matches products in its sub-categories
     if (category) {
-      query.category = category;
+      const resolvedCategory = await resolveCategory(category);
+      query.category = {
+        $in: resolvedCategory
+          ? await getCategoryTreeIds(resolvedCategory._id)
+          : [],
+      };
     }
 
     if (status) {
       query.status = status;
     }
 
+    // A product matches when its own price or any variant price is in range
     if (minPrice !== undefined || maxPrice !== undefined) {
-      query.price = {};
-      if (minPrice !== undefined) query.price.$gte = Number(minPrice);
-      if (maxPrice !== undefined) query.price.$lte = Number(maxPrice);
+      const priceRange = {};
+      if (minPrice !== undefined) priceRange.$gte = Number(minPrice);
+      if (maxPrice !== undefined) priceRange.$lte = Number(maxPrice);
+      query.$or = [{ price: priceRange }, { "variants.price": priceRange }];
     }
 
     if (inStock === "true") {
       query.quantity = { $gt: 0 };
     }
 
+    if (minRating !== undefined) {
+      query.ratingAverage = { $gte: Number(minRating) };
+    }
+
+    if (owner) {
+      query.owner = owner;
+    }
+
     if (search) {
-      query.name = { $regex: search, $options: "i" };
+      query.name = { $regex: escapeRegex(search), $options: "i" };
     }
 
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
 
-    const [products, total] = await Promise.all([
+    const pageSize = Math.min(Number(limit) || 10, 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+
+    const [products, total, campaigns] = await Promise.all([
       Product.find(query)
+        .populate("category", "name slug")
         .sort(sortOptions)
-        .skip((page - 1) * limit),
-      // .limit(Number(limit)),
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
       Product.countDocuments(query),
+      loadActiveCampaigns(),
     ]);
 
     // Get category statistics
     const categoryStats = await Product.aggregate([
+      { $match: { archivedAt: null } },
       {
         $group: {
           _id: "$category",
@@ -150,11 +405,17 @@ router.get("/", async (req, res) => {
         },
       },
     ]);
+    await Category.populate(categoryStats, {
+      path: "_id",
+      select: "name slug",
+    });
 
     res.json({
-      products,
-      currentPage: Number(page),
-      totalPages: Math.ceil(total / limit),
+      products: products.map((product) =>
+        withEffectiveOffer(product, campaigns)
+      ),
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
       totalProducts: total,
       categoryStats,
     });
@@ -167,9 +428,10 @@ router.get("/", async (req, res) => {
 });
 
 // Get Product Statistics
-router.get("/statistics", async (req, res) => {
+router.get("/statistics", authorize(ADMIN), async (req, res) => {
   try {
     const stats = await Product.aggregate([
+      { $match: { archivedAt: null } },
       {
         $group: {
           _id: null,
@@ -184,6 +446,7 @@ router.get("/statistics", async (req, res) => {
     ]);
 
     const categoryDistribution = await Product.aggregate([
+      { $match: { archivedAt: null } },
       {
         $group: {
           _id: "$category",
@@ -192,6 +455,10 @@ router.get("/statistics", async (req, res) => {
         },
       },
     ]);
+    await Category.populate(categoryDistribution, {
+      path: "_id",
+      select: "name slug",
+    });
 
     res.json({
       overview: stats[0] || {
@@ -210,114 +477,947 @@ router.get("/statistics", async (req, res) => {
   }
 });
 
-// Get Product By ID
-router.get("/:id", async (req, res) => {
+// Search Products
+// Ranks products by how well q matches their name, category and
+// description. Each facet counts the results of all other active filters, so
+// picking a price band still shows how many results the other bands have.
+// MongoDB narrows the catalog to products that could match q (and meet
+// minRating, which has no facet) before they are scored here.
+router.get("/search", authorize(PUBLIC), async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const multiValued = findMultiValuedParam(req.query);
+    if (multiValued) {
+      return res.status(400).json({
+        message: `Query parameter ${multiValued} must be a single value`,
+      });
+    }
 
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
+    const {
+      q = "",
+      category,
+      minPrice,
+      maxPrice,
+      minOffer,
+      inStock,
+      minRating,
+      sortBy = "relevance",
+      sortOrder = "asc",
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    const terms = tokenize(q);
+    const pageSize = Math.min(Number(limit) || 10, 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+
+    const candidates = { archivedAt: null };
+    if (minRating !== undefined) {
+      candidates.ratingAverage = { $gte: Number(minRating) };
+    }
+    // Every term has to match the name, description or category name
+    const patterns = terms.map((term) => ({
+      $regex: candidatePattern(term),
+      $options: "i",
+    }));
+    if (terms.length) {
+      candidates.$and = [];
+      for (const pattern of patterns) {
+        const categories = await Category.find({ name: pattern }).select("_id");
+        candidates.$and.push({
+          $or: [
+            { name: pattern },
+            { description: pattern },
+            { category: { $in: categories.map((category) => category._id) } },
+          ],
+        });
+      }
+    }
+
+    const findCandidates = (query, limit) =>
+      Product.find(query)
+        .populate("category", "name slug")
+        .sort({ _id: -1 })
+        .limit(limit)
+        .lean();
+
+    // Products named after every term score highest, so they are taken
+    // first when there are more candidates than can be scored. One more
+    // than the limit is fetched to tell whether any were left out.
+    const products = terms.length
+      ? await findCandidates(
+          {
+            ...candidates,
+            $and: [
+              ...candidates.$and,
+              ...patterns.map((pattern) => ({ name: pattern })),
+            ],
+          },
+          MAX_SEARCH_CANDIDATES + 1
+        )
+      : [];
+    if (products.length <= MAX_SEARCH_CANDIDATES) {
+      products.push(
+        ...(await findCandidates(
+          {
+            ...candidates,
+            _id: { $nin: products.map((product) => product._id) },
+          },
+          MAX_SEARCH_CANDIDATES + 1 - products.length
+        ))
+      );
     }
+    const truncated = products.length > MAX_SEARCH_CANDIDATES;
+    products.splice(MAX_SEARCH_CANDIDATES);
+    const campaigns = await loadActiveCampaigns();
 
-    res.json(product);
+    // Score every product; without a query everything matches equally
+    const matches = products
+      .map((product) => ({
+        ...withEffectiveOffer(product, campaigns),
+        score: terms.length
+          ? scoreProduct(
+              {
+                name: product.name,
+                description: product.description,
+                category: product.category?.name,
+              },
+              terms
+            )
+          : 0,
+      }))
+      .filter((product) => !terms.length || product.score > 0);
+
+    // The lowest price a product can be bought at, variants included
+    const lowestPrice = (product) =>
+      Math.min(
+        ...(product.variants?.length
+          ? product.variants.map((variant) => variant.price ?? product.price)
+          : [product.price])
+      );
+    const isInStock = (product) =>
+      product.status === "Available" && product.quantity > 0;
+
+    const filters = {};
+    if (category) {
+      const resolvedCategory = await resolveCategory(category);
+      const categoryIds = new Set(
+        resolvedCategory
+          ? (await getCategoryTreeIds(resolvedCategory._id)).map(String)
+          : []
+      );
+      filters.category = (product) =>
+        categoryIds.has(String(product.category?._id));
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const range = {
+        min: Number(minPrice) || 0,
+        max: maxPrice !== undefined ? Number(maxPrice) : Infinity,
+      };
+      filters.price = (product) => {
+        const price = lowestPrice(product);
+        return price >= range.min && price <= range.max;
+      };
+    }
+    if (minOffer !== undefined) {
+      filters.offer = (product) => product.effectiveOffer >= Number(minOffer);
+    }
+    if (inStock !== undefined) {
+      filters.availability = (product) =>
+        isInStock(product) === (inStock === "true");
+    }
+
+    const applyFilters = (items, except) =>
+      items.filter((product) =>
+        Object.entries(filters).every(
+          ([name, test]) => name === except || test(product)
+        )
+      );
+
+    const results = applyFilters(matches);
+
+    const direction = sortOrder === "desc" ? -1 : 1;
+    const comparators = {
+      price: (a, b) => direction * (lowestPrice(a) - lowestPrice(b)),
+      name: (a, b) => direction * a.name.localeCompare(b.name),
+      offer: (a, b) => direction * (a.effectiveOffer - b.effectiveOffer),
+      rating: (a, b) =>
+        direction * ((a.ratingAverage || 0) - (b.ratingAverage || 0)) ||
+        (b.ratingCount || 0) - (a.ratingCount || 0),
+      relevance: (a, b) => b.score - a.score || a.name.localeCompare(b.name),
+    };
+    results.sort(comparators[sortBy] || comparators.relevance);
+
+    // Facet counts
+    const categoryCounts = new Map();
+    applyFilters(matches, "category").forEach((product) => {
+      if (!product.category) return;
+      const id = String(product.category._id);
+      const entry = categoryCounts.get(id) || { ...product.category, count: 0 };
+      entry.count += 1;
+      categoryCounts.set(id, entry);
+    });
+
+    const priceMatches = applyFilters(matches, "price");
+    const offerMatches = applyFilters(matches, "offer");
+    const availabilityMatches = applyFilters(matches, "availability");
+
+    res.json({
+      products: results.slice(
+        (currentPage - 1) * pageSize,
+        currentPage * pageSize
+      ),
+      currentPage,
+      totalPages: Math.ceil(results.length / pageSize),
+      totalProducts: results.length,
+      truncated,
+      facets: {
+        categories: [...categoryCounts.values()].sort(
+          (a, b) => b.count - a.count
+        ),
+        priceBands: PRICE_BANDS.map((band) => ({
+          ...band,
+          count: priceMatches.filter((product) =>
+            inRange(lowestPrice(product), band)
+          ).length,
+        })),
+        offers: OFFER_RANGES.map((range) => ({
+          ...range,
+          count: offerMatches.filter(
+            (product) => product.effectiveOffer >= range.min
+          ).length,
+        })),
+        availability: {
+          inStock: availabilityMatches.filter(isInStock).length,
+          outOfStock: availabilityMatches.filter(
+            (product) => !isInStock(product)
+          ).length,
+        },
+      },
+    });
   } catch (error) {
     res.status(500).json({
-      message: "Error fetching product",
+      message: "Error searching products",
       error: error.message,
     });
   }
 });
 
-// Update Product
-router.put("/:id", validateProductInput, async (req, res) => {
+// Get Archived Products
+// Artisans only see their own archived products
+router.get("/archived", authorize(ADMIN, ARTISAN), async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      {
-        ...req.body,
-        name: req.body.name.trim(),
-        offer: req.body.offer || 0,
-      },
-      { new: true, runValidators: true }
-    );
+    const { page = 1, limit = 10 } = req.query;
 
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
+    const query = { archivedAt: { $ne: null } };
+    if (req.user.userRole === ARTISAN) {
+      query.owner = req.user.id;
     }
 
+    const pageSize = Math.min(Number(limit) || 10, 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .populate("category", "name slug")
+        .sort({ archivedAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      Product.countDocuments(query),
+    ]);
+
     res.json({
-      message: "Product updated successfully",
-      product,
+      products,
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
+      totalProducts: total,
     });
   } catch (error) {
-    res.status(400).json({
-      message: "Error updating product",
+    res.status(500).json({
+      message: "Error fetching archived products",
       error: error.message,
     });
   }
 });
 
-// Delete Product
-router.delete("/:id", async (req, res) => {
+// Get Product By ID
+// Archived products stay readable so past orders can link to them
+router.get("/:id", authorize(PUBLIC), async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id).populate(
+      "category",
+      "name slug"
+    );
 
     if (!product) {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    // Check if product has any pending orders
-    // This would require access to the Order model and checking for pending orders
-    // Add this functionality if needed
-
-    await product.remove();
-
-    res.json({
-      message: "Product deleted successfully",
-      deletedProduct: product,
-    });
+    res.json(withEffectiveOffer(product, await loadActiveCampaigns()));
   } catch (error) {
     res.status(500).json({
-      message: "Error deleting product",
+      message: "Error fetching product",
       error: error.message,
     });
   }
 });
 
+// Update Product
+router.put(
+  "/:id",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  validateProductInput,
+  async (req, res) => {
+    try {
+      const updates = {
+        ...pickProductFields(req.body),
+        name: req.body.name.trim(),
+        offer: req.body.offer || 0,
+      };
+
+      // Only admins can hand a product over to another owner
+      if (req.user.userRole !== ADMIN) {
+        delete updates.owner;
+      }
+
+      // Stock is left out of the update and only goes through setStock
+      // when the request changes it, so resubmitting the stock shown when
+      // the product was loaded can't undo sales made since. Stock of a
+      // product with variants is set per variant.
+      const { product } = req;
+      const { quantity } = updates;
+      delete updates.quantity;
+      const pricesBefore = snapshotPrices(product);
+
+      let updated = await Product.findByIdAndUpdate(product._id, updates, {
+        new: true,
+        runValidators: true,
+      });
+      if (!updated) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+      if (
+        !updated.variants.length &&
+        quantity !== undefined &&
+        quantity !== product.quantity
+      ) {
+        updated =
+          (await setStock(product._id, undefined, quantity, {
+            reason: "manual_adjustment",
+          })) || updated;
+      }
+      await recordPriceChanges(updated, pricesBefore);
+
+      res.json({
+        message: "Product updated successfully",
+        product: updated,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error updating product",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete Product
+// Archives the product: it leaves the catalog but stays readable for past
+// orders. Admins can remove it for good with ?permanent=true once no open
+// order needs it any more.
+router.delete(
+  "/:id",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      const { product } = req;
+
+      if (req.query.permanent !== "true") {
+        if (!product.archivedAt) {
+          product.archivedAt = new Date();
+          product.archivedBy = req.user.id;
+          await product.save();
+        }
+
+        return res.json({
+          message: "Product archived successfully",
+          product,
+        });
+      }
+
+      if (req.user.userRole !== ADMIN) {
+        return res
+          .status(403)
+          .json({ message: "Only admins can delete products permanently" });
+      }
+
+      const openOrders = await Order.countDocuments({
+        "items._id": product._id.toString(),
+        status: { $in: ["Pending", "Processing", "Shipped"] },
+      });
+      if (openOrders) {
+        return res.status(409).json({
+          message: `Product is part of ${openOrders} open order(s); archive it instead`,
+          openOrders,
+        });
+      }
+
+      await product.deleteOne();
+      await Cart.updateMany(
+        { "items.product": product._id },
+        { $pull: { items: { product: product._id } } }
+      );
+      await Review.deleteMany({ product: product._id });
+
+      res.json({
+        message: "Product deleted successfully",
+        deletedProduct: product,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error deleting product",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Restore Archived Product
+router.post(
+  "/:id/restore",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      const { product } = req;
+
+      if (!product.archivedAt) {
+        return res.status(400).json({ message: "Product is not archived" });
+      }
+
+      product.archivedAt = null;
+      product.archivedBy = undefined;
+      await product.save();
+
+      res.json({
+        message: "Product restored successfully",
+        product,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error restoring product",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // Update Product Stock
-router.patch("/:id/stock", async (req, res) => {
-  try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: "Invalid product ID format" });
+router.patch(
+  "/:id/stock",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      const { quantity, variantId, note } = req.body;
+
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        return res.status(400).json({ message: "Invalid quantity value" });
+      }
+
+      const { product } = req;
+
+      // Stock of a product with variants is set per variant
+      const variant = findVariant(product, variantId);
+      if (product.variants.length && !variant) {
+        return res.status(400).json({
+          message: variantId
+            ? "Variant not found"
+            : "variantId is required for products with variants",
+        });
+      }
+
+      const updated = await setStock(product._id, variant?._id, quantity, {
+        reason: "manual_adjustment",
+        note: typeof note === "string" ? note.trim() : undefined,
+      });
+      if (!updated) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      res.json({
+        message: "Product stock updated successfully",
+        product: updated,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error updating product stock",
+        error: error.message,
+      });
     }
+  }
+);
+
+// Get Product Stock History
+router.get(
+  "/:id/stock-history",
+  authorize(ADMIN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      const {
+        variantId,
+        reason,
+        startDate,
+        endDate,
+        page = 1,
+        limit = 20,
+      } = req.query;
 
-    const { quantity } = req.body;
+      const query = { product: req.product._id };
+      if (variantId) query.variantId = variantId;
+      if (reason) query.reason = reason;
+      if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
+      }
 
-    if (typeof quantity !== "number" || quantity < 0) {
-      return res.status(400).json({ message: "Invalid quantity value" });
+      const pageSize = Math.min(Number(limit) || 20, 100);
+      const currentPage = Math.max(Number(page) || 1, 1);
+
+      const [movements, total] = await Promise.all([
+        StockMovement.find(query)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((currentPage - 1) * pageSize)
+          .limit(pageSize),
+        StockMovement.countDocuments(query),
+      ]);
+
+      res.json({
+        movements,
+        currentPage,
+        totalPages: Math.ceil(total / pageSize),
+        totalMovements: total,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching stock history",
+        error: error.message,
+      });
     }
+  }
+);
 
-    const product = await Product.findById(req.params.id);
+// Get Product Price History
+router.get(
+  "/:id/price-history",
+  authorize(ADMIN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      const {
+        variantId,
+        reason,
+        startDate,
+        endDate,
+        page = 1,
+        limit = 20,
+      } = req.query;
 
-    if (!product) {
-      return res.status(404).json({ message: "Product not found" });
+      const query = { product: req.product._id };
+      if (variantId) query.variantId = variantId;
+      if (reason) query.reason = reason;
+      if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
+      }
+
+      const pageSize = Math.min(Number(limit) || 20, 100);
+      const currentPage = Math.max(Number(page) || 1, 1);
+
+      const [entries, total] = await Promise.all([
+        PriceHistory.find(query)
+          .populate("campaign", "name discountType discountValue")
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((currentPage - 1) * pageSize)
+          .limit(pageSize),
+        PriceHistory.countDocuments(query),
+      ]);
+
+      res.json({
+        entries,
+        currentPage,
+        totalPages: Math.ceil(total / pageSize),
+        totalEntries: total,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching price history",
+        error: error.message,
+      });
     }
+  }
+);
 
-    product.quantity = quantity;
-    product.status = quantity > 0 ? "Available" : "Not Available";
+// Compare the stock the ledger adds up to with the product's actual stock,
+// per variant (or for the product itself when it has no variants)
+const reconcileStock = async (product) => {
+  const totals = await StockMovement.aggregate([
+    { $match: { product: product._id } },
+    {
+      $group: {
+        _id: { $ifNull: ["$variantId", ""] },
+        recorded: { $sum: "$delta" },
+        movements: { $sum: 1 },
+      },
+    },
+  ]);
+  const recordedByKey = new Map(totals.map((total) => [total._id, total]));
+  const actual = snapshotStock(product);
 
-    await product.save();
+  const keys = new Set([...actual.keys(), ...recordedByKey.keys()]);
+  const lines = [...keys].map((key) => {
+    const recorded = recordedByKey.get(key)?.recorded || 0;
+    const actualQuantity = actual.get(key)?.quantity || 0;
+    return {
+      variantId: key || undefined,
+      sku: actual.get(key)?.sku,
+      actual: actualQuantity,
+      recorded,
+      difference: actualQuantity - recorded,
+      movements: recordedByKey.get(key)?.movements || 0,
+    };
+  });
 
-    res.json({
-      message: "Product stock updated successfully",
-      product,
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: "Error updating product stock",
-      error: error.message,
-    });
+  return {
+    product: product._id,
+    quantity: product.quantity,
+    recordedTotal: lines.reduce((sum, line) => sum + line.recorded, 0),
+    balanced: lines.every((line) => !line.difference),
+    lines,
+  };
+};
+
+// Get Product Stock Reconciliation
+router.get(
+  "/:id/stock-reconciliation",
+  authorize(ADMIN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      res.json(await reconcileStock(req.product));
+    } catch (error) {
+      res.status(500).json({
+        message: "Error reconciling stock",
+        error: error.message,
+      });
+    }
   }
-});
+);
+
+// Reconcile Product Stock
+// Accepts the product's current stock as correct and records a
+// reconciliation movement for every difference; stock itself is unchanged
+router.post(
+  "/:id/stock-reconciliation",
+  authorize(ADMIN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      const { note } = req.body;
+      const { product } = req;
+      const before = await reconcileStock(product);
+
+      for (const line of before.lines) {
+        if (line.difference) {
+          await recordMovement(product, line.variantId, line.difference, {
+            reason: "reconciliation",
+            sku: line.sku,
+            note: typeof note === "string" ? note.trim() : undefined,
+          });
+        }
+      }
+
+      res.json({
+        message: before.balanced
+          ? "Stock ledger is already balanced"
+          : "Stock ledger reconciled",
+        before,
+        after: await reconcileStock(product),
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error reconciling stock",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Add Product Variant
+router.post(
+  "/:id/variants",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  validateVariantInput,
+  async (req, res) => {
+    try {
+      const { sku, attributes, price, quantity, images, weight } = req.body;
+      const { product } = req;
+      const pricesBefore = snapshotPrices(product);
+
+      // The first variant takes over from the product-level stock
+      const updated = await addVariant(
+        product._id,
+        { sku: sku.trim(), attributes, price, quantity, images, weight },
+        { reason: "manual_adjustment", note: `Variant ${sku.trim()} added` }
+      );
+      if (!updated) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+      await recordPriceChanges(updated, pricesBefore);
+
+      res.status(201).json({
+        message: "Variant added successfully",
+        variant: updated.variants[updated.variants.length - 1],
+        product: updated,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error adding variant",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update Product Variant
+router.put(
+  "/:id/variants/:variantId",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  validateVariantInput,
+  async (req, res) => {
+    try {
+      const { product } = req;
+      const variant = findVariant(product, req.params.variantId);
+
+      if (!variant) {
+        return res.status(404).json({ message: "Variant not found" });
+      }
+
+      const {
+        sku,
+        attributes = {},
+        price,
+        quantity,
+        images = [],
+        weight,
+      } = req.body;
+      const pricesBefore = snapshotPrices(product);
+
+      if (
+        product.variants.some(
+          (other) => other !== variant && other.sku === sku.trim()
+        )
+      ) {
+        return res.status(400).json({ message: "Variant SKUs must be unique" });
+      }
+
+      // Written field by field rather than saving the product, which would
+      // write back stock totals as they were when it was loaded. Price and
+      // weight fall back to the product's when left out.
+      const fields = {
+        sku: sku.trim(),
+        attributes,
+        price,
+        images,
+        weight,
+      };
+      const $set = {};
+      const $unset = {};
+      for (const [field, value] of Object.entries(fields)) {
+        if (value === undefined || value === null) {
+          $unset[`variants.$.${field}`] = "";
+        } else {
+          $set[`variants.$.${field}`] = value;
+        }
+      }
+      await Product.updateOne(
+        { _id: product._id, "variants._id": variant._id },
+        { $set, $unset },
+        { runValidators: true }
+      );
+      const updated = await setStock(product._id, variant._id, quantity, {
+        reason: "manual_adjustment",
+      });
+      if (!updated) {
+        return res.status(404).json({ message: "Variant not found" });
+      }
+      await recordPriceChanges(updated, pricesBefore);
+
+      res.json({
+        message: "Variant updated successfully",
+        variant: findVariant(updated, variant._id),
+        product: updated,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error updating variant",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete Product Variant
+router.delete(
+  "/:id/variants/:variantId",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      const { product } = req;
+      const variant = findVariant(product, req.params.variantId);
+
+      if (!variant) {
+        return res.status(404).json({ message: "Variant not found" });
+      }
+
+      // Without variants left the product has no stock of its own to sell
+      const updated = await removeVariant(product._id, variant._id, {
+        reason: "variant_removed",
+      });
+      if (!updated) {
+        return res.status(404).json({ message: "Variant not found" });
+      }
+
+      res.json({
+        message: "Variant deleted successfully",
+        product: updated,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error deleting variant",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Upload Product Images
+router.post(
+  "/:id/images",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  uploadImages("images"),
+  async (req, res) => {
+    try {
+      const { product } = req;
+      const images = await storeImages(req.files, `products/${product._id}`);
+
+      product.images.push(...images);
+      product.image = product.images[0].url;
+
+      try {
+        await product.save();
+      } catch (error) {
+        await removeStoredImages(images);
+        throw error;
+      }
+
+      res.status(201).json({
+        message: "Product images uploaded successfully",
+        images: product.images,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error uploading product images",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Reorder Product Images
+router.put(
+  "/:id/images/order",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      const { imageIds } = req.body;
+      const { product } = req;
+
+      const currentIds = product.images.map((image) => image._id.toString());
+      if (
+        !Array.isArray(imageIds) ||
+        imageIds.length !== currentIds.length ||
+        [...imageIds].sort().join() !== [...currentIds].sort().join()
+      ) {
+        return res.status(400).json({
+          message: "imageIds must list every image of the product once",
+        });
+      }
+
+      product.images = imageIds.map((id) => product.images.id(id));
+      if (product.images.length) {
+        product.image = product.images[0].url;
+      }
+
+      await product.save();
+
+      res.json({
+        message: "Product images reordered successfully",
+        images: product.images,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error reordering product images",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete Product Image
+router.delete(
+  "/:id/images/:imageId",
+  authorize(ADMIN, ARTISAN),
+  loadManagedProduct,
+  async (req, res) => {
+    try {
+      const { product } = req;
+      const image = product.images.id(req.params.imageId);
+
+      if (!image) {
+        return res.status(404).json({ message: "Image not found" });
+      }
+
+      image.deleteOne();
+      if (product.images.length) {
+        product.image = product.images[0].url;
+      } else if (product.image === image.url) {
+        product.image = undefined;
+      }
+
+      await product.save();
+      await removeStoredImages([image]);
+
+      res.json({
+        message: "Product image deleted successfully",
+        images: product.images,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error deleting product image",
+        error: error.message,
+      });
+    }
+  }
+);
 
 module.exports = router;
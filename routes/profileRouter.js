@@ -0,0 +1,344 @@
+const express = require("express");
+const bcrypt = require("bcrypt");
+const router = express.Router();
+const User = require("../models/User");
+const { AUTHENTICATED, ADMIN, authorize } = require("../middleware/auth");
+const { sendVerificationEmail } = require("../utils/accountEmails");
+const {
+  collectPersonalData,
+  erasePersonalData,
+} = require("../utils/personalData");
+
+// Fields users may change on their own profile. The username is fixed
+// because past orders are keyed by it.
+const PROFILE_FIELDS = ["fullName", "phone", "email"];
+const ADDRESS_FIELDS = [
+  "label",
+  "fullName",
+  "phone",
+  "street",
+  "city",
+  "state",
+  "postalCode",
+  "country",
+];
+
+// Every profile endpoint acts on the caller's own account
+router.use(authorize(AUTHENTICATED));
+
+// Input validation middleware
+const validateProfileInput = (req, res, next) => {
+  const { email, phone } = req.body;
+
+  // Basic email validation
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (email !== undefined && !emailRegex.test(email)) {
+    return res.status(400).json({ message: "Invalid email format" });
+  }
+
+  // Basic phone validation
+  const phoneRegex = /^\+?[\d\s-()]{8,}$/;
+  if (phone && !phoneRegex.test(phone)) {
+    return res.status(400).json({ message: "Invalid phone number format" });
+  }
+
+  next();
+};
+
+const validateAddressInput = (req, res, next) => {
+  const { street, city, state, postalCode, phone } = req.body;
+
+  if (
+    !street?.trim() ||
+    !city?.trim() ||
+    !state?.trim() ||
+    !postalCode?.trim()
+  ) {
+    return res.status(400).json({
+      message: "Street, city, state and postal code are required",
+    });
+  }
+
+  const phoneRegex = /^\+?[\d\s-()]{8,}$/;
+  if (phone && !phoneRegex.test(phone)) {
+    return res.status(400).json({ message: "Invalid phone number format" });
+  }
+
+  next();
+};
+
+// Copy the allowed keys of body, trimming strings
+const pickFields = (body, fields) =>
+  fields.reduce((picked, field) => {
+    if (body[field] !== undefined) {
+      picked[field] =
+        typeof body[field] === "string" ? body[field].trim() : body[field];
+    }
+    return picked;
+  }, {});
+
+// Make the given address the only default one
+const setDefaultAddress = (user, address) => {
+  user.addresses.forEach((a) => {
+    a.isDefault = a._id.equals(address._id);
+  });
+};
+
+// Get profile
+router.get("/", async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      "-password -tokenVersion"
+    );
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching profile",
+      error: error.message,
+    });
+  }
+});
+
+// Update profile
+router.put("/", validateProfileInput, async (req, res) => {
+  try {
+    const updates = pickFields(req.body, PROFILE_FIELDS);
+
+    if (updates.email) {
+      updates.email = updates.email.toLowerCase();
+    }
+
+    const emailChanged = updates.email && updates.email !== req.user.email;
+
+    if (emailChanged) {
+      const existingUser = await User.findOne({
+        _id: { $ne: req.user.id },
+        email: updates.email,
+      });
+      if (existingUser) {
+        return res.status(400).json({ message: "Email is already registered" });
+      }
+
+      // A new email address has to be verified again
+      updates.isVerified = false;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select("-password -tokenVersion");
+
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error("Error sending verification email:", mailError);
+      }
+    }
+
+    res.json({
+      message: "Profile updated successfully",
+      user,
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error updating profile",
+      error: error.message,
+    });
+  }
+});
+
+// Download everything we hold about the caller
+router.get("/export", async (req, res) => {
+  try {
+    const data = await collectPersonalData(req.user.id);
+    if (!data) return res.status(404).json({ message: "User not found" });
+
+    res.attachment(`craftculture-data-${req.user.username}.json`);
+    res.type("application/json");
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    res.status(500).json({
+      message: "Error exporting personal data",
+      error: error.message,
+    });
+  }
+});
+
+// Erase the caller's account. Orders and donations stay for accounting
+// but are anonymised; everything else linked to the account is deleted.
+router.delete("/", async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const isValid =
+      typeof password === "string" &&
+      (await bcrypt.compare(password, user.password));
+    if (!isValid) {
+      return res
+        .status(400)
+        .json({ message: "Please confirm with your current password" });
+    }
+
+    if (user.userRole === ADMIN) {
+      const adminCount = await User.countDocuments({ userRole: ADMIN });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          message: "Cannot delete the last admin account",
+        });
+      }
+    }
+
+    const summary = await erasePersonalData(user._id);
+
+    res.json({
+      message: "Your account and personal data have been erased",
+      ...summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error erasing account",
+      error: error.message,
+    });
+  }
+});
+
+// List saved addresses
+router.get("/addresses", async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("addresses");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json(user.addresses);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching addresses",
+      error: error.message,
+    });
+  }
+});
+
+// Add an address
+router.post("/addresses", validateAddressInput, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.addresses.push(pickFields(req.body, ADDRESS_FIELDS));
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address, or one explicitly marked, becomes the default
+    if (req.body.isDefault || user.addresses.length === 1) {
+      setDefaultAddress(user, address);
+    }
+
+    await user.save();
+
+    res.status(201).json({
+      message: "Address added successfully",
+      address,
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error adding address",
+      error: error.message,
+    });
+  }
+});
+
+// Update an address
+router.put("/addresses/:addressId", validateAddressInput, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    address.set(pickFields(req.body, ADDRESS_FIELDS));
+    if (req.body.isDefault) {
+      setDefaultAddress(user, address);
+    }
+
+    await user.save();
+
+    res.json({
+      message: "Address updated successfully",
+      address,
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error updating address",
+      error: error.message,
+    });
+  }
+});
+
+// Make an address the default
+router.patch("/addresses/:addressId/default", async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    setDefaultAddress(user, address);
+    await user.save();
+
+    res.json({
+      message: "Default address updated successfully",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error updating default address",
+      error: error.message,
+    });
+  }
+});
+
+// Delete an address
+router.delete("/addresses/:addressId", async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    address.deleteOne();
+
+    // Keep a default as long as any address is left
+    if (address.isDefault && user.addresses.length) {
+      setDefaultAddress(user, user.addresses[0]);
+    }
+
+    await user.save();
+
+    res.json({
+      message: "Address deleted successfully",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error deleting address",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,704 @@
+const express = require("express");
+const router = express.Router();
+const ReturnRequest = require("../models/ReturnRequest");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const mongoose = require("mongoose");
+const {
+  AUTHENTICATED,
+  ADMIN,
+  authorize,
+  requireVerified,
+  isOwnerOrAdmin,
+} = require("../middleware/auth");
+const {
+  findVariant,
+  getUnitPrice,
+  takeStock,
+  returnStock,
+} = require("../utils/inventory");
+const { lineKey } = require("../utils/orders");
+const { historyEntry } = require("../utils/orderStatus");
+const {
+  uploadImages,
+  storeImages,
+  removeStoredImages,
+} = require("../utils/images");
+const {
+  RETURN_WINDOW_DAYS,
+  RETURN_TRANSITIONS,
+  getReturnDeadline,
+  getReturnableQuantities,
+  withReturnLock,
+  getPaidUnitPrice,
+  getRefundableAmount,
+  changeReturnStatus,
+  settleReturnedOrder,
+} = require("../utils/returns");
+
+const MAX_PHOTOS = 5;
+
+// Customers don't see which staff member handled their request
+const withoutActors = (request) => {
+  const data = request.toObject();
+  data.statusHistory = data.statusHistory.map(({ actor, ...entry }) => entry);
+  return data;
+};
+
+// Input validation middleware
+const validateReturnInput = (req, res, next) => {
+  const { order, type, items, reason, description } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(order)) {
+    return res.status(400).json({ message: "Invalid order ID format" });
+  }
+
+  if (!["return", "exchange"].includes(type)) {
+    return res.status(400).json({ message: "Type must be return or exchange" });
+  }
+
+  if (!reason?.trim() || reason.length > 500) {
+    return res.status(400).json({
+      message: "A reason is required and may be at most 500 characters",
+    });
+  }
+
+  if (
+    description !== undefined &&
+    (typeof description !== "string" || description.length > 2000)
+  ) {
+    return res.status(400).json({
+      message: "Description may be at most 2000 characters",
+    });
+  }
+
+  if (!Array.isArray(items) || !items.length) {
+    return res
+      .status(400)
+      .json({ message: "Choose at least one item to return" });
+  }
+
+  const invalidItem = items.find(
+    (item) =>
+      !item ||
+      typeof item.product !== "string" ||
+      !Number.isInteger(item.quantity) ||
+      item.quantity < 1
+  );
+  if (invalidItem) {
+    return res.status(400).json({
+      message: "Every item needs a product and a whole quantity of at least 1",
+    });
+  }
+
+  const keys = items.map((item) => lineKey(item.product, item.variantId));
+  if (new Set(keys).size !== keys.length) {
+    return res
+      .status(400)
+      .json({ message: "Each order item can only be listed once" });
+  }
+
+  next();
+};
+
+// Load the return request in req.params.id; only its customer and admins
+// may see it
+const loadReturnRequest = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid return request ID format" });
+    }
+
+    const request = await ReturnRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: "Return request not found" });
+    }
+
+    if (!isOwnerOrAdmin(req.user, request)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    req.returnRequest = request;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching return request",
+      error: error.message,
+    });
+  }
+};
+
+// Reject moves the return request's workflow does not allow
+const checkTransition = (req, res, status) => {
+  const { returnRequest } = req;
+  if ((RETURN_TRANSITIONS[returnRequest.status] || []).includes(status)) {
+    return true;
+  }
+
+  res.status(400).json({
+    message: `Cannot move a ${returnRequest.status.toLowerCase()} request to ${status.toLowerCase()}`,
+  });
+  return false;
+};
+
+const conflict = (res) =>
+  res.status(409).json({
+    message: "Return request was changed by someone else, please reload",
+  });
+
+// Check a return request against `order`, which the caller holds the
+// return lock of, and create it
+const submitReturnRequest = async (req, res, order) => {
+  const { type, items, reason, description } = req.body;
+
+  if (order.status !== "Delivered") {
+    return res.status(400).json({
+      message: "Only delivered orders can be returned or exchanged",
+    });
+  }
+
+  const deadline = getReturnDeadline(order);
+  if (!deadline || deadline < new Date()) {
+    return res.status(400).json({
+      message: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`,
+    });
+  }
+
+  const returnable = await getReturnableQuantities(order);
+  const requestItems = [];
+
+  for (const item of items) {
+    const orderItem = order.items.find(
+      (candidate) =>
+        lineKey(candidate._id, candidate.variantId) ===
+        lineKey(item.product, item.variantId)
+    );
+    if (!orderItem) {
+      return res
+        .status(400)
+        .json({ message: "Item is not part of this order" });
+    }
+
+    const left = returnable.get(lineKey(item.product, item.variantId));
+    if (item.quantity > left) {
+      return res.status(400).json({
+        message: `Only ${left} of ${orderItem.name} can still be returned`,
+      });
+    }
+
+    // Exchanges are for the same product, in the same or another
+    // variant at the same price
+    let exchangeVariantId;
+    if (type === "exchange") {
+      const product = await Product.findById(orderItem._id);
+      if (!product || product.archivedAt) {
+        return res.status(400).json({
+          message: `${orderItem.name} is no longer sold and can only be returned`,
+        });
+      }
+
+      const replacement = findVariant(
+        product,
+        item.exchangeVariantId || orderItem.variantId
+      );
+      if (product.variants.length && !replacement) {
+        return res.status(400).json({ message: "Exchange variant not found" });
+      }
+      if (getUnitPrice(product, replacement) !== orderItem.price) {
+        return res.status(400).json({
+          message: `Exchanges must be for a variant of ${orderItem.name} at the same price`,
+        });
+      }
+      exchangeVariantId = replacement?._id.toString();
+    }
+
+    requestItems.push({
+      product: orderItem._id,
+      variantId: orderItem.variantId,
+      name: orderItem.name,
+      sku: orderItem.sku,
+      quantity: item.quantity,
+      unitPrice: getPaidUnitPrice(order, orderItem),
+      exchangeVariantId,
+    });
+  }
+
+  const request = await ReturnRequest.create({
+    order: order._id,
+    user: order.user,
+    username: order.username,
+    type,
+    items: requestItems,
+    reason: reason.trim(),
+    description: description?.trim(),
+    statusHistory: [historyEntry("Requested", req.user)],
+  });
+
+  res.status(201).json({
+    message: "Return request submitted successfully",
+    returnRequest: request,
+  });
+};
+
+// Create Return Request
+router.post(
+  "/",
+  authorize(AUTHENTICATED),
+  requireVerified,
+  validateReturnInput,
+  async (req, res) => {
+    try {
+      const order = await Order.findById(req.body.order);
+      if (!order || !isOwnerOrAdmin(req.user, order)) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      // Requests for one order are submitted one at a time
+      const submitted = await withReturnLock(order._id, (lockedOrder) =>
+        submitReturnRequest(req, res, lockedOrder)
+      );
+      if (!submitted) {
+        return res.status(409).json({
+          message:
+            "Another return request for this order is being submitted, please try again",
+        });
+      }
+    } catch (error) {
+      res.status(400).json({
+        message: "Error creating return request",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get Return Requests
+// Admins see every request; customers see their own
+router.get("/", authorize(AUTHENTICATED), async (req, res) => {
+  try {
+    const { status, type, order, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (req.user.userRole !== ADMIN) query.user = req.user.id;
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (order) {
+      if (!mongoose.Types.ObjectId.isValid(order)) {
+        return res.status(400).json({ message: "Invalid order ID format" });
+      }
+      query.order = order;
+    }
+
+    const pageSize = Math.min(Number(limit) || 10, 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+
+    const [returnRequests, total] = await Promise.all([
+      ReturnRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize)
+        .select(
+          req.user.userRole === ADMIN ? "-__v" : "-__v -statusHistory.actor"
+        ),
+      ReturnRequest.countDocuments(query),
+    ]);
+
+    res.json({
+      returnRequests,
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
+      totalReturnRequests: total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching return requests",
+      error: error.message,
+    });
+  }
+});
+
+// Get Return Request By ID
+router.get(
+  "/:id",
+  authorize(AUTHENTICATED),
+  loadReturnRequest,
+  async (req, res) => {
+    const { returnRequest } = req;
+    res.json(
+      req.user.userRole === ADMIN ? returnRequest : withoutActors(returnRequest)
+    );
+  }
+);
+
+// Upload Return Request Photos
+// Photos of the goods can be added until the request is decided
+router.post(
+  "/:id/photos",
+  authorize(AUTHENTICATED),
+  loadReturnRequest,
+  uploadImages("photos", MAX_PHOTOS),
+  async (req, res) => {
+    try {
+      const { returnRequest } = req;
+
+      if (returnRequest.status !== "Requested") {
+        return res.status(400).json({
+          message: "Photos can only be added while the request is open",
+        });
+      }
+
+      if (returnRequest.photos.length + req.files.length > MAX_PHOTOS) {
+        return res.status(400).json({
+          message: `A return request can have at most ${MAX_PHOTOS} photos`,
+        });
+      }
+
+      const photos = await storeImages(
+        req.files,
+        `returns/${returnRequest._id}`
+      );
+      returnRequest.photos.push(...photos);
+
+      try {
+        await returnRequest.save();
+      } catch (error) {
+        await removeStoredImages(photos);
+        throw error;
+      }
+
+      res.status(201).json({
+        message: "Return request photos uploaded successfully",
+        photos: returnRequest.photos,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error uploading return request photos",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Cancel Return Request
+router.post(
+  "/:id/cancel",
+  authorize(AUTHENTICATED),
+  loadReturnRequest,
+  async (req, res) => {
+    try {
+      if (!checkTransition(req, res, "Cancelled")) return;
+
+      const updated = await changeReturnStatus(
+        req.returnRequest,
+        "Cancelled",
+        req.user,
+        req.body.note
+      );
+      if (!updated) return conflict(res);
+
+      res.json({
+        message: "Return request cancelled successfully",
+        returnRequest:
+          req.user.userRole === ADMIN ? updated : withoutActors(updated),
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error cancelling return request",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Approve or Reject Return Request
+router.patch(
+  "/:id/decision",
+  authorize(ADMIN),
+  loadReturnRequest,
+  async (req, res) => {
+    try {
+      const { status, note } = req.body;
+
+      if (!["Approved", "Rejected"].includes(status)) {
+        return res
+          .status(400)
+          .json({ message: "Status must be Approved or Rejected" });
+      }
+
+      if (!checkTransition(req, res, status)) return;
+
+      const updated = await changeReturnStatus(
+        req.returnRequest,
+        status,
+        req.user,
+        note
+      );
+      if (!updated) return conflict(res);
+
+      res.json({
+        message: `Return request ${status.toLowerCase()} successfully`,
+        returnRequest: updated,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error deciding return request",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Record Receipt and Inspection
+// Takes { items: [{ itemId, receivedQuantity, sellableQuantity }] } for the
+// request's items; sellable units go back on the shelf
+router.post(
+  "/:id/receive",
+  authorize(ADMIN),
+  loadReturnRequest,
+  async (req, res) => {
+    try {
+      const { returnRequest } = req;
+      const { items = [], note } = req.body;
+
+      if (!checkTransition(req, res, "Received")) return;
+
+      if (!Array.isArray(items)) {
+        return res.status(400).json({ message: "Items must be a list" });
+      }
+
+      // Items left out were not received
+      const updates = {};
+      for (const [index, item] of returnRequest.items.entries()) {
+        const inspection = items.find(
+          (entry) => entry?.itemId === item._id.toString()
+        ) || { receivedQuantity: 0, sellableQuantity: 0 };
+        const { receivedQuantity, sellableQuantity } = inspection;
+
+        if (
+          !Number.isInteger(receivedQuantity) ||
+          !Number.isInteger(sellableQuantity) ||
+          receivedQuantity < 0 ||
+          receivedQuantity > item.quantity ||
+          sellableQuantity < 0 ||
+          sellableQuantity > receivedQuantity
+        ) {
+          return res.status(400).json({
+            message: `Received quantity of ${item.name} must be 0-${item.quantity} and sellable quantity at most the received quantity`,
+          });
+        }
+
+        updates[`items.${index}.receivedQuantity`] = receivedQuantity;
+        updates[`items.${index}.sellableQuantity`] = sellableQuantity;
+      }
+
+      let updated = await changeReturnStatus(
+        returnRequest,
+        "Received",
+        req.user,
+        note,
+        updates
+      );
+      if (!updated) return conflict(res);
+
+      // Restock only what the status change above made this call responsible
+      // for, so stock can't be returned twice
+      const restocked = {};
+      for (const [index, item] of updated.items.entries()) {
+        if (!item.sellableQuantity) continue;
+
+        const returned = await returnStock(
+          item.product,
+          item.variantId,
+          item.sellableQuantity,
+          {
+            reason: "customer_return",
+            order: updated.order,
+            note: `Return request ${updated._id}`,
+          }
+        );
+        restocked[`items.${index}.restockedQuantity`] = returned
+          ? item.sellableQuantity
+          : 0;
+      }
+      if (Object.keys(restocked).length) {
+        updated = await ReturnRequest.findByIdAndUpdate(
+          updated._id,
+          { $set: restocked },
+          { new: true }
+        );
+      }
+
+      await settleReturnedOrder(updated.order, req.user);
+
+      res.json({
+        message: "Returned goods recorded successfully",
+        returnRequest: updated,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error recording returned goods",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Record Refund
+// Logs the refund of a received return against the order's payment method;
+// the amount defaults to what the customer paid for the received units
+router.post(
+  "/:id/refund",
+  authorize(ADMIN),
+  loadReturnRequest,
+  async (req, res) => {
+    try {
+      const { returnRequest } = req;
+      const { amount, reference, note } = req.body;
+
+      if (returnRequest.type !== "return") {
+        return res.status(400).json({ message: "Exchanges are not refunded" });
+      }
+
+      if (!checkTransition(req, res, "Refunded")) return;
+
+      const order = await Order.findById(returnRequest.order).select(
+        "paymentMethod pricing items"
+      );
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      const maxAmount = getRefundableAmount(order, returnRequest);
+      const refundAmount = amount ?? maxAmount;
+
+      if (
+        typeof refundAmount !== "number" ||
+        refundAmount < 0 ||
+        refundAmount > maxAmount
+      ) {
+        return res.status(400).json({
+          message: `Refund amount must be between 0 and ${maxAmount}`,
+        });
+      }
+
+      if (reference !== undefined && typeof reference !== "string") {
+        return res
+          .status(400)
+          .json({ message: "Refund reference must be text" });
+      }
+
+      const updated = await changeReturnStatus(
+        returnRequest,
+        "Refunded",
+        req.user,
+        note,
+        {
+          refund: {
+            amount: refundAmount,
+            method: order.paymentMethod,
+            reference: reference?.trim() || undefined,
+            refundedAt: new Date(),
+            refundedBy: req.user.id,
+          },
+        }
+      );
+      if (!updated) return conflict(res);
+
+      await Order.updateOne(
+        { _id: order._id },
+        { $inc: { refundedAmount: refundAmount } }
+      );
+      await settleReturnedOrder(order._id, req.user);
+
+      res.json({
+        message: "Refund recorded successfully",
+        returnRequest: updated,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error recording refund",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Ship Exchange
+// Takes the replacements for the received units out of stock
+router.post(
+  "/:id/exchange",
+  authorize(ADMIN),
+  loadReturnRequest,
+  async (req, res) => {
+    const { returnRequest } = req;
+    const taken = [];
+
+    try {
+      if (returnRequest.type !== "exchange") {
+        return res
+          .status(400)
+          .json({ message: "Only exchanges can be shipped as exchanges" });
+      }
+
+      if (!checkTransition(req, res, "Exchanged")) return;
+
+      for (const item of returnRequest.items) {
+        if (!item.receivedQuantity) continue;
+
+        await takeStock(
+          item.product,
+          item.exchangeVariantId,
+          item.receivedQuantity,
+          {
+            reason: "exchange",
+            order: returnRequest.order,
+            note: `Return request ${returnRequest._id}`,
+          }
+        );
+        taken.push(item);
+      }
+
+      const updated = await changeReturnStatus(
+        returnRequest,
+        "Exchanged",
+        req.user,
+        req.body.note
+      );
+      if (!updated) {
+        throw Object.assign(new Error("conflict"), { conflict: true });
+      }
+
+      res.json({
+        message: "Exchange shipped successfully",
+        returnRequest: updated,
+      });
+    } catch (error) {
+      // Put back replacements taken before the failure
+      for (const item of taken) {
+        try {
+          await returnStock(
+            item.product,
+            item.exchangeVariantId,
+            item.receivedQuantity,
+            {
+              reason: "exchange",
+              order: returnRequest.order,
+              note: `Exchange of return request ${returnRequest._id} failed`,
+            }
+          );
+        } catch (restoreError) {
+          console.error("Error restoring product quantity:", restoreError);
+        }
+      }
+
+      if (error.conflict) return conflict(res);
+      res.status(400).json({
+        message: error.message || "Error shipping exchange",
+      });
+    }
+  }
+);
+
+module.exports = router;
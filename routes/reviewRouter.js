@@ -0,0 +1,544 @@
+const express = require("express");
+const router = express.Router();
+const Review = require("../models/Review");
+const Product = require("../models/Product");
+const mongoose = require("mongoose");
+const {
+  PUBLIC,
+  AUTHENTICATED,
+  ADMIN,
+  authorize,
+  requireVerified,
+} = require("../middleware/auth");
+const {
+  uploadImages,
+  storeImages,
+  removeStoredImages,
+} = require("../utils/images");
+const {
+  refreshProductRating,
+  findDeliveredOrder,
+} = require("../utils/reviews");
+
+const MAX_PHOTOS = 5;
+// Voters and reports stay private to moderators
+const PUBLIC_FIELDS = "-helpfulVoters -flags -moderationNote";
+
+// A loaded review as queries selecting PUBLIC_FIELDS return it
+const toPublicReview = (review) => {
+  const plain = review.toObject();
+  PUBLIC_FIELDS.split(" ").forEach((field) => delete plain[field.slice(1)]);
+  return plain;
+};
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+// Input validation middleware
+const validateReviewInput = (req, res, next) => {
+  const { rating, title, text } = req.body;
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({
+      message: "Rating must be a whole number from 1 to 5",
+    });
+  }
+
+  if (typeof text !== "string" || !text.trim() || text.length > 2000) {
+    return res.status(400).json({
+      message: "Review text is required and may be at most 2000 characters",
+    });
+  }
+
+  if (
+    title !== undefined &&
+    (typeof title !== "string" || title.length > 120)
+  ) {
+    return res.status(400).json({
+      message: "Review title may be at most 120 characters",
+    });
+  }
+
+  next();
+};
+
+// Load the review in req.params.id
+const loadReview = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid review ID format" });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    req.review = review;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching review",
+      error: error.message,
+    });
+  }
+};
+
+// Only the author may change a review; admins may also delete one
+const requireAuthor =
+  ({ allowAdmin = false } = {}) =>
+  (req, res, next) => {
+    const isAuthor = req.review.user.toString() === req.user.id;
+    if (!isAuthor && !(allowAdmin && req.user.userRole === ADMIN)) {
+      return res
+        .status(403)
+        .json({ message: "You can only manage your own reviews" });
+    }
+    next();
+  };
+
+// Get Published Reviews of a Product
+router.get("/", authorize(PUBLIC), async (req, res) => {
+  try {
+    const {
+      product,
+      rating,
+      sortBy = "newest",
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(product)) {
+      return res
+        .status(400)
+        .json({ message: "A valid product ID is required" });
+    }
+
+    const query = { product, status: "Published" };
+    if (rating) {
+      query.rating = Number(rating);
+    }
+
+    const pageSize = Math.min(Number(limit) || 10, 50);
+    const currentPage = Math.max(Number(page) || 1, 1);
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(query)
+        .select(PUBLIC_FIELDS)
+        .sort(SORT_OPTIONS[sortBy] || SORT_OPTIONS.newest)
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      Review.countDocuments(query),
+      Review.aggregate([
+        {
+          $match: {
+            product: new mongoose.Types.ObjectId(String(product)),
+            status: "Published",
+          },
+        },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+        { $sort: { _id: -1 } },
+      ]),
+    ]);
+
+    res.json({
+      reviews,
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
+      totalReviews: total,
+      ratingDistribution: distribution,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching reviews",
+      error: error.message,
+    });
+  }
+});
+
+// Get Reviews for Moderation
+// Defaults to reviews that have been reported or hidden
+router.get("/moderation", authorize(ADMIN), async (req, res) => {
+  try {
+    const { status, product, page = 1, limit = 20 } = req.query;
+
+    const query = status
+      ? { status }
+      : { $or: [{ "flags.0": { $exists: true } }, { status: "Hidden" }] };
+    if (product) {
+      query.product = product;
+    }
+
+    const pageSize = Math.min(Number(limit) || 20, 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .select("-helpfulVoters")
+        .populate("product", "name")
+        .populate("flags.user", "username")
+        .sort({ updatedAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      Review.countDocuments(query),
+    ]);
+
+    res.json({
+      reviews,
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
+      totalReviews: total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching reviews for moderation",
+      error: error.message,
+    });
+  }
+});
+
+// Create Review
+router.post(
+  "/",
+  authorize(AUTHENTICATED),
+  requireVerified,
+  validateReviewInput,
+  async (req, res) => {
+    try {
+      const { product: productId, rating, title, text } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({ message: "Invalid product ID format" });
+      }
+
+      if (!(await Product.exists({ _id: productId }))) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      const order = await findDeliveredOrder(req.user, productId);
+      if (!order) {
+        return res.status(403).json({
+          message: "Only customers who received this product can review it",
+        });
+      }
+
+      if (await Review.exists({ product: productId, user: req.user.id })) {
+        return res
+          .status(409)
+          .json({ message: "You have already reviewed this product" });
+      }
+
+      const review = new Review({
+        product: productId,
+        user: req.user.id,
+        username: req.user.username,
+        order: order._id,
+        rating,
+        title: title?.trim(),
+        text: text.trim(),
+      });
+      await review.save();
+      await refreshProductRating(productId);
+
+      res.status(201).json({
+        message: "Review posted successfully",
+        review: toPublicReview(review),
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error posting review",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update Review
+router.put(
+  "/:id",
+  authorize(AUTHENTICATED),
+  loadReview,
+  requireAuthor(),
+  validateReviewInput,
+  async (req, res) => {
+    try {
+      const { review } = req;
+      const { rating, title, text } = req.body;
+
+      review.rating = rating;
+      review.title = title?.trim();
+      review.text = text.trim();
+      await review.save();
+      await refreshProductRating(review.product);
+
+      res.json({
+        message: "Review updated successfully",
+        review: toPublicReview(review),
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error updating review",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete Review
+router.delete(
+  "/:id",
+  authorize(AUTHENTICATED),
+  loadReview,
+  requireAuthor({ allowAdmin: true }),
+  async (req, res) => {
+    try {
+      const { review } = req;
+
+      await review.deleteOne();
+      await refreshProductRating(review.product);
+
+      res.json({ message: "Review deleted successfully" });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error deleting review",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Upload Review Photos
+router.post(
+  "/:id/photos",
+  authorize(AUTHENTICATED),
+  loadReview,
+  requireAuthor(),
+  uploadImages("photos", MAX_PHOTOS),
+  async (req, res) => {
+    try {
+      const { review } = req;
+
+      if (review.photos.length + req.files.length > MAX_PHOTOS) {
+        return res.status(400).json({
+          message: `A review can have at most ${MAX_PHOTOS} photos`,
+        });
+      }
+
+      const photos = await storeImages(req.files, `reviews/${review._id}`);
+      review.photos.push(...photos);
+
+      try {
+        await review.save();
+      } catch (error) {
+        await removeStoredImages(photos);
+        throw error;
+      }
+
+      res.status(201).json({
+        message: "Review photos uploaded successfully",
+        photos: review.photos,
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error uploading review photos",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete Review Photo
+router.delete(
+  "/:id/photos/:photoId",
+  authorize(AUTHENTICATED),
+  loadReview,
+  requireAuthor({ allowAdmin: true }),
+  async (req, res) => {
+    try {
+      const { review } = req;
+      const photo = review.photos.id(req.params.photoId);
+
+      if (!photo) {
+        return res.status(404).json({ message: "Photo not found" });
+      }
+
+      photo.deleteOne();
+      await review.save();
+      await removeStoredImages([photo]);
+
+      res.json({
+        message: "Review photo deleted successfully",
+        photos: review.photos,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error deleting review photo",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Mark Review as Helpful
+router.post("/:id/helpful", authorize(AUTHENTICATED), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid review ID format" });
+    }
+
+    // The conditions make repeated votes and votes on own reviews no-ops
+    const review = await Review.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: "Published",
+        user: { $ne: req.user.id },
+        helpfulVoters: { $ne: req.user.id },
+      },
+      {
+        $addToSet: { helpfulVoters: req.user.id },
+        $inc: { helpfulCount: 1 },
+      },
+      { new: true }
+    ).select(PUBLIC_FIELDS);
+
+    if (!review) {
+      const existing = await Review.findById(req.params.id).select(
+        "user status helpfulVoters"
+      );
+      if (!existing || existing.status !== "Published") {
+        return res.status(404).json({ message: "Review not found" });
+      }
+      if (existing.user.toString() === req.user.id) {
+        return res
+          .status(400)
+          .json({ message: "You cannot vote on your own review" });
+      }
+      return res
+        .status(409)
+        .json({ message: "You have already marked this review as helpful" });
+    }
+
+    res.json({
+      message: "Review marked as helpful",
+      helpfulCount: review.helpfulCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error voting on review",
+      error: error.message,
+    });
+  }
+});
+
+// Remove Helpful Vote
+router.delete("/:id/helpful", authorize(AUTHENTICATED), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid review ID format" });
+    }
+
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.id, helpfulVoters: req.user.id },
+      {
+        $pull: { helpfulVoters: req.user.id },
+        $inc: { helpfulCount: -1 },
+      },
+      { new: true }
+    ).select(PUBLIC_FIELDS);
+
+    if (!review) {
+      return res
+        .status(404)
+        .json({ message: "You have not marked this review as helpful" });
+    }
+
+    res.json({
+      message: "Helpful vote removed",
+      helpfulCount: review.helpfulCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error removing vote",
+      error: error.message,
+    });
+  }
+});
+
+// Report Review
+router.post("/:id/flag", authorize(AUTHENTICATED), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid review ID format" });
+    }
+
+    if (typeof reason !== "string" || !reason.trim() || reason.length > 500) {
+      return res.status(400).json({
+        message: "A reason of at most 500 characters is required",
+      });
+    }
+
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.id, "flags.user": { $ne: req.user.id } },
+      { $push: { flags: { user: req.user.id, reason: reason.trim() } } }
+    );
+
+    if (!review) {
+      if (!(await Review.exists({ _id: req.params.id }))) {
+        return res.status(404).json({ message: "Review not found" });
+      }
+      return res
+        .status(409)
+        .json({ message: "You have already reported this review" });
+    }
+
+    res.json({ message: "Review reported to the moderators" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error reporting review",
+      error: error.message,
+    });
+  }
+});
+
+// Moderate Review
+// Publishing a review dismisses the reports against it
+router.patch(
+  "/:id/moderation",
+  authorize(ADMIN),
+  loadReview,
+  async (req, res) => {
+    try {
+      const { status, note } = req.body;
+
+      if (!["Published", "Hidden"].includes(status)) {
+        return res.status(400).json({ message: "Invalid review status" });
+      }
+
+      const { review } = req;
+      review.status = status;
+      if (typeof note === "string") review.moderationNote = note.trim();
+      if (status === "Published") review.flags = [];
+
+      await review.save();
+      await refreshProductRating(review.product);
+
+      res.json({
+        message: "Review moderated successfully",
+        review,
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error moderating review",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
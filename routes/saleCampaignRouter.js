@@ -0,0 +1,407 @@
+const express = require("express");
+const router = express.Router();
+const SaleCampaign = require("../models/SaleCampaign");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const Order = require("../models/Order");
+const mongoose = require("mongoose");
+const { PUBLIC, ADMIN, authorize } = require("../middleware/auth");
+const { getCampaignStatus } = require("../utils/offers");
+const { recordCampaignOffers } = require("../tasks/recordCampaignOffers");
+
+const CAMPAIGN_FIELDS = [
+  "name",
+  "description",
+  "discountType",
+  "discountValue",
+  "startsAt",
+  "endsAt",
+  "products",
+  "categories",
+  "enabled",
+];
+
+// Input validation middleware
+const validateCampaignInput = async (req, res, next) => {
+  try {
+    const {
+      name,
+      discountType,
+      discountValue,
+      startsAt,
+      endsAt,
+      products = [],
+      categories = [],
+      enabled,
+    } = req.body;
+
+    if (!name?.trim()) {
+      return res.status(400).json({ message: "Campaign name is required" });
+    }
+
+    if (!["percentage", "fixed"].includes(discountType)) {
+      return res
+        .status(400)
+        .json({ message: "Discount type must be percentage or fixed" });
+    }
+
+    if (
+      typeof discountValue !== "number" ||
+      discountValue <= 0 ||
+      (discountType === "percentage" && discountValue > 100)
+    ) {
+      return res.status(400).json({
+        message:
+          discountType === "percentage"
+            ? "Discount must be a number between 0 and 100"
+            : "Discount must be a positive number",
+      });
+    }
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res
+        .status(400)
+        .json({ message: "Valid start and end times are required" });
+    }
+
+    if (start >= end) {
+      return res
+        .status(400)
+        .json({ message: "A campaign must end after it starts" });
+    }
+
+    if (!Array.isArray(products) || !Array.isArray(categories)) {
+      return res
+        .status(400)
+        .json({ message: "Products and categories must be lists" });
+    }
+
+    if (!products.length && !categories.length) {
+      return res.status(400).json({
+        message: "A campaign needs at least one product or category",
+      });
+    }
+
+    if (
+      [...products, ...categories].some(
+        (id) => !mongoose.Types.ObjectId.isValid(id)
+      )
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Invalid product or category ID format" });
+    }
+
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      return res.status(400).json({ message: "Enabled must be true or false" });
+    }
+
+    const [productCount, categoryCount] = await Promise.all([
+      Product.countDocuments({ _id: { $in: products } }),
+      Category.countDocuments({ _id: { $in: categories } }),
+    ]);
+    if (
+      productCount !== new Set(products.map(String)).size ||
+      categoryCount !== new Set(categories.map(String)).size
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Some products or categories were not found" });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: "Error validating campaign",
+      error: error.message,
+    });
+  }
+};
+
+const pickCampaignFields = (body) =>
+  Object.fromEntries(
+    CAMPAIGN_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// A campaign with the status it has right now
+const withStatus = (campaign) => ({
+  ...campaign.toObject(),
+  status: getCampaignStatus(campaign),
+});
+
+// Campaign changes can start or end a sale at once; record them in the
+// price history now rather than on the next scheduled check, for the
+// products the given versions of the campaign cover
+const recordOffersNow = (campaigns) =>
+  recordCampaignOffers(campaigns).catch((error) =>
+    console.error("Error recording campaign offers:", error)
+  );
+
+// Get Running Campaigns
+// What storefronts need to show sale banners
+router.get("/active", authorize(PUBLIC), async (req, res) => {
+  try {
+    const now = new Date();
+    const campaigns = await SaleCampaign.find({
+      enabled: true,
+      startsAt: { $lte: now },
+      endsAt: { $gt: now },
+    })
+      .select(
+        "name description discountType discountValue startsAt endsAt products categories"
+      )
+      .populate("categories", "name slug")
+      .sort({ endsAt: 1 });
+
+    res.json(campaigns);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching sale campaigns",
+      error: error.message,
+    });
+  }
+});
+
+// Get All Campaigns with filtering and pagination
+router.get("/", authorize(ADMIN), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (status === "disabled") {
+      query.enabled = false;
+    } else if (status === "scheduled") {
+      query.enabled = true;
+      query.startsAt = { $gt: now };
+    } else if (status === "active") {
+      query.enabled = true;
+      query.startsAt = { $lte: now };
+      query.endsAt = { $gt: now };
+    } else if (status === "ended") {
+      query.enabled = true;
+      query.endsAt = { $lte: now };
+    }
+
+    const pageSize = Math.min(Number(limit) || 20, 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+
+    const [campaigns, total] = await Promise.all([
+      SaleCampaign.find(query)
+        .sort({ startsAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      SaleCampaign.countDocuments(query),
+    ]);
+
+    res.json({
+      campaigns: campaigns.map(withStatus),
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
+      totalCampaigns: total,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching sale campaigns",
+      error: error.message,
+    });
+  }
+});
+
+// Get Campaign By ID
+router.get("/:id", authorize(ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid campaign ID format" });
+    }
+
+    const campaign = await SaleCampaign.findById(req.params.id)
+      .populate("products", "name price offer")
+      .populate("categories", "name slug");
+
+    if (!campaign) {
+      return res.status(404).json({ message: "Campaign not found" });
+    }
+
+    res.json(withStatus(campaign));
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching sale campaign",
+      error: error.message,
+    });
+  }
+});
+
+// Get Campaign Sales Report
+// Units and revenue of orders that were placed at a campaign's offer
+router.get("/:id/report", authorize(ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid campaign ID format" });
+    }
+
+    const campaign = await SaleCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: "Campaign not found" });
+    }
+
+    const products = await Order.aggregate([
+      {
+        $match: {
+          "items.saleCampaign": campaign._id,
+          status: { $ne: "Cancelled" },
+        },
+      },
+      { $unwind: "$items" },
+      { $match: { "items.saleCampaign": campaign._id } },
+      {
+        $project: {
+          order: "$_id",
+          product: "$items._id",
+          name: "$items.name",
+          quantity: "$items.quantity",
+          gross: { $multiply: ["$items.price", "$items.quantity"] },
+          offer: "$items.offer",
+        },
+      },
+      {
+        $group: {
+          _id: "$product",
+          name: { $first: "$name" },
+          orders: { $addToSet: "$order" },
+          unitsSold: { $sum: "$quantity" },
+          grossRevenue: { $sum: "$gross" },
+          discountGiven: {
+            $sum: { $multiply: ["$gross", { $divide: ["$offer", 100] }] },
+          },
+        },
+      },
+      { $sort: { unitsSold: -1 } },
+    ]);
+
+    const totals = products.reduce(
+      (sum, product) => {
+        product.orders.forEach((order) => sum.orders.add(String(order)));
+        sum.unitsSold += product.unitsSold;
+        sum.grossRevenue += product.grossRevenue;
+        sum.discountGiven += product.discountGiven;
+        return sum;
+      },
+      { orders: new Set(), unitsSold: 0, grossRevenue: 0, discountGiven: 0 }
+    );
+
+    res.json({
+      campaign: withStatus(campaign),
+      totals: {
+        ...totals,
+        orders: totals.orders.size,
+        netRevenue: totals.grossRevenue - totals.discountGiven,
+      },
+      products: products.map(({ orders, ...product }) => ({
+        ...product,
+        orders: orders.length,
+        netRevenue: product.grossRevenue - product.discountGiven,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error generating campaign report",
+      error: error.message,
+    });
+  }
+});
+
+// Create Campaign
+router.post("/", authorize(ADMIN), validateCampaignInput, async (req, res) => {
+  try {
+    const campaign = new SaleCampaign({
+      ...pickCampaignFields(req.body),
+      name: req.body.name.trim(),
+      createdBy: req.user.id,
+    });
+
+    await campaign.save();
+    await recordOffersNow([campaign]);
+
+    res.status(201).json({
+      message: "Sale campaign created successfully",
+      campaign: withStatus(campaign),
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error creating sale campaign",
+      error: error.message,
+    });
+  }
+});
+
+// Update Campaign
+router.put(
+  "/:id",
+  authorize(ADMIN),
+  validateCampaignInput,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: "Invalid campaign ID format" });
+      }
+
+      const campaign = await SaleCampaign.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ message: "Campaign not found" });
+      }
+
+      // Products it no longer covers lose its offer too
+      const previous = campaign.toObject();
+      campaign.set({
+        products: [],
+        categories: [],
+        ...pickCampaignFields(req.body),
+        name: req.body.name.trim(),
+      });
+      await campaign.save();
+      await recordOffersNow([previous, campaign]);
+
+      res.json({
+        message: "Sale campaign updated successfully",
+        campaign: withStatus(campaign),
+      });
+    } catch (error) {
+      res.status(400).json({
+        message: "Error updating sale campaign",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete Campaign
+// Orders keep pointing at deleted campaigns; disable a campaign instead to
+// keep its report
+router.delete("/:id", authorize(ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid campaign ID format" });
+    }
+
+    const campaign = await SaleCampaign.findByIdAndDelete(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: "Campaign not found" });
+    }
+
+    await recordOffersNow([campaign]);
+
+    res.json({ message: "Sale campaign deleted successfully" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting sale campaign",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require("express");
+const router = express.Router();
+const ShippingZone = require("../models/ShippingZone");
+const mongoose = require("mongoose");
+const { ADMIN, authorize } = require("../middleware/auth");
+
+const ZONE_FIELDS = [
+  "name",
+  "postalCodePrefixes",
+  "isDefault",
+  "basis",
+  "rates",
+  "extraStep",
+  "extraCharge",
+  "freeShippingThreshold",
+  "enabled",
+];
+
+const isOptionalAmount = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "number" && value >= 0);
+
+// Input validation middleware
+const validateZoneInput = (req, res, next) => {
+  const {
+    name,
+    postalCodePrefixes = [],
+    isDefault,
+    basis,
+    rates,
+    extraStep,
+    extraCharge,
+    freeShippingThreshold,
+    enabled,
+  } = req.body;
+
+  if (!name?.trim()) {
+    return res.status(400).json({ message: "Zone name is required" });
+  }
+
+  if (
+    !Array.isArray(postalCodePrefixes) ||
+    postalCodePrefixes.some(
+      (prefix) => typeof prefix !== "string" || !/^[A-Za-z0-9]+$/.test(prefix)
+    )
+  ) {
+    return res.status(400).json({
+      message: "Postal code prefixes must be a list of letters and digits",
+    });
+  }
+
+  if (isDefault !== undefined && typeof isDefault !== "boolean") {
+    return res.status(400).json({ message: "Default must be true or false" });
+  }
+
+  // Without prefixes a zone could never be picked
+  if (!postalCodePrefixes.length && !isDefault) {
+    return res.status(400).json({
+      message: "A zone needs postal code prefixes unless it is the default",
+    });
+  }
+
+  if (basis !== undefined && !["weight", "quantity"].includes(basis)) {
+    return res
+      .status(400)
+      .json({ message: "Rates must go by weight or quantity" });
+  }
+
+  if (
+    !Array.isArray(rates) ||
+    rates.some(
+      (rate) =>
+        typeof rate?.upTo !== "number" ||
+        rate.upTo < 0 ||
+        typeof rate.charge !== "number" ||
+        rate.charge < 0
+    )
+  ) {
+    return res.status(400).json({
+      message: "Rates must be a list of non-negative upTo and charge amounts",
+    });
+  }
+
+  if (
+    !isOptionalAmount(extraStep) ||
+    !isOptionalAmount(extraCharge) ||
+    !isOptionalAmount(freeShippingThreshold)
+  ) {
+    return res.status(400).json({
+      message:
+        "Extra step, extra charge and free shipping threshold must be non-negative numbers",
+    });
+  }
+
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return res.status(400).json({ message: "Enabled must be true or false" });
+  }
+
+  req.body.postalCodePrefixes = postalCodePrefixes;
+  next();
+};
+
+const pickZoneFields = (body) =>
+  Object.fromEntries(
+    ZONE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
+// Only one zone can be the default
+const clearOtherDefaults = (zone) =>
+  zone.isDefault
+    ? ShippingZone.updateMany(
+        { _id: { $ne: zone._id }, isDefault: true },
+        { $set: { isDefault: false } }
+      )
+    : null;
+
+// Get All Shipping Zones
+router.get("/", authorize(ADMIN), async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ isDefault: 1, name: 1 });
+    res.json(zones);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching shipping zones",
+      error: error.message,
+    });
+  }
+});
+
+// Get Shipping Zone By ID
+router.get("/:id", authorize(ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid zone ID format" });
+    }
+
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: "Shipping zone not found" });
+    }
+
+    res.json(zone);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching shipping zone",
+      error: error.message,
+    });
+  }
+});
+
+// Create Shipping Zone
+router.post("/", authorize(ADMIN), validateZoneInput, async (req, res) => {
+  try {
+    const zone = new ShippingZone({
+      ...pickZoneFields(req.body),
+      name: req.body.name.trim(),
+    });
+
+    await zone.save();
+    await clearOtherDefaults(zone);
+
+    res.status(201).json({
+      message: "Shipping zone created successfully",
+      zone,
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error creating shipping zone",
+      error: error.message,
+    });
+  }
+});
+
+// Update Shipping Zone
+router.put("/:id", authorize(ADMIN), validateZoneInput, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid zone ID format" });
+    }
+
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: "Shipping zone not found" });
+    }
+
+    zone.set({
+      isDefault: false,
+      extraStep: undefined,
+      extraCharge: undefined,
+      freeShippingThreshold: undefined,
+      ...pickZoneFields(req.body),
+      name: req.body.name.trim(),
+    });
+    await zone.save();
+    await clearOtherDefaults(zone);
+
+    res.json({
+      message: "Shipping zone updated successfully",
+      zone,
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: "Error updating shipping zone",
+      error: error.message,
+    });
+  }
+});
+
+// Delete Shipping Zone
+// Placed orders keep the zone name and charge they were quoted
+router.delete("/:id", authorize(ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid zone ID format" });
+    }
+
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: "Shipping zone not found" });
+    }
+
+    res.json({ message: "Shipping zone deleted successfully" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting shipping zone",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
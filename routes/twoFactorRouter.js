@@ -0,0 +1,159 @@
+const express = require("express");
+const bcrypt = require("bcrypt");
+const router = express.Router();
+const User = require("../models/User");
+const { AUTHENTICATED, ADMIN, authorize } = require("../middleware/auth");
+const { issueSession, revokeAllSessions } = require("../utils/sessions");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const {
+  TWO_FACTOR_SECRETS,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Craft Culture";
+
+// Every two-factor endpoint acts on the caller's own account
+router.use(authorize(AUTHENTICATED));
+
+// Two-factor status
+router.get("/", async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRETS);
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    res.send({
+      enabled: !!user.twoFactor?.enabled,
+      required: user.userRole === ADMIN,
+      recoveryCodesLeft: user.twoFactor?.recoveryCodes?.length || 0,
+    });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+// Start enrolment: create a secret to scan into an authenticator app
+router.post("/setup", async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRETS);
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .send({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.send({
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, user.email, TOTP_ISSUER),
+    });
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
+
+// Finish enrolment by proving the app produces valid codes
+router.post("/enable", async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRETS);
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    const { pendingSecret } = user.twoFactor;
+    if (!pendingSecret) {
+      return res
+        .status(400)
+        .send({ message: "Start two-factor setup before enabling it" });
+    }
+
+    const step = verifyTotp(pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).send({ message: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    // Sessions started with the password alone end here; this device gets
+    // a new one that counts as two-factor authenticated
+    const { token, refreshToken } = await issueSession(
+      await revokeAllSessions(user._id),
+      req
+    );
+
+    res.send({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes,
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
+
+// Replace the recovery codes
+router.post("/recovery-codes", async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRETS);
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).send({ message: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.send({ recoveryCodes: codes });
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
+
+// Turn two-factor authentication off (not allowed for admins)
+router.post("/disable", async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRETS);
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    if (user.userRole === ADMIN) {
+      return res.status(403).send({
+        message: "Two-factor authentication is mandatory for admin accounts",
+      });
+    }
+
+    const isValid =
+      typeof password === "string" &&
+      (await bcrypt.compare(password, user.password));
+    if (!isValid || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res
+        .status(400)
+        .send({ message: "Invalid password or authentication code" });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.send({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
+
+module.exports = router;
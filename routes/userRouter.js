@@ -1,43 +1,69 @@
 const express = require("express");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const {
+  PUBLIC,
+  AUTHENTICATED,
+  ADMIN,
+  authorize,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} = require("../middleware/auth");
+const {
+  issueSession,
+  rotateSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+} = require("../utils/sessions");
+const { consumeUserToken } = require("../utils/userTokens");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require("../utils/accountEmails");
+const {
+  getRetryAfter,
+  recordFailure,
+  clearAccountFailures,
+  unlock,
+  getActiveLocks,
+} = require("../utils/loginThrottle");
+const {
+  TWO_FACTOR_SECRETS,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
 const router = express.Router();
 
-const SECRET = "engineersurajsahani";
+// Compared against when the email is unknown, so a miss costs as much time
+// as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("craftculture-dummy-password", 10);
 
-// Authentication Middleware
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader)
-      return res.status(401).send({ message: "No token provided" });
-
-    const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).send({ message: "Invalid token" });
-  }
-};
-
-// Admin Authorization Middleware
-const isAdmin = async (req, res, next) => {
-  try {
-    if (req.user.userRole !== "ADMIN") {
-      return res.status(403).send({ message: "Access denied. Admin only." });
-    }
-    next();
-  } catch (error) {
-    res.status(403).send({ message: "Access denied" });
-  }
+// Start a session for a fully authenticated user and send its tokens
+const sendSession = async (req, res, user) => {
+  const { token, refreshToken } = await issueSession(user, req);
+  res.send({
+    token,
+    refreshToken,
+    username: user.username,
+    userRole: user.userRole,
+    email: user.email,
+    isVerified: user.isVerified,
+  });
 };
 
 // Register
-router.post("/register", async (req, res) => {
+router.post("/register", authorize(PUBLIC), async (req, res) => {
   try {
     const { username, email, password } = req.body;
+    if (
+      typeof username !== "string" ||
+      typeof email !== "string" ||
+      typeof password !== "string"
+    ) {
+      return res
+        .status(400)
+        .send({ message: "Username, email and password are required" });
+    }
 
     // Check if username or email already exists
     const existingUser = await User.findOne({ $or: [{ username }, { email }] });
@@ -56,57 +82,261 @@ router.post("/register", async (req, res) => {
     // Create new user
     const user = new User({ username, email, password: hashedPassword });
     await user.save();
-    res.status(201).send({ message: "User registered successfully" });
+
+    // The account exists either way; a failed email can be resent later
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError);
+    }
+
+    res.status(201).send({
+      message:
+        "User registered successfully. Check your email to verify your account.",
+    });
   } catch (error) {
     res.status(400).send({ message: error.message });
   }
 });
 
 // Login
-router.post("/login", async (req, res) => {
+router.post("/login", authorize(PUBLIC), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Find the user by email
+    if (typeof email !== "string" || typeof password !== "string") {
+      return res
+        .status(400)
+        .send({ message: "Email and password are required" });
+    }
+
+    // Refuse early while the account or this address is locked out
+    const retryAfter = await getRetryAfter(email, req.ip);
+    if (retryAfter) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).send({
+        message: "Too many failed login attempts. Please try again later.",
+      });
+    }
+
+    // Same response whether the email is unknown or the password is wrong
     const user = await User.findOne({ email });
-    if (!user) return res.status(404).send({ message: "User not found" });
+    const isValid = await bcrypt.compare(
+      password,
+      user ? user.password : DUMMY_PASSWORD_HASH
+    );
+    if (!user || !isValid) {
+      await recordFailure(email, req.ip);
+      return res.status(401).send({ message: "Invalid email or password" });
+    }
+
+    // With two-factor enabled the password only earns a challenge token.
+    // Failure counters are kept until the second factor succeeds too.
+    if (user.twoFactor?.enabled) {
+      return res.send({
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user),
+      });
+    }
+
+    await clearAccountFailures(email);
+    await sendSession(req, res, user);
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
+
+// Login, second step: exchange a challenge token and a TOTP or recovery code
+router.post("/login/2fa", authorize(PUBLIC), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge =
+      challengeToken && verifyTwoFactorChallenge(challengeToken);
+    const user =
+      challenge &&
+      (await User.findById(challenge.id).select(TWO_FACTOR_SECRETS));
+    if (!user || (user.tokenVersion || 0) !== challenge.ver) {
+      return res
+        .status(401)
+        .send({
+          message: "Invalid or expired challenge. Please log in again.",
+        });
+    }
+
+    const retryAfter = await getRetryAfter(user.email, req.ip);
+    if (retryAfter) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).send({
+        message: "Too many failed login attempts. Please try again later.",
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordFailure(user.email, req.ip);
+      return res.status(401).send({ message: "Invalid authentication code" });
+    }
+
+    await clearAccountFailures(user.email);
+    await sendSession(req, res, user);
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
+
+// Refresh access token
+router.post("/refresh", authorize(PUBLIC), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).send({ message: "Refresh token is required" });
+    }
+
+    const session = await rotateSession(refreshToken, req);
+    if (!session) {
+      return res
+        .status(401)
+        .send({ message: "Invalid or expired refresh token" });
+    }
+
+    res.send({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      username: session.user.username,
+      userRole: session.user.userRole,
+      email: session.user.email,
+    });
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
+
+// Logout (current device)
+router.post("/logout", authorize(PUBLIC), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).send({ message: "Refresh token is required" });
+    }
+
+    await revokeRefreshToken(refreshToken);
+    res.send({ message: "Logged out successfully" });
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
 
-    // Check if password is valid
-    const isValid = await bcrypt.compare(password, user.password);
-    if (!isValid)
-      return res.status(403).send({ message: "Invalid credentials" });
+// Logout from all devices
+router.post("/logout-all", authorize(AUTHENTICATED), async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    res.send({ message: "Logged out from all devices" });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+// Verify email address
+router.post("/verify-email", authorize(PUBLIC), async (req, res) => {
+  try {
+    const { token } = req.body;
+    const userToken =
+      token && (await consumeUserToken(token, "EMAIL_VERIFICATION"));
+    if (!userToken) {
+      return res
+        .status(400)
+        .send({ message: "Invalid or expired verification token" });
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, username: user.username, userRole: user.userRole },
-      SECRET,
-      { expiresIn: "7d" }
+    await User.updateOne(
+      { _id: userToken.user },
+      { $set: { isVerified: true } }
     );
+    res.send({ message: "Email verified successfully" });
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
+
+// Resend verification email
+router.post("/resend-verification", authorize(PUBLIC), async (req, res) => {
+  try {
+    const { email } = req.body;
+    // An object here would be a query operator matching any account
+    if (typeof email !== "string") {
+      return res.status(400).send({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email });
+    if (user && !user.isVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    // Same answer whether or not the account exists
     res.send({
-      token,
-      username: user.username,
-      userRole: user.userRole,
-      email: user.email,
+      message:
+        "If an unverified account exists for this email, a verification link has been sent",
     });
   } catch (error) {
     res.status(400).send({ message: error.message });
   }
 });
 
-// User Profile
-router.get("/profile", async (req, res) => {
+// Forgot password
+router.post("/forgot-password", authorize(PUBLIC), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select("-password");
-    if (!user) return res.status(404).send({ message: "User not found" });
+    const { email } = req.body;
+    if (typeof email !== "string") {
+      return res.status(400).send({ message: "Email is required" });
+    }
 
-    res.send(user);
+    const user = await User.findOne({ email });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same answer whether or not the account exists
+    res.send({
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
   } catch (error) {
-    res.status(401).send({ message: "Unauthorized" });
+    res.status(400).send({ message: error.message });
+  }
+});
+
+// Reset password with an emailed token
+router.post("/reset-password", authorize(PUBLIC), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!newPassword || typeof newPassword !== "string") {
+      return res.status(400).send({ message: "New password is required" });
+    }
+
+    const userToken =
+      token && (await consumeUserToken(token, "PASSWORD_RESET"));
+    if (!userToken) {
+      return res
+        .status(400)
+        .send({ message: "Invalid or expired reset token" });
+    }
+
+    // Following the emailed link also proves ownership of the address
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await User.updateOne(
+      { _id: userToken.user },
+      { $set: { password: hashedPassword, isVerified: true } }
+    );
+    await revokeAllSessions(userToken.user);
+
+    res.send({ message: "Password has been reset. Please log in again." });
+  } catch (error) {
+    res.status(400).send({ message: error.message });
   }
 });
 
 // Get all users (Admin only)
-router.get("/", authenticateToken, isAdmin, async (req, res) => {
+router.get("/", authorize(ADMIN), async (req, res) => {
   try {
     const users = await User.find().select("-password");
     res.send(users);
@@ -116,7 +346,7 @@ router.get("/", authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Get user count (Admin only)
-router.get("/count", authenticateToken, isAdmin, async (req, res) => {
+router.get("/count", authorize(ADMIN), async (req, res) => {
   try {
     const count = await User.countDocuments();
     res.send(count.toString());
@@ -125,8 +355,43 @@ router.get("/count", authenticateToken, isAdmin, async (req, res) => {
   }
 });
 
+// List locked-out accounts and addresses (Admin only)
+router.get("/login-locks", authorize(ADMIN), async (req, res) => {
+  try {
+    const locks = await getActiveLocks();
+    res.send(locks);
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+// Unlock an account and/or client address (Admin only)
+router.post("/unlock", authorize(ADMIN), async (req, res) => {
+  try {
+    const { userId, ip } = req.body;
+    let { email } = req.body;
+
+    if (userId) {
+      const user = await User.findById(userId);
+      if (!user) return res.status(404).send({ message: "User not found" });
+      email = user.email;
+    }
+
+    if (!email && !ip) {
+      return res
+        .status(400)
+        .send({ message: "Provide a userId, email or ip to unlock" });
+    }
+
+    const cleared = await unlock({ email, ip });
+    res.send({ message: "Login lock cleared", cleared });
+  } catch (error) {
+    res.status(400).send({ message: error.message });
+  }
+});
+
 // Get user by ID (Admin only)
-router.get("/:id", authenticateToken, isAdmin, async (req, res) => {
+router.get("/:id", authorize(ADMIN), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select("-password");
     if (!user) return res.status(404).send({ message: "User not found" });
@@ -137,9 +402,10 @@ router.get("/:id", authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Update user (Admin only)
-router.put("/:id", authenticateToken, isAdmin, async (req, res) => {
+router.put("/:id", authorize(ADMIN), async (req, res) => {
   try {
     const updates = { ...req.body };
+    delete updates.tokenVersion;
 
     // If password is being updated, hash it
     if (updates.password) {
@@ -172,6 +438,12 @@ router.put("/:id", authenticateToken, isAdmin, async (req, res) => {
     ).select("-password");
 
     if (!user) return res.status(404).send({ message: "User not found" });
+
+    // A new role or password must not ride on sessions issued before it
+    if (updates.password || updates.userRole) {
+      await revokeAllSessions(user._id);
+    }
+
     res.send(user);
   } catch (error) {
     res.status(400).send({ message: error.message });
@@ -179,7 +451,7 @@ router.put("/:id", authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Delete user (Admin only)
-router.delete("/:id", authenticateToken, isAdmin, async (req, res) => {
+router.delete("/:id", authorize(ADMIN), async (req, res) => {
   try {
     // Prevent deletion of the last admin account
     if (req.params.id === req.user.id) {
@@ -193,6 +465,8 @@ router.delete("/:id", authenticateToken, isAdmin, async (req, res) => {
 
     const user = await User.findByIdAndDelete(req.params.id);
     if (!user) return res.status(404).send({ message: "User not found" });
+
+    await RefreshToken.deleteMany({ user: user._id });
     res.send({ message: "User deleted successfully" });
   } catch (error) {
     res.status(500).send({ message: error.message });
@@ -200,7 +474,7 @@ router.delete("/:id", authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Change password (for users)
-router.post("/change-password", authenticateToken, async (req, res) => {
+router.post("/change-password", authorize(AUTHENTICATED), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     const user = await User.findById(req.user.id);
@@ -216,7 +490,13 @@ router.post("/change-password", authenticateToken, async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
-    res.send({ message: "Password updated successfully" });
+    // Sign out every other session and hand this device a fresh one
+    const { token, refreshToken } = await issueSession(
+      await revokeAllSessions(user._id),
+      req
+    );
+
+    res.send({ message: "Password updated successfully", token, refreshToken });
   } catch (error) {
     res.status(400).send({ message: error.message });
   }
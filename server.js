@@ -1,23 +1,48 @@
+require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const db = require("./db");
 const userRouter = require("./routes/userRouter");
+const profileRouter = require("./routes/profileRouter");
+const twoFactorRouter = require("./routes/twoFactorRouter");
 const productRouter = require("./routes/productRouter");
+const categoryRouter = require("./routes/categoryRouter");
+const reviewRouter = require("./routes/reviewRouter");
 const orderRouter = require("./routes/orderRouter");
+const cartRouter = require("./routes/cartRouter");
 const companyRouter = require("./routes/companyRouter");
 const jobRouter = require("./routes/jobRouter");
 const donateMoneyRouter = require("./routes/donateMoneyRouter");
 const donateProductRouter = require("./routes/donateProductRouter");
 const applicantRouter = require("./routes/applicantRouter");
 const dashboardRouter = require("./routes/dashboardRouter");
-
-require("dotenv").config();
+const auditLogRouter = require("./routes/auditLogRouter");
+const notificationRouter = require("./routes/notificationRouter");
+const saleCampaignRouter = require("./routes/saleCampaignRouter");
+const returnRouter = require("./routes/returnRouter");
+const shippingZoneRouter = require("./routes/shippingZoneRouter");
+const couponRouter = require("./routes/couponRouter");
+const { requestContext } = require("./middleware/requestContext");
+const { UPLOAD_DIR } = require("./utils/storage");
+const { scheduleHoldRelease } = require("./tasks/releaseExpiredHolds");
+const { scheduleCampaignOffers } = require("./tasks/recordCampaignOffers");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Needed behind a reverse proxy so req.ip is the client address. Either a
+// number of proxy hops or a list of trusted proxy addresses.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY
+  );
+}
+
 // Middleware
 app.use(express.json());
+app.use(requestContext);
 app.use(
   cors({
     origin: "http://localhost:3000",
@@ -25,16 +50,38 @@ app.use(
   })
 );
 
+// Files from the local storage backend. Stored names are random and never
+// reused, so clients may cache them for good.
+app.use(
+  "/uploads",
+  express.static(UPLOAD_DIR, { maxAge: "365d", immutable: true })
+);
+
 // Routes
+app.use("/api/users/profile", profileRouter);
+app.use("/api/users/2fa", twoFactorRouter);
 app.use("/api/users", userRouter);
 app.use("/api/products", productRouter);
+app.use("/api/categories", categoryRouter);
+app.use("/api/reviews", reviewRouter);
 app.use("/api/orders", orderRouter);
+app.use("/api/returns", returnRouter);
+app.use("/api/cart", cartRouter);
 app.use("/api/companies", companyRouter);
 app.use("/api/jobs", jobRouter);
 app.use("/api/applicants", applicantRouter);
 app.use("/api/donate-money", donateMoneyRouter);
 app.use("/api/donate-product", donateProductRouter);
 app.use("/api/dashboard", dashboardRouter);
+app.use("/api/audit-logs", auditLogRouter);
+app.use("/api/notifications", notificationRouter);
+app.use("/api/sale-campaigns", saleCampaignRouter);
+app.use("/api/shipping-zones", shippingZoneRouter);
+app.use("/api/coupons", couponRouter);
+
+// Background tasks
+scheduleHoldRelease();
+scheduleCampaignOffers();
 
 // Start Server
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
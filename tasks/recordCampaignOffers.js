@@ -0,0 +1,162 @@
+const Product = require("../models/Product");
+const PriceHistory = require("../models/PriceHistory");
+const SaleCampaign = require("../models/SaleCampaign");
+const { loadActiveCampaigns, getEffectiveOffer } = require("../utils/offers");
+const { getCategoryTreeIds } = require("../utils/categories");
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+// Products whose latest price history is looked up at once
+const BATCH_SIZE = 500;
+
+// When the scheduled check last finished; null until the first one has
+let lastCheckedAt = null;
+
+// Query for the products `campaigns` cover, sub-categories included
+const coveredProductsQuery = async (campaigns) => {
+  const productIds = [];
+  const categoryIds = [];
+
+  for (const campaign of campaigns) {
+    productIds.push(...campaign.products);
+    for (const category of campaign.categories) {
+      categoryIds.push(...(await getCategoryTreeIds(category)));
+    }
+  }
+
+  return {
+    archivedAt: null,
+    $or: [{ _id: { $in: productIds } }, { category: { $in: categoryIds } }],
+  };
+};
+
+// Append a "campaign" entry for every product in `products` whose offer
+// differs from its latest price history entry
+const recordBatch = async (products, campaigns) => {
+  // Matching on product first lets the { product, createdAt } index pick
+  // out and order just this batch's entries
+  const latest = await PriceHistory.aggregate([
+    {
+      $match: {
+        product: { $in: products.map((product) => product._id) },
+        variantId: { $exists: false },
+      },
+    },
+    { $sort: { product: 1, createdAt: -1 } },
+    {
+      $group: {
+        _id: "$product",
+        effectiveOffer: { $first: "$effectiveOffer" },
+        campaign: { $first: "$campaign" },
+      },
+    },
+  ]);
+
+  const recorded = new Map(latest.map((entry) => [String(entry._id), entry]));
+  const entries = [];
+
+  for (const product of products) {
+    const { offer, campaign } = getEffectiveOffer(
+      product,
+      product.price,
+      campaigns
+    );
+    // Products without history have only ever had their own offer
+    const last = recorded.get(String(product._id)) || {
+      effectiveOffer: product.offer || 0,
+    };
+
+    if (
+      last.effectiveOffer === offer &&
+      String(last.campaign ?? "") === String(campaign?._id ?? "")
+    ) {
+      continue;
+    }
+
+    entries.push({
+      product: product._id,
+      reason: "campaign",
+      price: product.price,
+      offer: product.offer || 0,
+      effectiveOffer: offer,
+      campaign: campaign?._id,
+    });
+  }
+
+  if (entries.length) {
+    await PriceHistory.insertMany(entries);
+  }
+};
+
+// Offers are worked out on every read, so campaigns take effect the moment
+// they start or end. This writes those moments to the price history for
+// the products that `changed` campaigns cover (or cover no longer), or for
+// every product when left out.
+const recordCampaignOffers = async (changed, at = new Date()) => {
+  if (changed && !changed.length) return;
+
+  const campaigns = await loadActiveCampaigns(at);
+  const query = changed
+    ? await coveredProductsQuery(changed)
+    : { archivedAt: null };
+  const cursor = Product.find(query)
+    .select("price offer category")
+    .lean()
+    .cursor();
+
+  let batch = [];
+  for await (const product of cursor) {
+    batch.push(product);
+    if (batch.length === BATCH_SIZE) {
+      await recordBatch(batch, campaigns);
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    await recordBatch(batch, campaigns);
+  }
+};
+
+// The first check after a start covers every product, as campaigns may
+// have started or ended while the server was down. Later checks only cover
+// campaigns that started or ended since the previous one.
+const checkCampaignOffers = async () => {
+  const now = new Date();
+
+  if (!lastCheckedAt) {
+    await recordCampaignOffers(undefined, now);
+  } else {
+    const window = { $gt: lastCheckedAt, $lte: now };
+    const changed = await SaleCampaign.find({
+      enabled: true,
+      $or: [{ startsAt: window }, { endsAt: window }],
+    })
+      .select("products categories")
+      .lean();
+    await recordCampaignOffers(changed, now);
+  }
+
+  lastCheckedAt = now;
+};
+
+const scheduleCampaignOffers = () => {
+  let running = false;
+
+  return setInterval(() => {
+    // A slow check is left to finish rather than run twice at once
+    if (running) return;
+    running = true;
+    checkCampaignOffers()
+      .catch((error) =>
+        console.error("Error recording campaign offers:", error)
+      )
+      .finally(() => {
+        running = false;
+      });
+  }, CHECK_INTERVAL_MS);
+};
+
+module.exports = {
+  recordCampaignOffers,
+  checkCampaignOffers,
+  scheduleCampaignOffers,
+};
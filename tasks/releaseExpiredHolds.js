@@ -0,0 +1,34 @@
+const Cart = require("../models/Cart");
+const { releaseExpiredHolds } = require("../utils/cart");
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Return the stock of cart holds that ran out. Carts are also swept when
+// their owner loads them; this catches carts nobody comes back to.
+const sweepExpiredHolds = async () => {
+  const carts = await Cart.find({
+    items: {
+      $elemMatch: {
+        heldQuantity: { $gt: 0 },
+        holdExpiresAt: { $lte: new Date() },
+      },
+    },
+  });
+
+  for (const cart of carts) {
+    try {
+      await releaseExpiredHolds(cart);
+    } catch (error) {
+      console.error(`Error releasing holds of cart ${cart._id}:`, error);
+    }
+  }
+};
+
+const scheduleHoldRelease = () =>
+  setInterval(() => {
+    sweepExpiredHolds().catch((error) =>
+      console.error("Error sweeping expired cart holds:", error)
+    );
+  }, SWEEP_INTERVAL_MS);
+
+module.exports = { sweepExpiredHolds, scheduleHoldRelease };
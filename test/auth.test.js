@@ -0,0 +1,41 @@
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { isOwnerOrAdmin } = require("../middleware/auth");
+
+const customer = (username) => ({
+  id: new mongoose.Types.ObjectId().toString(),
+  username,
+  userRole: "NORMAL",
+});
+
+describe("isOwnerOrAdmin", () => {
+  it("lets customers at records of their own account", () => {
+    const asha = customer("asha");
+    const order = { user: new mongoose.Types.ObjectId(asha.id) };
+
+    assert.equal(isOwnerOrAdmin(asha, order), true);
+  });
+
+  it("ignores a matching username on another account's record", () => {
+    const order = {
+      user: new mongoose.Types.ObjectId(),
+      username: "asha",
+    };
+
+    assert.equal(isOwnerOrAdmin(customer("asha"), order), false);
+  });
+
+  it("keeps records without an account to admins", () => {
+    const order = { username: "asha" };
+
+    assert.equal(isOwnerOrAdmin(customer("asha"), order), false);
+    assert.equal(
+      isOwnerOrAdmin({ ...customer("admin"), userRole: "ADMIN" }, order),
+      true
+    );
+    assert.equal(isOwnerOrAdmin(undefined, order), false);
+  });
+});
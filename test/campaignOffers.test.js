@@ -0,0 +1,110 @@
+const { describe } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const PriceHistory = require("../models/PriceHistory");
+const SaleCampaign = require("../models/SaleCampaign");
+const {
+  recordCampaignOffers,
+  checkCampaignOffers,
+} = require("../tasks/recordCampaignOffers");
+const { useTestDatabase } = require("./helpers/database");
+
+const it = useTestDatabase();
+const HOUR = 60 * 60 * 1000;
+
+const createProduct = async (fields) => {
+  const category = await Category.create({
+    name: `Pottery ${new mongoose.Types.ObjectId()}`,
+    slug: `pottery-${new mongoose.Types.ObjectId()}`,
+  });
+  return Product.create({
+    name: "Clay pot",
+    price: 100,
+    quantity: 1,
+    status: "Available",
+    category: category._id,
+    ...fields,
+  });
+};
+
+const createCampaign = (products, fields) =>
+  SaleCampaign.create({
+    name: "Diwali sale",
+    discountType: "percentage",
+    discountValue: 20,
+    startsAt: new Date(Date.now() - HOUR),
+    endsAt: new Date(Date.now() + HOUR),
+    products: products.map((product) => product._id),
+    ...fields,
+  });
+
+const offersOf = async (product) =>
+  (await PriceHistory.find({ product: product._id }).sort({ createdAt: 1 }))
+    .filter((entry) => entry.reason === "campaign")
+    .map((entry) => entry.effectiveOffer);
+
+describe("checkCampaignOffers", () => {
+  it("only looks at campaigns that started or ended since the last check", async (t) => {
+    const now = Date.now();
+    t.mock.timers.enable({ apis: ["Date"], now });
+    const pot = await createProduct();
+    const vase = await createProduct({ name: "Vase" });
+    await createCampaign([pot]);
+
+    // The first check covers every product
+    await checkCampaignOffers();
+    assert.deepEqual(await offersOf(pot), [20]);
+    assert.deepEqual(await offersOf(vase), []);
+
+    // Started before the last check, so later checks leave it alone
+    await createCampaign([vase], { startsAt: new Date(now - HOUR) });
+    t.mock.timers.setTime(now + 2 * HOUR);
+    await checkCampaignOffers();
+
+    assert.deepEqual(await offersOf(pot), [20, 0]);
+    assert.deepEqual(await offersOf(vase), []);
+  });
+});
+
+describe("recordCampaignOffers", () => {
+  it("records offers for the products of the given campaigns", async () => {
+    const pot = await createProduct();
+    const vase = await createProduct({ name: "Vase" });
+    const lamp = await createProduct({ name: "Lamp" });
+    const campaign = await createCampaign([pot]);
+    await createCampaign([vase]);
+
+    await recordCampaignOffers([campaign]);
+
+    assert.deepEqual(await offersOf(pot), [20]);
+    assert.deepEqual(await offersOf(vase), []);
+    assert.deepEqual(await offersOf(lamp), []);
+  });
+
+  it("covers products in the campaign's sub-categories", async () => {
+    const parent = await Category.create({ name: "Decor", slug: "decor" });
+    const child = await Category.create({
+      name: "Lamps",
+      slug: "lamps",
+      parent: parent._id,
+    });
+    const lamp = await createProduct({ name: "Lamp", category: child._id });
+    const campaign = await createCampaign([], { categories: [parent._id] });
+
+    await recordCampaignOffers([campaign]);
+
+    assert.deepEqual(await offersOf(lamp), [20]);
+  });
+
+  it("records nothing when an offer is already in the history", async () => {
+    const pot = await createProduct();
+    const campaign = await createCampaign([pot]);
+
+    await recordCampaignOffers([campaign]);
+    await recordCampaignOffers();
+
+    assert.deepEqual(await offersOf(pot), [20]);
+  });
+});
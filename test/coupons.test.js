@@ -0,0 +1,208 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const Order = require("../models/Order");
+const {
+  getCouponStatus,
+  evaluateCoupon,
+  claimCoupon,
+  releaseCoupon,
+} = require("../utils/coupons");
+const { useTestDatabase } = require("./helpers/database");
+
+const it = useTestDatabase();
+const HOUR = 60 * 60 * 1000;
+
+const customer = () => ({
+  id: new mongoose.Types.ObjectId().toString(),
+  username: "asha",
+});
+
+// A coupon as loaded from the database, without the per-customer rules
+// that need orders to check
+const coupon = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  code: "DIWALI20",
+  discountType: "percentage",
+  discountValue: 20,
+  minCartValue: 0,
+  products: [],
+  categories: [],
+  usedCount: 0,
+  enabled: true,
+  ...fields,
+});
+
+// A price line for `quantity` of a product at `price` with `offer` percent
+// off
+const line = (price, { quantity = 1, offer = 0 } = {}) => ({
+  product: { _id: new mongoose.Types.ObjectId() },
+  quantity,
+  price,
+  offer,
+});
+
+const countFulfilled = (results) =>
+  results.filter((result) => result.status === "fulfilled").length;
+
+describe("getCouponStatus", () => {
+  test("goes by the window, the switch and the usage limit", () => {
+    const now = new Date();
+
+    assert.equal(getCouponStatus(coupon()), "active");
+    assert.equal(getCouponStatus(coupon({ enabled: false })), "disabled");
+    assert.equal(
+      getCouponStatus(coupon({ startsAt: new Date(now.getTime() + HOUR) })),
+      "scheduled"
+    );
+    assert.equal(getCouponStatus(coupon({ endsAt: now }), now), "expired");
+    assert.equal(
+      getCouponStatus(coupon({ usageLimit: 2, usedCount: 2 })),
+      "exhausted"
+    );
+  });
+});
+
+describe("evaluateCoupon", () => {
+  test("takes a percentage off the cart after offers, up to its cap", async () => {
+    const lines = [line(1000, { offer: 10 }), line(500)];
+
+    const uncapped = await evaluateCoupon(coupon(), null, lines);
+    const capped = await evaluateCoupon(
+      coupon({ maxDiscount: 100 }),
+      null,
+      lines
+    );
+
+    assert.equal(uncapped.discount, 280);
+    assert.equal(capped.discount, 100);
+  });
+
+  test("spreads the discount over the lines by value", async () => {
+    const { discount, lineDiscounts } = await evaluateCoupon(
+      coupon({ discountType: "fixed", discountValue: 100 }),
+      null,
+      [line(100), line(100), line(100)]
+    );
+
+    assert.equal(discount, 100);
+    assert.deepEqual(lineDiscounts, [33.33, 33.33, 33.34]);
+  });
+
+  test("only discounts the products it names", async () => {
+    const lines = [line(300), line(200)];
+
+    const { discount, lineDiscounts } = await evaluateCoupon(
+      coupon({
+        discountType: "fixed",
+        discountValue: 500,
+        products: [lines[1].product._id],
+      }),
+      null,
+      lines
+    );
+
+    assert.equal(discount, 200);
+    assert.deepEqual(lineDiscounts, [0, 200]);
+  });
+
+  test("needs the minimum cart value", async () => {
+    await assert.rejects(
+      evaluateCoupon(coupon({ minCartValue: 500 }), null, [line(499)]),
+      /at least 500/
+    );
+  });
+
+  test("asks guests to sign in for coupons with per-customer rules", async () => {
+    await assert.rejects(
+      evaluateCoupon(coupon({ perUserLimit: 1 }), null, [line(100)]),
+      /sign in/
+    );
+  });
+});
+
+describe("per-customer rules", () => {
+  it("count orders from before they were linked to the account", async () => {
+    const user = customer();
+    await Order.create({
+      username: user.username,
+      fullName: "Asha Rao",
+      email: "asha@example.com",
+      phone: "9876543210",
+      items: [{ _id: "legacy", name: "Clay pot", quantity: 1 }],
+      totalAmount: 100,
+      address: {
+        street: "12 MG Road",
+        city: "Pune",
+        state: "Maharashtra",
+        postalCode: "411001",
+      },
+      paymentMethod: "COD",
+    });
+
+    await assert.rejects(
+      evaluateCoupon(coupon({ firstOrderOnly: true }), user, [line(100)]),
+      /first order/
+    );
+  });
+
+  it("let only one of a customer's concurrent orders use the coupon", async () => {
+    const stored = await Coupon.create(coupon({ perUserLimit: 1 }));
+    const user = customer();
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 3 }, () =>
+        claimCoupon(stored, user, new mongoose.Types.ObjectId())
+      )
+    );
+
+    assert.equal(countFulfilled(results), 1);
+    assert.equal((await Coupon.findById(stored._id)).usedCount, 1);
+  });
+
+  it("give a customer's first order to only one first-order coupon", async () => {
+    const first = await Coupon.create(coupon({ firstOrderOnly: true }));
+    const welcome = await Coupon.create(
+      coupon({ code: "WELCOME", firstOrderOnly: true })
+    );
+    const user = customer();
+
+    const results = await Promise.allSettled([
+      claimCoupon(first, user, new mongoose.Types.ObjectId()),
+      claimCoupon(welcome, user, new mongoose.Types.ObjectId()),
+    ]);
+
+    assert.equal(countFulfilled(results), 1);
+    assert.match(
+      results.find((result) => result.status === "rejected").reason.message,
+      /first order/
+    );
+  });
+
+  it("give a use back when its order is cancelled", async () => {
+    const stored = await Coupon.create(coupon({ perUserLimit: 1 }));
+    const user = customer();
+    const orderId = new mongoose.Types.ObjectId();
+    await claimCoupon(stored, user, orderId);
+
+    await releaseCoupon(stored._id, orderId);
+    await claimCoupon(stored, user, new mongoose.Types.ObjectId());
+
+    assert.equal(await CouponRedemption.countDocuments(), 1);
+    assert.equal((await Coupon.findById(stored._id)).usedCount, 1);
+  });
+
+  it("keep no use when the coupon ran out meanwhile", async () => {
+    const stored = await Coupon.create(
+      coupon({ perUserLimit: 1, usageLimit: 1, usedCount: 1 })
+    );
+
+    await assert.rejects(
+      claimCoupon(stored, customer(), new mongoose.Types.ObjectId()),
+      /fully redeemed/
+    );
+    assert.equal(await CouponRedemption.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const { it, before, after, beforeEach } = require("node:test");
+const mongoose = require("mongoose");
+
+// Give the calling test file a database of its own: a randomly named one on
+// the server at TEST_DB_URL when set, else on a throwaway in-memory server.
+// Only that database is ever cleared and dropped, so pointing TEST_DB_URL at
+// a server that holds real data leaves that data alone.
+//
+// mongodb-memory-server downloads mongod on first use (or runs the one at
+// MONGOMS_SYSTEM_BINARY). Without TEST_DB_URL and without a mongod, the
+// returned it() skips its tests with the reason instead of failing them.
+const useTestDatabase = () => {
+  const dbName = `craftculture-test-${crypto.randomBytes(6).toString("hex")}`;
+  let server;
+  let skipReason = null;
+
+  before(async () => {
+    let url = process.env.TEST_DB_URL;
+    if (!url) {
+      try {
+        const { MongoMemoryServer } = require("mongodb-memory-server");
+        server = await MongoMemoryServer.create();
+        url = server.getUri();
+      } catch (error) {
+        skipReason = `no MongoDB to test against (${error.message})`;
+        return;
+      }
+    }
+
+    await mongoose.connect(url, { dbName });
+    // Unique indexes must exist before tests race to break them
+    await Promise.all(
+      mongoose.modelNames().map((name) => mongoose.model(name).init())
+    );
+  });
+
+  after(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+    }
+    await server?.stop();
+  });
+
+  beforeEach(async () => {
+    if (skipReason) return;
+    await Promise.all(
+      Object.values(mongoose.connection.collections).map((collection) =>
+        collection.deleteMany({})
+      )
+    );
+  });
+
+  return (name, fn) =>
+    it(name, (t) => (skipReason ? t.skip(skipReason) : fn(t)));
+};
+
+module.exports = { useTestDatabase };
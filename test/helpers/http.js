@@ -0,0 +1,43 @@
+const { before, after } = require("node:test");
+const express = require("express");
+const { requestContext } = require("../../middleware/requestContext");
+
+// Serve `router` at `path` for the calling test file, the way server.js
+// mounts it. Returns request(method, url, { body, token }) for URLs below
+// `path`, which resolves to { status, body }.
+const useApp = (path, router) => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(requestContext);
+    app.use(path, router);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}${path}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  return async (method, url, { body, token } = {}) => {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      body: text ? JSON.parse(text) : undefined,
+    };
+  };
+};
+
+module.exports = { useApp };
@@ -0,0 +1,117 @@
+// Needed by the auth middleware, which the order modules load
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Invoice = require("../models/Invoice");
+const Counter = require("../models/Counter");
+const { getFinancialYear, issueInvoice } = require("../utils/invoices");
+const { useTestDatabase } = require("./helpers/database");
+
+const it = useTestDatabase();
+
+const createOrder = (fields) =>
+  Order.create({
+    user: new mongoose.Types.ObjectId(),
+    username: "asha",
+    fullName: "Asha Rao",
+    email: "asha@example.com",
+    phone: "9876543210",
+    items: [
+      {
+        _id: new mongoose.Types.ObjectId().toString(),
+        name: "Clay pot",
+        price: 112,
+        quantity: 1,
+        gstRate: 12,
+        hsnCode: "6912",
+      },
+    ],
+    totalAmount: 112,
+    address: {
+      street: "12 MG Road",
+      city: "Pune",
+      state: "Maharashtra",
+      postalCode: "411001",
+    },
+    paymentMethod: "Online",
+    status: "Shipped",
+    ...fields,
+  });
+
+describe("getFinancialYear", () => {
+  test("starts the year on 1 April in India", () => {
+    // 31 March 23:59 and 1 April 00:00 IST
+    assert.equal(getFinancialYear(new Date("2026-03-31T18:29:59Z")), "2025-26");
+    assert.equal(getFinancialYear(new Date("2026-03-31T18:30:00Z")), "2026-27");
+  });
+
+  test("writes the century change as two digits", () => {
+    assert.equal(getFinancialYear(new Date("2099-06-01T00:00:00Z")), "2099-00");
+  });
+});
+
+describe("issueInvoice", () => {
+  it("numbers invoices one after another", async () => {
+    const first = await issueInvoice((await createOrder())._id);
+    const second = await issueInvoice((await createOrder())._id);
+
+    assert.equal(first.sequence, 1);
+    assert.equal(second.sequence, 2);
+    assert.match(first.invoiceNumber, /^INV\/\d{4}-\d{2}\/000001$/);
+  });
+
+  it("issues one invoice for concurrent calls", async () => {
+    const order = await createOrder();
+
+    await Promise.all([issueInvoice(order._id), issueInvoice(order._id)]);
+
+    assert.equal(await Invoice.countDocuments({ order: order._id }), 1);
+    assert.equal((await issueInvoice(order._id)).sequence, 1);
+  });
+
+  it("does not invoice orders that have not shipped", async () => {
+    const order = await createOrder({ status: "Processing" });
+
+    assert.equal(await issueInvoice(order._id), null);
+    assert.equal(await Invoice.countDocuments(), 0);
+  });
+
+  it("waits for a claim that is still being issued", async () => {
+    const order = await createOrder({
+      invoice: new mongoose.Types.ObjectId(),
+      invoiceClaimedAt: new Date(),
+    });
+
+    assert.equal(await issueInvoice(order._id), null);
+  });
+
+  it("takes over a stale claim that has no invoice", async () => {
+    const order = await createOrder({
+      invoice: new mongoose.Types.ObjectId(),
+      invoiceClaimedAt: new Date(Date.now() - 10 * 60 * 1000),
+    });
+
+    const invoice = await issueInvoice(order._id);
+
+    assert.ok(invoice);
+    assert.deepEqual((await Order.findById(order._id)).invoice, invoice._id);
+  });
+
+  it("reuses a released number before drawing a new one", async () => {
+    const financialYear = getFinancialYear();
+    await Counter.create({
+      _id: `invoice:${financialYear}`,
+      seq: 5,
+      released: [3],
+    });
+
+    const reused = await issueInvoice((await createOrder())._id);
+    const next = await issueInvoice((await createOrder())._id);
+
+    assert.equal(reused.sequence, 3);
+    assert.equal(next.sequence, 6);
+  });
+});
@@ -0,0 +1,100 @@
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const userRouter = require("../routes/userRouter");
+const {
+  getRetryAfter,
+  recordFailure,
+  clearAccountFailures,
+  unlock,
+  getActiveLocks,
+} = require("../utils/loginThrottle");
+const { useTestDatabase } = require("./helpers/database");
+const { useApp } = require("./helpers/http");
+
+const it = useTestDatabase();
+const request = useApp("/api/users", userRouter);
+
+const fail = async (times, email, ip = "10.0.0.1") => {
+  for (let i = 0; i < times; i++) {
+    await recordFailure(email, ip);
+  }
+};
+
+describe("login throttling", () => {
+  it("lets the first failures retry right away", async () => {
+    await fail(2, "asha@example.com");
+
+    assert.equal(await getRetryAfter("asha@example.com", "10.0.0.1"), 0);
+  });
+
+  it("makes further attempts wait, then locks the account out", async () => {
+    await fail(3, "asha@example.com");
+    const delay = await getRetryAfter("asha@example.com", "10.0.0.2");
+    assert.ok(delay > 0 && delay <= 60);
+
+    await fail(2, "asha@example.com");
+    const lockout = await getRetryAfter("asha@example.com", "10.0.0.2");
+    assert.ok(lockout > 60 && lockout <= 15 * 60);
+  });
+
+  it("counts an account however its email is written", async () => {
+    await fail(5, " Asha@Example.com");
+
+    assert.ok((await getRetryAfter("asha@example.com", "10.0.0.2")) > 0);
+  });
+
+  it("keeps counting the address after a successful login", async () => {
+    await fail(20, "someone@example.com", "10.0.0.9");
+    await clearAccountFailures("someone@example.com");
+
+    assert.ok((await getRetryAfter("asha@example.com", "10.0.0.9")) > 0);
+  });
+
+  it("lets admins lift a lockout", async () => {
+    await fail(5, "asha@example.com");
+    const locks = await getActiveLocks();
+    assert.ok(locks.some((lock) => lock.key === "account:asha@example.com"));
+
+    assert.equal(await unlock({ email: "asha@example.com" }), 1);
+    assert.equal(await getRetryAfter("asha@example.com", "10.0.0.2"), 0);
+  });
+
+  it("answers unknown emails like wrong passwords", async () => {
+    await User.create({
+      username: "asha",
+      email: "asha@example.com",
+      password: await bcrypt.hash("right password", 10),
+      isVerified: true,
+    });
+
+    const wrongPassword = await request("POST", "/login", {
+      body: { email: "asha@example.com", password: "wrong password" },
+    });
+    const unknownEmail = await request("POST", "/login", {
+      body: { email: "ravi@example.com", password: "wrong password" },
+    });
+
+    assert.equal(wrongPassword.status, 401);
+    assert.deepEqual(unknownEmail, wrongPassword);
+  });
+
+  it("refuses logins while locked out, even with the right password", async () => {
+    await User.create({
+      username: "asha",
+      email: "asha@example.com",
+      password: await bcrypt.hash("right password", 10),
+      isVerified: true,
+    });
+    await fail(5, "asha@example.com");
+
+    const response = await request("POST", "/login", {
+      body: { email: "asha@example.com", password: "right password" },
+    });
+
+    assert.equal(response.status, 429);
+  });
+});
@@ -0,0 +1,160 @@
+// Needed by the auth middleware, which the order modules load
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const {
+  getAllowedStatuses,
+  changeOrderStatus,
+  getTrackingTimeline,
+} = require("../utils/orderStatus");
+const { useTestDatabase } = require("./helpers/database");
+
+const it = useTestDatabase();
+
+const customer = {
+  id: new mongoose.Types.ObjectId().toString(),
+  username: "asha",
+  userRole: "USER",
+};
+const admin = {
+  id: new mongoose.Types.ObjectId().toString(),
+  username: "admin",
+  userRole: "ADMIN",
+};
+
+const createOrder = async (fields) => {
+  const category = await Category.create({ name: "Pottery", slug: "pottery" });
+  const product = await Product.create({
+    name: "Clay pot",
+    price: 100,
+    quantity: 3,
+    status: "Available",
+    category: category._id,
+  });
+  const order = await Order.create({
+    user: customer.id,
+    username: customer.username,
+    fullName: "Asha Rao",
+    email: "asha@example.com",
+    phone: "9876543210",
+    items: [{ _id: product._id.toString(), name: "Clay pot", quantity: 2 }],
+    totalAmount: 200,
+    address: {
+      street: "12 MG Road",
+      city: "Pune",
+      state: "Maharashtra",
+      postalCode: "411001",
+    },
+    paymentMethod: "Online",
+    ...fields,
+  });
+  return { order, product };
+};
+
+describe("getAllowedStatuses", () => {
+  const order = (status) => ({ status, user: customer.id });
+
+  test("lets the customer cancel only a pending order", () => {
+    assert.deepEqual(getAllowedStatuses(order("Pending"), customer), [
+      "Cancelled",
+    ]);
+    assert.deepEqual(getAllowedStatuses(order("Processing"), customer), []);
+  });
+
+  test("gives other customers no transitions", () => {
+    const other = { ...customer, id: new mongoose.Types.ObjectId().toString() };
+
+    assert.deepEqual(getAllowedStatuses(order("Pending"), other), []);
+  });
+
+  test("does not go by username", () => {
+    const namesake = {
+      ...customer,
+      id: new mongoose.Types.ObjectId().toString(),
+    };
+
+    assert.deepEqual(
+      getAllowedStatuses({ status: "Pending", username: "asha" }, namesake),
+      []
+    );
+  });
+
+  test("never lets a shipped order be cancelled", () => {
+    assert.deepEqual(getAllowedStatuses(order("Shipped"), admin), [
+      "Delivered",
+    ]);
+    assert.deepEqual(getAllowedStatuses(order("Shipped"), customer), []);
+  });
+
+  test("leaves returned and refunded orders to return requests", () => {
+    for (const status of ["Delivered", "Cancelled", "Returned", "Refunded"]) {
+      assert.deepEqual(getAllowedStatuses(order(status), admin), []);
+    }
+  });
+});
+
+describe("getTrackingTimeline", () => {
+  test("shows who moved the order only as customer or store", () => {
+    const at = new Date();
+    const timeline = getTrackingTimeline({
+      username: "asha",
+      statusHistory: [
+        { status: "Pending", at, actor: { username: "asha" } },
+        { status: "Processing", at, actor: { username: "admin" } },
+        { status: "Cancelled", at, actor: { username: "asha" }, note: "Oops" },
+      ],
+    });
+
+    assert.deepEqual(
+      timeline.map((entry) => entry.by),
+      ["customer", "store", "customer"]
+    );
+    assert.equal(timeline[2].note, "Oops");
+    assert.ok(timeline.every((entry) => !("actor" in entry)));
+  });
+});
+
+describe("changeOrderStatus", () => {
+  it("restocks an order cancelled twice at once only once", async () => {
+    const { order, product } = await createOrder();
+    await Product.updateOne({ _id: product._id }, { quantity: 1 });
+
+    const results = await Promise.all([
+      changeOrderStatus(order, "Cancelled", customer),
+      changeOrderStatus(order, "Cancelled", admin),
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal((await Product.findById(product._id)).quantity, 3);
+  });
+
+  it("refuses to move an order whose status changed meanwhile", async () => {
+    const { order } = await createOrder();
+    await changeOrderStatus(order, "Processing", admin);
+
+    assert.equal(await changeOrderStatus(order, "Cancelled", customer), null);
+    assert.equal((await Order.findById(order._id)).status, "Processing");
+  });
+
+  it("records who moved the order and when it was delivered", async () => {
+    const { order } = await createOrder({ status: "Shipped" });
+
+    const updated = await changeOrderStatus(
+      order,
+      "Delivered",
+      admin,
+      " Signed "
+    );
+
+    const entry = updated.statusHistory.at(-1);
+    assert.equal(entry.status, "Delivered");
+    assert.equal(entry.actor.username, "admin");
+    assert.equal(entry.note, "Signed");
+    assert.deepEqual(updated.deliveryDate, entry.at);
+  });
+});
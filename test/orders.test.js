@@ -0,0 +1,154 @@
+// Needed by the auth middleware, which the order modules load
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const { takeStock } = require("../utils/inventory");
+const { placeOrder } = require("../utils/orders");
+const { buildQuote } = require("../utils/pricing");
+const { useTestDatabase } = require("./helpers/database");
+
+const it = useTestDatabase();
+let category;
+
+beforeEach(async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  category = await Category.create({ name: "Pottery", slug: "pottery" });
+});
+
+const createProduct = (fields) =>
+  Product.create({
+    name: "Clay pot",
+    price: 100,
+    status: "Available",
+    category: category._id,
+    ...fields,
+  });
+
+const buyer = (username) => ({
+  id: new mongoose.Types.ObjectId(),
+  username,
+});
+
+const address = {
+  street: "12 MG Road",
+  city: "Pune",
+  state: "Maharashtra",
+  postalCode: "411001",
+};
+
+// Order details for `lines` of [product, quantity], with the total the
+// checkout would have quoted for them
+const orderDetails = async (lines) => {
+  const quote = await buildQuote(
+    lines.map(([product, quantity]) => ({
+      product,
+      quantity,
+      price: product.price,
+      offer: product.offer,
+    })),
+    { address, paymentMethod: "Online" }
+  );
+
+  return {
+    fullName: "Asha Rao",
+    email: "asha@example.com",
+    phone: "9876543210",
+    items: lines.map(([product, quantity]) => ({
+      _id: product._id.toString(),
+      name: product.name,
+      price: product.price,
+      offer: product.offer,
+      quantity,
+    })),
+    totalAmount: quote.total,
+    address,
+    paymentMethod: "Online",
+  };
+};
+
+const countFulfilled = (results) =>
+  results.filter((result) => result.status === "fulfilled").length;
+
+describe("takeStock", () => {
+  it("never takes more than is left when buyers race", async () => {
+    const product = await createProduct({ quantity: 3 });
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () =>
+        takeStock(product._id, undefined, 1, { reason: "order" })
+      )
+    );
+
+    assert.equal(countFulfilled(results), 3);
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.quantity, 0);
+    assert.equal(stored.status, "Not Available");
+  });
+
+  it("takes from the chosen variant and the product total", async () => {
+    const product = await createProduct({
+      quantity: 7,
+      variants: [
+        { sku: "POT-RED", quantity: 2 },
+        { sku: "POT-BLUE", quantity: 5 },
+      ],
+    });
+    const [red, blue] = product.variants;
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 4 }, () =>
+        takeStock(product._id, red._id, 1, { reason: "order" })
+      )
+    );
+
+    assert.equal(countFulfilled(results), 2);
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.variants.id(red._id).quantity, 0);
+    assert.equal(stored.variants.id(blue._id).quantity, 5);
+    assert.equal(stored.quantity, 5);
+  });
+});
+
+describe("placeOrder", () => {
+  it("sells the last unit to only one of two concurrent buyers", async () => {
+    const product = await createProduct({ quantity: 1 });
+    const details = await Promise.all([
+      orderDetails([[product, 1]]),
+      orderDetails([[product, 1]]),
+    ]);
+
+    const results = await Promise.allSettled([
+      placeOrder(buyer("asha"), details[0]),
+      placeOrder(buyer("ravi"), details[1]),
+    ]);
+
+    assert.equal(countFulfilled(results), 1);
+    const failure = results.find((result) => result.status === "rejected");
+    assert.match(failure.reason.message, /Insufficient stock/);
+    assert.equal((await Product.findById(product._id)).quantity, 0);
+    assert.equal(await Order.countDocuments(), 1);
+  });
+
+  it("gives back only the stock a failed order took", async () => {
+    const vase = await createProduct({ name: "Vase", quantity: 5 });
+    const lamp = await createProduct({ name: "Lamp", quantity: 1 });
+    const details = await orderDetails([
+      [vase, 2],
+      [lamp, 2],
+    ]);
+
+    await assert.rejects(
+      placeOrder(buyer("asha"), details),
+      /Insufficient stock for Lamp/
+    );
+
+    assert.equal((await Product.findById(vase._id)).quantity, 5);
+    assert.equal((await Product.findById(lamp._id)).quantity, 1);
+    assert.equal(await Order.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,189 @@
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Applicant = require("../models/Applicant");
+const DonateMoney = require("../models/DonateMoney");
+const AuditLog = require("../models/AuditLog");
+const {
+  collectPersonalData,
+  erasePersonalData,
+} = require("../utils/personalData");
+const { useTestDatabase } = require("./helpers/database");
+
+const it = useTestDatabase();
+
+const createUser = (fields) =>
+  User.create({
+    username: "asha",
+    email: "asha@example.com",
+    password: "not-a-real-hash",
+    isVerified: true,
+    ...fields,
+  });
+
+const createOrder = (fields) =>
+  Order.create({
+    username: "asha",
+    fullName: "Asha Rao",
+    email: "asha@example.com",
+    phone: "9876543210",
+    items: [],
+    totalAmount: 100,
+    address: {
+      street: "12 MG Road",
+      city: "Pune",
+      state: "Maharashtra",
+      postalCode: "411001",
+    },
+    paymentMethod: "Online",
+    ...fields,
+  });
+
+const createApplication = (email) =>
+  Applicant.create({
+    companyId: new mongoose.Types.ObjectId(),
+    jobId: new mongoose.Types.ObjectId(),
+    name: "Asha Rao",
+    email,
+    phoneNumber: "9876543210",
+  });
+
+describe("personal data export", () => {
+  it("includes records linked to the account", async () => {
+    const user = await createUser();
+    await createOrder({ user: user._id });
+    await createApplication("asha@example.com");
+    await DonateMoney.create({
+      name: "Asha Rao",
+      phone: "9876543210",
+      amount: 500,
+      user: user._id,
+    });
+
+    const data = await collectPersonalData(user._id);
+
+    assert.equal(data.account.email, "asha@example.com");
+    assert.equal(data.account.password, undefined);
+    assert.equal(data.orders.length, 1);
+    assert.equal(data.applications.length, 1);
+    assert.equal(data.donations.money.length, 1);
+  });
+
+  it("leaves out records only linked by an unverified email or a phone", async () => {
+    // Someone who signed up with another person's email and phone number
+    const user = await createUser({
+      isVerified: false,
+      phone: "9876543210",
+      addresses: [
+        {
+          phone: "9123456780",
+          street: "1 Park Street",
+          city: "Kolkata",
+          state: "West Bengal",
+          postalCode: "700016",
+        },
+      ],
+    });
+    await createOrder({ user: new mongoose.Types.ObjectId() });
+    await createOrder({ username: "ravi" });
+    await createApplication("asha@example.com");
+    await DonateMoney.create({ name: "Asha", phone: "9876543210", amount: 5 });
+    await DonateMoney.create({ name: "Asha", phone: "9123456780", amount: 5 });
+
+    const data = await collectPersonalData(user._id);
+
+    assert.equal(data.orders.length, 0);
+    assert.equal(data.applications.length, 0);
+    assert.equal(data.donations.money.length, 0);
+  });
+
+  it("includes unlinked older orders by username", async () => {
+    const user = await createUser();
+    await createOrder({ email: "other@example.com" });
+
+    const data = await collectPersonalData(user._id);
+
+    assert.equal(data.orders.length, 1);
+  });
+});
+
+describe("account erasure", () => {
+  it("deletes the account and anonymises what is kept", async () => {
+    const user = await createUser();
+    const order = await createOrder({ user: user._id, notes: "Ring twice" });
+    await createApplication("asha@example.com");
+    const donation = await DonateMoney.create({
+      name: "Asha Rao",
+      phone: "9876543210",
+      amount: 500,
+      user: user._id,
+    });
+
+    const summary = await erasePersonalData(user._id);
+
+    assert.equal(summary.ordersAnonymised, 1);
+    assert.equal(summary.applicationsDeleted, 1);
+    assert.equal(summary.donationsAnonymised, 1);
+    assert.equal(await User.countDocuments(), 0);
+
+    const erasedOrder = await Order.findById(order._id).lean();
+    assert.equal(erasedOrder.user, undefined);
+    assert.equal(erasedOrder.username, `deleted-${user._id}`);
+    assert.equal(erasedOrder.fullName, "[erased]");
+    assert.equal(erasedOrder.notes, undefined);
+    assert.equal(erasedOrder.address.state, "Maharashtra");
+
+    const erasedDonation = await DonateMoney.findById(donation._id).lean();
+    assert.equal(erasedDonation.phone, "[erased]");
+    assert.equal(erasedDonation.user, undefined);
+  });
+
+  it("leaves other people's records alone", async () => {
+    const user = await createUser({ isVerified: false, phone: "9876543210" });
+    await createApplication("asha@example.com");
+    await DonateMoney.create({ name: "Asha", phone: "9876543210", amount: 5 });
+
+    await erasePersonalData(user._id);
+
+    assert.equal(await Applicant.countDocuments(), 1);
+    assert.equal(await DonateMoney.countDocuments({ name: "Asha" }), 1);
+  });
+
+  it("strips audit entries about the user and anonymises their own", async () => {
+    const user = await createUser();
+    const order = await createOrder({ user: user._id });
+    const actor = { id: user._id, username: "asha", userRole: "NORMAL" };
+    await AuditLog.create([
+      {
+        actor,
+        action: "update",
+        targetModel: "Order",
+        targetId: order._id.toString(),
+        before: { status: "Pending" },
+        after: { status: "Cancelled" },
+        ip: "10.0.0.1",
+      },
+      {
+        action: "update",
+        targetModel: "User",
+        targetId: user._id.toString(),
+        changes: { phone: { from: "hash:1", to: "hash:2" } },
+      },
+    ]);
+
+    await erasePersonalData(user._id);
+
+    const [own, about] = await AuditLog.find().sort({ targetModel: 1 }).lean();
+    assert.equal(own.actor.id, undefined);
+    assert.equal(own.actor.username, `deleted-${user._id}`);
+    assert.equal(own.ip, undefined);
+    assert.equal(own.before, undefined);
+    assert.ok(own.erasedAt);
+    assert.equal(about.changes, undefined);
+    assert.ok(about.erasedAt);
+  });
+});
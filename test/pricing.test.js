@@ -0,0 +1,169 @@
+process.env.COD_FEE = "30";
+
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const ShippingZone = require("../models/ShippingZone");
+const { splitTax, buildQuote } = require("../utils/pricing");
+const { useTestDatabase } = require("./helpers/database");
+
+const it = useTestDatabase();
+let category;
+
+beforeEach(async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  category = await Category.create({
+    name: "Pottery",
+    slug: "pottery",
+    hsnCode: "6912",
+    gstRate: 12,
+  });
+});
+
+const address = (postalCode) => ({
+  street: "12 MG Road",
+  city: "Pune",
+  state: "Maharashtra",
+  postalCode,
+});
+
+// A price line for `quantity` of a product at `price` with `offer` percent
+// off, weighing `weight` grams apiece
+const line = ({ price = 100, quantity = 1, offer = 0, weight = 400 } = {}) => ({
+  product: {
+    _id: new mongoose.Types.ObjectId(),
+    name: "Clay pot",
+    category: category._id,
+    weight,
+  },
+  quantity,
+  price,
+  offer,
+});
+
+const quote = (lines, postalCode = "411001", paymentMethod = "Online") =>
+  buildQuote(lines, { address: address(postalCode), paymentMethod });
+
+describe("splitTax", () => {
+  test("takes GST out of prices that include it", () => {
+    assert.deepEqual(splitTax(112, 12, true), {
+      taxableValue: 100,
+      tax: 12,
+      total: 112,
+    });
+  });
+
+  test("adds GST on top of prices that don't", () => {
+    assert.deepEqual(splitTax(100, 18, false), {
+      taxableValue: 100,
+      tax: 18,
+      total: 118,
+    });
+  });
+
+  test("rounds to the paisa and keeps the parts adding up", () => {
+    const { taxableValue, tax, total } = splitTax(100, 18, true);
+
+    assert.equal(taxableValue, 84.75);
+    assert.equal(tax, 15.25);
+    assert.equal(taxableValue + tax, total);
+  });
+});
+
+describe("buildQuote", () => {
+  it("taxes items at their category's rate, inherited by sub-categories", async () => {
+    const child = await Category.create({
+      name: "Planters",
+      slug: "planters",
+      parent: category._id,
+    });
+    const planter = line({ price: 224 });
+    planter.product.category = child._id;
+
+    const { items, tax } = await quote([planter]);
+
+    assert.equal(items[0].hsnCode, "6912");
+    assert.equal(items[0].gstRate, 12);
+    assert.equal(tax, 24);
+  });
+
+  it("ships free when no zones are set up", async () => {
+    const { shipping, total } = await quote([line()]);
+
+    assert.equal(shipping.free, true);
+    assert.equal(total, 100);
+  });
+
+  it("charges the zone with the longest matching prefix", async () => {
+    await ShippingZone.create([
+      {
+        name: "Rest of India",
+        isDefault: true,
+        rates: [{ upTo: 1000, charge: 100 }],
+      },
+      {
+        name: "Maharashtra",
+        postalCodePrefixes: ["41"],
+        rates: [{ upTo: 1000, charge: 60 }],
+      },
+      {
+        name: "Pune",
+        postalCodePrefixes: ["411"],
+        rates: [{ upTo: 1000, charge: 40 }],
+      },
+    ]);
+
+    assert.equal((await quote([line()], "411001")).shipping.charge, 40);
+    assert.equal((await quote([line()], "413001")).shipping.charge, 60);
+    assert.equal((await quote([line()], "110001")).shipping.charge, 100);
+  });
+
+  it("refuses postal codes no zone covers without a default", async () => {
+    await ShippingZone.create({
+      name: "Pune",
+      postalCodePrefixes: ["411"],
+      rates: [{ upTo: 1000, charge: 40 }],
+    });
+
+    await assert.rejects(quote([line()], "110001"), /don't ship to/);
+  });
+
+  it("charges every step started beyond the highest rate", async () => {
+    await ShippingZone.create({
+      name: "Everywhere",
+      isDefault: true,
+      rates: [{ upTo: 500, charge: 40 }],
+      extraStep: 500,
+      extraCharge: 20,
+    });
+
+    const { shipping } = await quote([line({ quantity: 3 })]);
+
+    assert.equal(shipping.weight, 1200);
+    assert.equal(shipping.charge, 80);
+  });
+
+  it("ships free above the threshold after offers", async () => {
+    await ShippingZone.create({
+      name: "Everywhere",
+      isDefault: true,
+      rates: [{ upTo: 5000, charge: 50 }],
+      freeShippingThreshold: 500,
+    });
+
+    const discounted = await quote([line({ price: 600, offer: 20 })]);
+    const full = await quote([line({ price: 600 })]);
+
+    assert.equal(discounted.shipping.charge, 50);
+    assert.equal(full.shipping.free, true);
+  });
+
+  it("adds the COD fee with its GST to cash on delivery orders", async () => {
+    const online = await quote([line()]);
+    const cod = await quote([line()], "411001", "COD");
+
+    assert.equal(cod.codFee, 30);
+    assert.equal(cod.total, online.total + 30);
+  });
+});
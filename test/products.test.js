@@ -0,0 +1,169 @@
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe } = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const productRouter = require("../routes/productRouter");
+const { signToken } = require("../middleware/auth");
+const { takeStock } = require("../utils/inventory");
+const { useTestDatabase } = require("./helpers/database");
+const { useApp } = require("./helpers/http");
+
+const it = useTestDatabase();
+const request = useApp("/api/products", productRouter);
+
+// An artisan's product, and the artisan's access token
+const createListing = async (fields) => {
+  const artisan = await User.create({
+    username: "meera",
+    email: "meera@example.com",
+    password: "not-a-real-hash",
+    isVerified: true,
+    userRole: "ARTISAN",
+  });
+  const category = await Category.create({ name: "Pottery", slug: "pottery" });
+  const product = await Product.create({
+    name: "Clay pot",
+    price: 100,
+    status: "Available",
+    category: category._id,
+    owner: artisan._id,
+    ...fields,
+  });
+  return { product, token: signToken(artisan) };
+};
+
+// The body of a PUT that resubmits the product as it was loaded
+const editForm = (product, changes) => ({
+  name: product.name,
+  price: product.price,
+  quantity: product.quantity,
+  status: product.status,
+  category: product.category.toString(),
+  ...changes,
+});
+
+describe("product updates", () => {
+  it("keeps sales made after the product was loaded", async () => {
+    const { product, token } = await createListing({ quantity: 5 });
+    await takeStock(product._id, undefined, 2, { reason: "order" });
+
+    const response = await request("PUT", `/${product._id}`, {
+      token,
+      body: editForm(product, { description: "Hand thrown" }),
+    });
+
+    assert.equal(response.status, 200);
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.description, "Hand thrown");
+    assert.equal(stored.quantity, 3);
+  });
+
+  it("sets the stock when the request changes it", async () => {
+    const { product, token } = await createListing({ quantity: 5 });
+
+    const response = await request("PUT", `/${product._id}`, {
+      token,
+      body: editForm(product, { quantity: 8 }),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.product.quantity, 8);
+  });
+});
+
+describe("product variants", () => {
+  it("adds a variant to the stock left after concurrent sales", async () => {
+    const { product, token } = await createListing({
+      quantity: 7,
+      variants: [
+        { sku: "POT-RED", quantity: 2 },
+        { sku: "POT-BLUE", quantity: 5 },
+      ],
+    });
+    await takeStock(product._id, product.variants[1]._id, 4, {
+      reason: "order",
+    });
+
+    const response = await request("POST", `/${product._id}/variants`, {
+      token,
+      body: { sku: "POT-GREEN", quantity: 3 },
+    });
+
+    assert.equal(response.status, 201);
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.variants.length, 3);
+    assert.equal(stored.variants.id(product.variants[1]._id).quantity, 1);
+    assert.equal(stored.quantity, 6);
+  });
+
+  it("replaces the product-level stock with the first variant's", async () => {
+    const { product, token } = await createListing({ quantity: 4 });
+
+    const response = await request("POST", `/${product._id}/variants`, {
+      token,
+      body: { sku: "POT-RED", quantity: 2 },
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.product.quantity, 2);
+  });
+
+  it("rejects a second variant with the same SKU", async () => {
+    const { product, token } = await createListing({
+      quantity: 2,
+      variants: [{ sku: "POT-RED", quantity: 2 }],
+    });
+
+    const response = await request("POST", `/${product._id}/variants`, {
+      token,
+      body: { sku: "POT-RED", quantity: 1 },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await Product.findById(product._id)).variants.length, 1);
+  });
+
+  it("removes a variant's current stock from the total", async () => {
+    const { product, token } = await createListing({
+      quantity: 7,
+      variants: [
+        { sku: "POT-RED", quantity: 2 },
+        { sku: "POT-BLUE", quantity: 5 },
+      ],
+    });
+    const [red, blue] = product.variants;
+    await takeStock(product._id, blue._id, 4, { reason: "order" });
+
+    const response = await request(
+      "DELETE",
+      `/${product._id}/variants/${red._id}`,
+      { token }
+    );
+
+    assert.equal(response.status, 200);
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.variants.length, 1);
+    assert.equal(stored.quantity, 1);
+  });
+
+  it("leaves no stock once the last variant is removed", async () => {
+    const { product, token } = await createListing({
+      quantity: 2,
+      variants: [{ sku: "POT-RED", quantity: 2 }],
+    });
+
+    const response = await request(
+      "DELETE",
+      `/${product._id}/variants/${product.variants[0]._id}`,
+      { token }
+    );
+
+    assert.equal(response.status, 200);
+    const stored = await Product.findById(product._id);
+    assert.equal(stored.quantity, 0);
+    assert.equal(stored.status, "Not Available");
+  });
+});
@@ -0,0 +1,196 @@
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const ReturnRequest = require("../models/ReturnRequest");
+const returnRouter = require("../routes/returnRouter");
+const { signToken } = require("../middleware/auth");
+const {
+  RETURN_WINDOW_DAYS,
+  getReturnDeadline,
+  getPaidUnitPrice,
+  withReturnLock,
+} = require("../utils/returns");
+const { useTestDatabase } = require("./helpers/database");
+const { useApp } = require("./helpers/http");
+
+const it = useTestDatabase();
+const request = useApp("/api/returns", returnRouter);
+const DAY = 24 * 60 * 60 * 1000;
+
+// A verified customer with an order of two pots delivered yesterday, and
+// their access token
+const createDelivery = async () => {
+  const user = await User.create({
+    username: "asha",
+    email: "asha@example.com",
+    password: "not-a-real-hash",
+    isVerified: true,
+  });
+  const category = await Category.create({ name: "Pottery", slug: "pottery" });
+  const product = await Product.create({
+    name: "Clay pot",
+    price: 100,
+    quantity: 5,
+    status: "Available",
+    category: category._id,
+  });
+  const order = await Order.create({
+    user: user._id,
+    username: "asha",
+    fullName: "Asha Rao",
+    email: "asha@example.com",
+    phone: "9876543210",
+    items: [
+      {
+        _id: product._id.toString(),
+        name: "Clay pot",
+        price: 100,
+        quantity: 2,
+      },
+    ],
+    totalAmount: 200,
+    address: {
+      street: "12 MG Road",
+      city: "Pune",
+      state: "Maharashtra",
+      postalCode: "411001",
+    },
+    paymentMethod: "Online",
+    status: "Delivered",
+    deliveryDate: new Date(Date.now() - DAY),
+  });
+  return { order, product, token: signToken(user) };
+};
+
+const returnBody = (order, product, quantity) => ({
+  order: order._id.toString(),
+  type: "return",
+  reason: "Cracked in transit",
+  items: [{ product: product._id.toString(), quantity }],
+});
+
+describe("return helpers", () => {
+  test("gives the return window from the latest delivery", () => {
+    const first = new Date("2024-03-01T10:00:00Z");
+    const second = new Date("2024-03-05T10:00:00Z");
+
+    const deadline = getReturnDeadline({
+      statusHistory: [
+        { status: "Delivered", at: first },
+        { status: "Delivered", at: second },
+      ],
+    });
+
+    assert.equal(
+      deadline.getTime(),
+      second.getTime() + RETURN_WINDOW_DAYS * DAY
+    );
+  });
+
+  test("has no deadline before delivery", () => {
+    assert.equal(getReturnDeadline({ statusHistory: [] }), null);
+  });
+
+  test("refunds what was paid per unit after offers and coupons", () => {
+    const item = { price: 100, quantity: 2, offer: 10, couponDiscount: 20 };
+
+    assert.equal(getPaidUnitPrice({}, item), 80);
+  });
+
+  test("adds GST that was charged on top of the price", () => {
+    const item = { price: 100, quantity: 1, gstRate: 12 };
+
+    assert.equal(
+      getPaidUnitPrice({ pricing: { taxIncluded: false } }, item),
+      112
+    );
+  });
+});
+
+describe("return requests", () => {
+  it("lets concurrent requests claim each unit only once", async () => {
+    const { order, product, token } = await createDelivery();
+
+    const responses = await Promise.all(
+      Array.from({ length: 3 }, () =>
+        request("POST", "/", { token, body: returnBody(order, product, 2) })
+      )
+    );
+
+    assert.equal(
+      responses.filter((response) => response.status === 201).length,
+      1
+    );
+    assert.equal(await ReturnRequest.countDocuments(), 1);
+    assert.equal(
+      (await Order.findById(order._id)).returnLockedUntil,
+      undefined
+    );
+  });
+
+  it("turns away submissions while the order is locked", async () => {
+    const { order, product, token } = await createDelivery();
+
+    await withReturnLock(order._id, async () => {
+      const response = await request("POST", "/", {
+        token,
+        body: returnBody(order, product, 1),
+      });
+      assert.equal(response.status, 409);
+    });
+
+    const response = await request("POST", "/", {
+      token,
+      body: returnBody(order, product, 1),
+    });
+    assert.equal(response.status, 201);
+  });
+
+  it("frees the units of a cancelled request", async () => {
+    const { order, product, token } = await createDelivery();
+    const created = await request("POST", "/", {
+      token,
+      body: returnBody(order, product, 2),
+    });
+
+    const cancelled = await request(
+      "POST",
+      `/${created.body.returnRequest._id}/cancel`,
+      { token }
+    );
+    const again = await request("POST", "/", {
+      token,
+      body: returnBody(order, product, 2),
+    });
+
+    assert.equal(cancelled.status, 200);
+    assert.equal(again.status, 201);
+  });
+
+  it("hides who handled a request from the customer who cancels it", async () => {
+    const { order, product, token } = await createDelivery();
+    const created = await request("POST", "/", {
+      token,
+      body: returnBody(order, product, 1),
+    });
+
+    const response = await request(
+      "POST",
+      `/${created.body.returnRequest._id}/cancel`,
+      { token }
+    );
+
+    assert.equal(response.status, 200);
+    const history = response.body.returnRequest.statusHistory;
+    assert.deepEqual(
+      history.map((entry) => entry.status),
+      ["Requested", "Cancelled"]
+    );
+    assert.ok(history.every((entry) => !("actor" in entry)));
+  });
+});
@@ -0,0 +1,110 @@
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const Review = require("../models/Review");
+const reviewRouter = require("../routes/reviewRouter");
+const { signToken } = require("../middleware/auth");
+const { useTestDatabase } = require("./helpers/database");
+const { useApp } = require("./helpers/http");
+
+const it = useTestDatabase();
+const request = useApp("/api/reviews", reviewRouter);
+
+// A verified customer who received a product, and their access token
+const createCustomer = async () => {
+  const user = await User.create({
+    username: "asha",
+    email: "asha@example.com",
+    password: "not-a-real-hash",
+    isVerified: true,
+  });
+  const category = await Category.create({ name: "Pottery", slug: "pottery" });
+  const { _id: product } = await Product.create({
+    name: "Clay pot",
+    price: 100,
+    quantity: 1,
+    status: "Available",
+    category: category._id,
+  });
+  await Order.create({
+    user: user._id,
+    username: "asha",
+    fullName: "Asha Rao",
+    email: "asha@example.com",
+    phone: "9876543210",
+    items: [{ _id: product.toString(), name: "Clay pot", quantity: 1 }],
+    totalAmount: 100,
+    address: {
+      street: "12 MG Road",
+      city: "Pune",
+      state: "Maharashtra",
+      postalCode: "411001",
+    },
+    paymentMethod: "Online",
+    status: "Delivered",
+  });
+  return { user, product, token: signToken(user) };
+};
+
+describe("reviews", () => {
+  it("rejects review text that is not a string", async () => {
+    const { product, token } = await createCustomer();
+
+    const response = await request("POST", "/", {
+      token,
+      body: { product, rating: 5, text: { $gt: "" } },
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it("keeps voters and reports out of the posted and updated review", async () => {
+    const { product, token } = await createCustomer();
+
+    const posted = await request("POST", "/", {
+      token,
+      body: { product, rating: 5, text: "Lovely pot" },
+    });
+    assert.equal(posted.status, 201);
+    assert.equal(posted.body.review.text, "Lovely pot");
+
+    const id = posted.body.review._id;
+    await Review.updateOne(
+      { _id: id },
+      {
+        $push: { flags: { user: new mongoose.Types.ObjectId(), reason: "x" } },
+        moderationNote: "Checked",
+      }
+    );
+    const updated = await request("PUT", `/${id}`, {
+      token,
+      body: { rating: 4, text: "Still lovely" },
+    });
+
+    assert.equal(updated.status, 200);
+    for (const review of [posted.body.review, updated.body.review]) {
+      assert.equal(review.helpfulVoters, undefined);
+      assert.equal(review.flags, undefined);
+      assert.equal(review.moderationNote, undefined);
+    }
+  });
+
+  it("rejects report reasons that are not a string", async () => {
+    const { token } = await createCustomer();
+    const id = new mongoose.Types.ObjectId();
+
+    for (const reason of [{ length: 3 }, ["spam"], 42]) {
+      const response = await request("POST", `/${id}/flag`, {
+        token,
+        body: { reason },
+      });
+      assert.equal(response.status, 400);
+    }
+  });
+});
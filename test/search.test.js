@@ -0,0 +1,117 @@
+process.env.JWT_SECRET ??= "test-secret";
+process.env.MAX_SEARCH_CANDIDATES = "3";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const productRouter = require("../routes/productRouter");
+const { tokenize, candidatePattern, scoreProduct } = require("../utils/search");
+const { useTestDatabase } = require("./helpers/database");
+const { useApp } = require("./helpers/http");
+
+const it = useTestDatabase();
+const request = useApp("/api/products", productRouter);
+
+describe("search helpers", () => {
+  test("tokenize lower-cases and strips accents", () => {
+    assert.deepEqual(tokenize("Hand-made Café MUGS"), [
+      "hand",
+      "made",
+      "cafe",
+      "mugs",
+    ]);
+  });
+
+  test("candidate patterns still find misspelt words", () => {
+    const pattern = new RegExp(candidatePattern("terracota"), "i");
+
+    assert.match("Terracotta vase", pattern);
+    assert.doesNotMatch("Brass lamp", pattern);
+  });
+
+  test("candidate patterns treat the query as text", () => {
+    assert.match("a.b", new RegExp(candidatePattern("a.b")));
+    assert.doesNotMatch("axb", new RegExp(candidatePattern("a.b")));
+  });
+
+  test("names outweigh descriptions and every term must match", () => {
+    const inName = scoreProduct({ name: "Clay pot" }, ["clay"]);
+    const inDescription = scoreProduct(
+      { name: "Pot", description: "Made of clay" },
+      ["clay"]
+    );
+
+    assert.ok(inName > inDescription);
+    assert.equal(scoreProduct({ name: "Clay pot" }, ["clay", "lamp"]), 0);
+    assert.ok(scoreProduct({ name: "Clay pot" }, ["caly"]) > 0);
+  });
+});
+
+describe("GET /search", () => {
+  test("rejects repeated query parameters", async () => {
+    const response = await request("GET", "/search?q=pot&q=vase");
+
+    assert.equal(response.status, 400);
+  });
+
+  const createProducts = async (names) => {
+    const category = await Category.create({ name: "Decor", slug: "decor" });
+    for (const [name, description] of names) {
+      await Product.create({
+        name,
+        description,
+        price: 100,
+        quantity: 1,
+        status: "Available",
+        category: category._id,
+      });
+    }
+  };
+
+  it("says when more products match than it scores", async () => {
+    await createProducts([
+      ["Clay pot", ""],
+      ["Clay cup", ""],
+      ["Clay lamp", ""],
+      ["Clay bowl", ""],
+    ]);
+
+    const response = await request("GET", "/search?q=clay");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.truncated, true);
+    assert.equal(response.body.totalProducts, 3);
+  });
+
+  it("scores products named after the query first", async () => {
+    // The oldest product is the only one with the term in its name
+    await createProducts([
+      ["Terracotta vase", ""],
+      ["Jug", "Glazed terracotta"],
+      ["Bowl", "Terracotta finish"],
+      ["Plate", "Terracotta rim"],
+      ["Cup", "Terracotta base"],
+    ]);
+
+    const response = await request("GET", "/search?q=terracotta");
+
+    assert.equal(response.body.truncated, true);
+    assert.equal(response.body.products[0].name, "Terracotta vase");
+  });
+
+  it("is not truncated when everything was scored", async () => {
+    await createProducts([
+      ["Clay pot", ""],
+      ["Brass lamp", ""],
+    ]);
+
+    const response = await request("GET", "/search?q=clay");
+
+    assert.equal(response.body.truncated, false);
+    assert.deepEqual(
+      response.body.products.map((product) => product.name),
+      ["Clay pot"]
+    );
+  });
+});
@@ -0,0 +1,97 @@
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const {
+  issueSession,
+  rotateSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+} = require("../utils/sessions");
+const { hashToken } = require("../utils/hash");
+const { useTestDatabase } = require("./helpers/database");
+
+const it = useTestDatabase();
+
+const createUser = () =>
+  User.create({
+    username: "asha",
+    email: "asha@example.com",
+    password: "not-a-real-hash",
+    isVerified: true,
+  });
+
+describe("sessions", () => {
+  it("rotates a refresh token into a new pair", async () => {
+    const user = await createUser();
+    const { refreshToken } = await issueSession(user);
+
+    const session = await rotateSession(refreshToken);
+
+    assert.ok(session);
+    assert.notEqual(session.refreshToken, refreshToken);
+    assert.equal(jwt.decode(session.token).id, user._id.toString());
+    const rotated = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+    assert.ok(rotated.revokedAt);
+    assert.equal(rotated.replacedBy, hashToken(session.refreshToken));
+  });
+
+  it("revokes the whole family when a rotated token is reused", async () => {
+    const user = await createUser();
+    const { refreshToken } = await issueSession(user);
+    const session = await rotateSession(refreshToken);
+
+    assert.equal(await rotateSession(refreshToken), null);
+    assert.equal(await rotateSession(session.refreshToken), null);
+    assert.equal(await RefreshToken.countDocuments({ revokedAt: null }), 0);
+  });
+
+  it("lets only one of two concurrent rotations win", async () => {
+    const user = await createUser();
+    const { refreshToken } = await issueSession(user);
+
+    const sessions = await Promise.all([
+      rotateSession(refreshToken),
+      rotateSession(refreshToken),
+    ]);
+
+    assert.equal(sessions.filter(Boolean).length, 1);
+  });
+
+  it("rejects expired and unknown refresh tokens", async () => {
+    const user = await createUser();
+    const { refreshToken } = await issueSession(user);
+    await RefreshToken.updateOne(
+      { tokenHash: hashToken(refreshToken) },
+      { $set: { expiresAt: new Date(Date.now() - 1000) } }
+    );
+
+    assert.equal(await rotateSession(refreshToken), null);
+    assert.equal(await rotateSession("not-a-token"), null);
+  });
+
+  it("logs out one device without touching the others", async () => {
+    const user = await createUser();
+    const phone = await issueSession(user);
+    const laptop = await issueSession(user);
+
+    assert.equal(await revokeRefreshToken(phone.refreshToken), true);
+    assert.equal(await rotateSession(phone.refreshToken), null);
+    assert.ok(await rotateSession(laptop.refreshToken));
+  });
+
+  it("ends every session and bumps the token version", async () => {
+    const user = await createUser();
+    const { refreshToken } = await issueSession(user);
+
+    const updated = await revokeAllSessions(user._id);
+
+    assert.equal(updated.tokenVersion, 1);
+    assert.equal(await rotateSession(refreshToken), null);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateSecret,
+  hotp,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../utils/totp");
+
+// "12345678901234567890", the secret of the RFC 4226 test vectors
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// 2033-05-18T03:33:20Z, time step 66666666
+const NOW = 2000000000 * 1000;
+const STEP = 66666666;
+
+describe("totp", () => {
+  it("matches the RFC 4226 test vectors", () => {
+    const expected = ["755224", "287082", "359152", "969429", "338314"];
+
+    expected.forEach((code, counter) => {
+      assert.equal(hotp(RFC_SECRET, counter), code);
+    });
+  });
+
+  it("matches the RFC 6238 test vector at 59 seconds", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 59 * 1000 });
+
+    assert.equal(verifyTotp(RFC_SECRET, "287082"), 1);
+  });
+
+  it("accepts the current code and one step either side", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: NOW });
+    const secret = generateSecret();
+
+    for (const step of [STEP - 1, STEP, STEP + 1]) {
+      assert.equal(verifyTotp(secret, hotp(secret, step)), step);
+    }
+  });
+
+  it("rejects codes from further away", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: NOW });
+    const secret = generateSecret();
+
+    assert.equal(verifyTotp(secret, hotp(secret, STEP - 2)), null);
+    assert.equal(verifyTotp(secret, hotp(secret, STEP + 2)), null);
+  });
+
+  it("rejects a code at or before the last used step", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: NOW });
+    const secret = generateSecret();
+    const code = hotp(secret, STEP);
+
+    assert.equal(verifyTotp(secret, code, STEP - 1), STEP);
+    assert.equal(verifyTotp(secret, code, STEP), null);
+  });
+
+  it("rejects anything but six digits", () => {
+    const secret = generateSecret();
+
+    for (const code of ["", "12345", "1234567", "abcdef", undefined, {}]) {
+      assert.equal(verifyTotp(secret, code), null);
+    }
+  });
+
+  it("builds an otpauth URI for authenticator apps", () => {
+    const uri = new URL(
+      buildOtpauthUri(RFC_SECRET, "asha@example.com", "Craft Culture")
+    );
+
+    assert.equal(uri.protocol, "otpauth:");
+    assert.equal(uri.host, "totp");
+    assert.equal(
+      decodeURIComponent(uri.pathname),
+      "/Craft Culture:asha@example.com"
+    );
+    assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+    assert.equal(uri.searchParams.get("issuer"), "Craft Culture");
+  });
+});
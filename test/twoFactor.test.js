@@ -0,0 +1,103 @@
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe } = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../models/User");
+const userRouter = require("../routes/userRouter");
+const { signTwoFactorChallenge } = require("../middleware/auth");
+const { generateSecret, hotp } = require("../utils/totp");
+const {
+  TWO_FACTOR_SECRETS,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const { useTestDatabase } = require("./helpers/database");
+const { useApp } = require("./helpers/http");
+
+const it = useTestDatabase();
+const request = useApp("/api/users", userRouter);
+
+const currentCode = (secret) =>
+  hotp(secret, Math.floor(Date.now() / 1000 / 30));
+
+// A user with two-factor enabled, and the secret and recovery codes they
+// were given
+const enrolUser = async () => {
+  const secret = generateSecret();
+  const { codes, hashes } = generateRecoveryCodes();
+  const user = await User.create({
+    username: "asha",
+    email: "asha@example.com",
+    password: "not-a-real-hash",
+    isVerified: true,
+    twoFactor: { enabled: true, secret, recoveryCodes: hashes },
+  });
+  return { user, secret, codes };
+};
+
+// The user as each request loads it
+const loadUser = (user) => User.findById(user._id).select(TWO_FACTOR_SECRETS);
+
+describe("second factor", () => {
+  it("accepts a code only once, even from concurrent requests", async () => {
+    const { user, secret } = await enrolUser();
+    const code = currentCode(secret);
+
+    const results = await Promise.all([
+      verifySecondFactor(await loadUser(user), { code }),
+      verifySecondFactor(await loadUser(user), { code }),
+    ]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+    assert.equal(
+      await verifySecondFactor(await loadUser(user), { code }),
+      false
+    );
+  });
+
+  it("spends a recovery code only once, even concurrently", async () => {
+    const { user, codes } = await enrolUser();
+    const recoveryCode = codes[0].toUpperCase();
+
+    const results = await Promise.all([
+      verifySecondFactor(await loadUser(user), { recoveryCode }),
+      verifySecondFactor(await loadUser(user), { recoveryCode }),
+    ]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+    const updated = await loadUser(user);
+    assert.equal(updated.twoFactor.recoveryCodes.length, codes.length - 1);
+    assert.equal(
+      await verifySecondFactor(updated, { recoveryCode: codes[1] }),
+      true
+    );
+  });
+
+  it("rejects codes for accounts without two-factor", async () => {
+    const { user, secret } = await enrolUser();
+    await User.updateOne({ _id: user._id }, { "twoFactor.enabled": false });
+
+    assert.equal(
+      await verifySecondFactor(await loadUser(user), {
+        code: currentCode(secret),
+      }),
+      false
+    );
+  });
+
+  it("completes a login once per code", async () => {
+    const { user, secret } = await enrolUser();
+    const code = currentCode(secret);
+
+    const first = await request("POST", "/login/2fa", {
+      body: { challengeToken: signTwoFactorChallenge(user), code },
+    });
+    const replay = await request("POST", "/login/2fa", {
+      body: { challengeToken: signTwoFactorChallenge(user), code },
+    });
+
+    assert.equal(first.status, 200);
+    assert.ok(first.body.refreshToken);
+    assert.equal(replay.status, 401);
+  });
+});
@@ -0,0 +1,98 @@
+process.env.JWT_SECRET ??= "test-secret";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const userRouter = require("../routes/userRouter");
+const { createUserToken, consumeUserToken } = require("../utils/userTokens");
+const { issueSession } = require("../utils/sessions");
+const { useTestDatabase } = require("./helpers/database");
+const { useApp } = require("./helpers/http");
+
+const it = useTestDatabase();
+const request = useApp("/api/users", userRouter);
+
+const createUser = () =>
+  User.create({
+    username: "asha",
+    email: "asha@example.com",
+    password: "not-a-real-hash",
+  });
+
+describe("account endpoints", () => {
+  for (const [url, body] of [
+    ["/register", { username: "asha", email: { $ne: null }, password: "x" }],
+    ["/register", { username: { $ne: null }, email: "a@b.c", password: "x" }],
+    ["/resend-verification", { email: { $ne: null } }],
+    ["/forgot-password", { email: { $gt: "" } }],
+    ["/reset-password", { token: "abc", newPassword: { length: 12 } }],
+  ]) {
+    test(`rejects non-string values on ${url}`, async () => {
+      const response = await request("POST", url, { body });
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /required/);
+    });
+  }
+});
+
+describe("email and password reset tokens", () => {
+  it("can be redeemed only once", async () => {
+    const user = await createUser();
+    const token = await createUserToken(user._id, "PASSWORD_RESET");
+
+    const redeemed = await Promise.all([
+      consumeUserToken(token, "PASSWORD_RESET"),
+      consumeUserToken(token, "PASSWORD_RESET"),
+    ]);
+
+    assert.equal(redeemed.filter(Boolean).length, 1);
+    assert.equal(await consumeUserToken(token, "PASSWORD_RESET"), null);
+  });
+
+  it("stop working once a newer one is sent", async () => {
+    const user = await createUser();
+    const first = await createUserToken(user._id, "PASSWORD_RESET");
+    const second = await createUserToken(user._id, "PASSWORD_RESET");
+
+    assert.equal(await consumeUserToken(first, "PASSWORD_RESET"), null);
+    assert.ok(await consumeUserToken(second, "PASSWORD_RESET"));
+  });
+
+  it("are only valid for their own purpose", async () => {
+    const user = await createUser();
+    const token = await createUserToken(user._id, "EMAIL_VERIFICATION");
+
+    assert.equal(await consumeUserToken(token, "PASSWORD_RESET"), null);
+  });
+
+  it("reset the password and end every session", async () => {
+    const user = await createUser();
+    const { refreshToken } = await issueSession(user);
+    const token = await createUserToken(user._id, "PASSWORD_RESET");
+
+    const response = await request("POST", "/reset-password", {
+      body: { token, newPassword: "a new password" },
+    });
+
+    assert.equal(response.status, 200);
+    const updated = await User.findById(user._id);
+    assert.equal(
+      await bcrypt.compare("a new password", updated.password),
+      true
+    );
+    assert.equal(updated.isVerified, true);
+    assert.equal(updated.tokenVersion, 1);
+    assert.equal(await RefreshToken.countDocuments({ revokedAt: null }), 0);
+    assert.equal(
+      (await request("POST", "/refresh", { body: { refreshToken } })).status,
+      401
+    );
+
+    const reused = await request("POST", "/reset-password", {
+      body: { token, newPassword: "another password" },
+    });
+    assert.equal(reused.status, 400);
+  });
+});
@@ -0,0 +1,36 @@
+const { createUserToken } = require("./userTokens");
+const { sendMail } = require("./mailer");
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// Mail the user a fresh email verification link
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user._id, "EMAIL_VERIFICATION");
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Craft Culture account",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Please confirm your email address by opening this link:\n` +
+      `${APP_URL}/verify-email?token=${token}\n\n` +
+      `The link expires in 24 hours.`,
+  });
+};
+
+// Mail the user a password reset link
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user._id, "PASSWORD_RESET");
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Craft Culture password",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password for your account. ` +
+      `If it was you, open this link to choose a new one:\n` +
+      `${APP_URL}/reset-password?token=${token}\n\n` +
+      `The link expires in 30 minutes. If you did not ask for this, ` +
+      `you can ignore this email.`,
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
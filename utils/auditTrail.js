@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const AuditLog = require("../models/AuditLog");
+const { getRequestContext } = require("../middleware/requestContext");
+
+// Never copied into audit entries
+const REDACTED_FIELDS = ["password", "tokenVersion", "twoFactor", "tokenHash"];
+// Personal details per model. Entries keep a short keyed hash of them
+// instead, which still shows that a value changed without keeping what it
+// was; the key stops phone numbers and emails being guessed back from it.
+const PERSONAL_FIELDS = {
+  User: ["email", "fullName", "phone", "addresses"],
+  Order: ["fullName", "email", "phone", "address", "notes"],
+  Applicant: ["name", "email", "phoneNumber"],
+  DonateMoney: ["name", "phone"],
+  DonateProduct: ["name", "phone"],
+  ReturnRequest: ["reason", "description", "photos"],
+};
+// Bookkeeping fields left out of change sets
+const IGNORED_CHANGES = ["__v", "updatedAt"];
+
+// Entries are only written while handling a request, and not for work that
+// switched auditing off (personal data erasure)
+const isAuditing = () => {
+  const context = getRequestContext();
+  return !!context && context.audit !== false;
+};
+
+const hashPersonalValue = (value) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(JSON.stringify(value))
+    .digest("hex")
+    .slice(0, 12);
+
+const snapshot = (modelName, doc) => {
+  if (!doc) return undefined;
+
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const copy = JSON.parse(JSON.stringify(plain));
+  REDACTED_FIELDS.forEach((field) => delete copy[field]);
+  (PERSONAL_FIELDS[modelName] || []).forEach((field) => {
+    if (copy[field] !== undefined && copy[field] !== null) {
+      copy[field] = `hash:${hashPersonalValue(copy[field])}`;
+    }
+  });
+  return copy;
+};
+
+// Top-level fields that differ between two snapshots
+const diff = (before = {}, after = {}) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach((field) => {
+    if (IGNORED_CHANGES.includes(field)) return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+
+  return changes;
+};
+
+const record = async (modelName, action, before, after) => {
+  if (!isAuditing()) return;
+
+  const { req, actor } = getRequestContext();
+  const target = after || before;
+  const changes = action === "update" ? diff(before, after) : undefined;
+
+  // A conditional update that matched nothing changes nothing
+  if (changes && !Object.keys(changes).length) return;
+
+  try {
+    await AuditLog.create({
+      actor: actor || undefined,
+      action,
+      method: req.method,
+      route: req.baseUrl + (req.route?.path || ""),
+      path: req.originalUrl,
+      ip: req.ip,
+      targetModel: modelName,
+      targetId: String(target._id),
+      before,
+      after,
+      changes,
+    });
+  } catch (error) {
+    console.error("Error writing audit log:", error);
+  }
+};
+
+const QUERY_UPDATES = ["updateOne", "findOneAndUpdate", "updateMany"];
+const QUERY_DELETES = ["deleteOne", "findOneAndDelete", "deleteMany"];
+
+// Mongoose plugin recording every create, update and delete made while
+// handling an API request. Schemas opt out with the `audit: false` option.
+const auditTrail = (schema) => {
+  if (schema.options.audit === false) return;
+
+  // Document saves: read the stored version before it is overwritten
+  schema.pre("save", async function () {
+    this.$locals.auditIsNew = this.isNew;
+    if (this.isNew || this.$isSubdocument || !isAuditing()) return;
+
+    const { modelName } = this.constructor;
+    const stored = await this.constructor.findById(this._id).lean();
+    this.$locals.auditBefore = snapshot(modelName, stored);
+  });
+
+  schema.post("save", async function () {
+    if (this.$isSubdocument) return;
+
+    const after = snapshot(this.constructor.modelName, this);
+    if (this.$locals.auditIsNew) {
+      await record(this.constructor.modelName, "create", undefined, after);
+    } else {
+      await record(
+        this.constructor.modelName,
+        "update",
+        this.$locals.auditBefore,
+        after
+      );
+    }
+  });
+
+  // Query updates and deletes (doc.deleteOne() runs these too): load the
+  // affected documents first
+  schema.pre([...QUERY_UPDATES, ...QUERY_DELETES], async function () {
+    if (!isAuditing()) return;
+
+    const query = this.model.find(this.getFilter()).lean();
+    if (!["updateMany", "deleteMany"].includes(this.op)) {
+      query.limit(1);
+    }
+    this._auditBefore = (await query).map((doc) =>
+      snapshot(this.model.modelName, doc)
+    );
+  });
+
+  schema.post(QUERY_UPDATES, async function () {
+    if (!this._auditBefore) return;
+
+    // Nothing matched, so an upsert may have created the document
+    if (!this._auditBefore.length) {
+      if (!this.getOptions().upsert) return;
+
+      const created = await this.model.findOne(this.getFilter()).lean();
+      if (created) {
+        await record(
+          this.model.modelName,
+          "create",
+          undefined,
+          snapshot(this.model.modelName, created)
+        );
+      }
+      return;
+    }
+
+    const ids = this._auditBefore.map((doc) => doc._id);
+    const updated = await this.model.find({ _id: { $in: ids } }).lean();
+    const afterById = new Map(updated.map((doc) => [String(doc._id), doc]));
+
+    for (const before of this._auditBefore) {
+      const after = snapshot(
+        this.model.modelName,
+        afterById.get(String(before._id))
+      );
+      await record(this.model.modelName, "update", before, after);
+    }
+  });
+
+  schema.post(QUERY_DELETES, async function () {
+    if (!this._auditBefore?.length) return;
+
+    for (const before of this._auditBefore) {
+      await record(this.model.modelName, "delete", before);
+    }
+  });
+};
+
+module.exports = { auditTrail };
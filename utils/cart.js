@@ -0,0 +1,279 @@
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const { hashToken, generateToken } = require("./hash");
+const {
+  findVariant,
+  getUnitPrice,
+  takeStock,
+  returnStock,
+} = require("./inventory");
+const { lineKey } = require("./orders");
+const { loadActiveCampaigns, getEffectiveOffer } = require("./offers");
+
+const CART_HOLD_MINUTES = Number(process.env.CART_HOLD_MINUTES) || 15;
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+const guestCartExpiry = () =>
+  new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// The signed-in user's cart, or the guest cart of the X-Cart-Token header.
+// With create, a missing cart is started; a new guest cart comes with the
+// cartToken the guest must send from then on.
+const findCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    let cart = await Cart.findOne({ user: req.user.id });
+    if (!cart && create) {
+      cart = new Cart({ user: req.user.id });
+    }
+    return { cart };
+  }
+
+  const token = req.get("X-Cart-Token");
+  if (token) {
+    const cart = await Cart.findOne({ guestTokenHash: hashToken(token) });
+    if (cart) return { cart };
+  }
+
+  if (!create) return { cart: null };
+
+  const cartToken = generateToken();
+  const cart = new Cart({ guestTokenHash: hashToken(cartToken) });
+  return { cart, cartToken };
+};
+
+// Save a cart, keeping an active guest cart from expiring
+const saveCart = (cart) => {
+  if (!cart.user) {
+    cart.expiresAt = guestCartExpiry();
+  }
+  return cart.save();
+};
+
+// Copy a hold already written to the database onto the loaded cart, without
+// marking it modified so a later save does not write it again
+const mirrorHold = (cart, item, heldQuantity, holdExpiresAt) => {
+  const index = cart.items.indexOf(item);
+  item.heldQuantity = heldQuantity;
+  item.holdExpiresAt = holdExpiresAt;
+  cart.unmarkModified(`items.${index}.heldQuantity`);
+  cart.unmarkModified(`items.${index}.holdExpiresAt`);
+};
+
+// Change the stock held for a cart line to `target` units. The line is
+// updated with a compare-and-set on its current hold, so two requests (or a
+// request and the sweeper) can never take or return the same stock twice.
+// Returns false when the line changed in the meantime.
+const setHold = async (cart, item, target) => {
+  const previous = item.heldQuantity || 0;
+  const delta = target - previous;
+  const expiresAt =
+    target > 0 ? new Date(Date.now() + CART_HOLD_MINUTES * 60 * 1000) : null;
+
+  if (delta > 0) {
+    await takeStock(item.product, item.variantId, delta, {
+      reason: "cart_hold",
+    });
+  }
+
+  const result = await Cart.updateOne(
+    {
+      _id: cart._id,
+      items: {
+        $elemMatch: {
+          _id: item._id,
+          heldQuantity: previous,
+          holdExpiresAt: item.holdExpiresAt || null,
+        },
+      },
+    },
+    {
+      $set: {
+        "items.$.heldQuantity": target,
+        "items.$.holdExpiresAt": expiresAt,
+      },
+    }
+  );
+
+  if (!result.matchedCount) {
+    if (delta > 0) {
+      await returnStock(item.product, item.variantId, delta, {
+        reason: "cart_hold_released",
+      });
+    }
+    return false;
+  }
+
+  if (delta < 0) {
+    await returnStock(item.product, item.variantId, -delta, {
+      reason: "cart_hold_released",
+    });
+  }
+
+  mirrorHold(cart, item, target, expiresAt);
+  return true;
+};
+
+const releaseHold = (cart, item) =>
+  item.heldQuantity > 0 ? setHold(cart, item, 0) : Promise.resolve(true);
+
+const isHoldExpired = (item, now = new Date()) =>
+  item.heldQuantity > 0 && item.holdExpiresAt && item.holdExpiresAt <= now;
+
+// Release the holds of a cart that have run out
+const releaseExpiredHolds = async (cart) => {
+  const now = new Date();
+  for (const item of cart.items) {
+    if (isHoldExpired(item, now)) {
+      await releaseHold(cart, item);
+    }
+  }
+};
+
+// Take over the active holds of a cart for checkout. The lines stop holding
+// the stock without it being returned; the returned map says how much each
+// line had so the order does not take it a second time.
+const claimHolds = async (cart) => {
+  const holds = new Map();
+  const now = new Date();
+
+  for (const item of cart.items) {
+    if (!(item.heldQuantity > 0) || isHoldExpired(item, now)) continue;
+
+    const result = await Cart.updateOne(
+      {
+        _id: cart._id,
+        items: {
+          $elemMatch: {
+            _id: item._id,
+            heldQuantity: item.heldQuantity,
+            holdExpiresAt: item.holdExpiresAt,
+          },
+        },
+      },
+      {
+        $set: { "items.$.heldQuantity": 0, "items.$.holdExpiresAt": null },
+      }
+    );
+
+    if (result.matchedCount) {
+      const key = lineKey(item.product, item.variantId);
+      holds.set(key, (holds.get(key) || 0) + item.heldQuantity);
+      mirrorHold(cart, item, 0, null);
+    }
+  }
+
+  return holds;
+};
+
+// Give back holds taken over by claimHolds when checkout fails
+const returnClaimedHolds = async (holds) => {
+  for (const [key, quantity] of holds) {
+    const [productId, variantId] = key.split(":");
+    try {
+      await returnStock(productId, variantId || undefined, quantity, {
+        reason: "cart_hold_released",
+      });
+    } catch (error) {
+      console.error("Error returning held stock:", error);
+    }
+  }
+};
+
+// Price every line against the current catalog and flag lines that can't
+// be ordered as they are
+const priceCart = async (cart) => {
+  const [products, campaigns] = await Promise.all([
+    Product.find({
+      _id: { $in: cart.items.map((item) => item.product) },
+    }),
+    loadActiveCampaigns(),
+  ]);
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  const lines = cart.items.map((item) => {
+    const line = {
+      _id: item._id,
+      product: item.product,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      heldQuantity: item.heldQuantity,
+      holdExpiresAt: item.holdExpiresAt,
+      issues: [],
+    };
+
+    const product = productsById.get(item.product.toString());
+    const variant = product && findVariant(product, item.variantId);
+    if (!product || product.archivedAt || (item.variantId && !variant)) {
+      line.issues.push("This item is no longer sold");
+      return line;
+    }
+
+    line.name = product.name;
+    line.image = variant?.images?.[0] || product.image;
+    if (variant) {
+      line.sku = variant.sku;
+      line.attributes = Object.fromEntries(variant.attributes);
+    }
+    line.price = getUnitPrice(product, variant);
+    const { offer, campaign } = getEffectiveOffer(
+      product,
+      line.price,
+      campaigns
+    );
+    line.offer = offer;
+    if (campaign) {
+      line.sale = { _id: campaign._id, name: campaign.name };
+    }
+
+    const gross = line.price * item.quantity;
+    line.total = gross - gross * (line.offer / 100);
+
+    // Stock held for this line is still available to it
+    const held = item.heldQuantity || 0;
+    line.available = (variant ? variant.quantity : product.quantity) + held;
+
+    if (product.variants.length && !variant) {
+      line.issues.push("Please choose a variant");
+    } else if (
+      held < item.quantity &&
+      (product.status !== "Available" || variant?.status === "Not Available")
+    ) {
+      line.issues.push("Currently not available");
+    } else if (line.available < item.quantity) {
+      line.issues.push(`Only ${line.available} left in stock`);
+    }
+
+    return line;
+  });
+
+  const subtotal = lines.reduce(
+    (sum, line) => sum + (line.price || 0) * line.quantity,
+    0
+  );
+  const total = lines.reduce((sum, line) => sum + (line.total || 0), 0);
+
+  return {
+    _id: cart._id,
+    items: lines,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal,
+    discount: subtotal - total,
+    total,
+    checkoutReady:
+      lines.length > 0 && lines.every((line) => !line.issues.length),
+  };
+};
+
+module.exports = {
+  CART_HOLD_MINUTES,
+  findCart,
+  saveCart,
+  setHold,
+  releaseHold,
+  releaseExpiredHolds,
+  claimHolds,
+  returnClaimedHolds,
+  priceCart,
+};
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const { escapeRegex } = require("./search");
+
+// Find a category by id, slug or (case-insensitive) name, so older clients
+// that still send "Wall Hanging" keep working
+const resolveCategory = (value) => {
+  if (!value || typeof value !== "string") return null;
+
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    return Category.findById(value);
+  }
+
+  const name = escapeRegex(value.trim());
+  return Category.findOne({
+    $or: [
+      { slug: value.trim().toLowerCase() },
+      { name: { $regex: `^${name}$`, $options: "i" } },
+    ],
+  });
+};
+
+// Id of a category plus the ids of all categories nested below it
+const getCategoryTreeIds = async (categoryId) => {
+  const ids = [categoryId];
+  let frontier = [categoryId];
+
+  while (frontier.length) {
+    const children = await Category.find({ parent: { $in: frontier } }).select(
+      "_id"
+    );
+    frontier = children.map((child) => child._id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+module.exports = { resolveCategory, getCategoryTreeIds };
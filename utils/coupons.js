@@ -0,0 +1,210 @@
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const Order = require("../models/Order");
+const { getCategoryTreeIds } = require("./categories");
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normaliseCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+// Where a coupon stands at `at`
+const getCouponStatus = (coupon, at = new Date()) => {
+  if (!coupon.enabled) return "disabled";
+  if (coupon.startsAt && coupon.startsAt > at) return "scheduled";
+  if (coupon.endsAt && coupon.endsAt <= at) return "expired";
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return "exhausted";
+  }
+  return "active";
+};
+
+const findCoupon = async (code) => {
+  const coupon = await Coupon.findOne({ code: normaliseCode(code) });
+  if (!coupon) {
+    throw new Error("Coupon not found");
+  }
+  return coupon;
+};
+
+// Orders of a customer that still count, i.e. were not cancelled. Orders
+// from before they were linked to accounts only carry the username.
+const countOrders = (user, query = {}) =>
+  Order.countDocuments({
+    $or: [{ user: user.id }, { username: user.username }],
+    status: { $ne: "Cancelled" },
+    ...query,
+  });
+
+// Check `coupon` can be used by `user` (null for guests) on price lines of
+// { product, quantity, price, offer }. Returns the discount and its share
+// of every line, or throws with the reason it can't be used.
+const evaluateCoupon = async (coupon, user, lines) => {
+  const status = getCouponStatus(coupon);
+  const reasons = {
+    disabled: "This coupon is no longer available",
+    scheduled: "This coupon is not valid yet",
+    expired: "This coupon has expired",
+    exhausted: "This coupon has been fully redeemed",
+  };
+  if (reasons[status]) {
+    throw new Error(reasons[status]);
+  }
+
+  if ((coupon.perUserLimit || coupon.firstOrderOnly) && !user) {
+    throw new Error("Please sign in to use this coupon");
+  }
+
+  if (coupon.firstOrderOnly && (await countOrders(user))) {
+    throw new Error("This coupon is only valid on your first order");
+  }
+
+  if (
+    coupon.perUserLimit &&
+    (await countOrders(user, { "coupon.coupon": coupon._id })) >=
+      coupon.perUserLimit
+  ) {
+    throw new Error("You have already used this coupon");
+  }
+
+  const amounts = lines.map((line) => {
+    const gross = roundMoney(line.price * line.quantity);
+    return roundMoney(gross - gross * ((line.offer || 0) / 100));
+  });
+  const cartValue = roundMoney(
+    amounts.reduce((sum, amount) => sum + amount, 0)
+  );
+  if (cartValue < (coupon.minCartValue || 0)) {
+    throw new Error(
+      `This coupon needs a cart value of at least ${coupon.minCartValue}`
+    );
+  }
+
+  // Restricted coupons only discount the products and categories they name
+  const restricted = coupon.products.length || coupon.categories.length;
+  const productIds = new Set(coupon.products.map(String));
+  const categoryIds = new Set();
+  for (const category of coupon.categories) {
+    for (const id of await getCategoryTreeIds(category)) {
+      categoryIds.add(String(id));
+    }
+  }
+  const eligible = lines.map(
+    ({ product }) =>
+      !restricted ||
+      productIds.has(String(product._id)) ||
+      categoryIds.has(String(product.category?._id ?? product.category))
+  );
+  const eligibleValue = roundMoney(
+    amounts.reduce(
+      (sum, amount, index) => sum + (eligible[index] ? amount : 0),
+      0
+    )
+  );
+  if (!eligibleValue) {
+    throw new Error("This coupon doesn't apply to any item in your cart");
+  }
+
+  let discount =
+    coupon.discountType === "percentage"
+      ? eligibleValue * (coupon.discountValue / 100)
+      : coupon.discountValue;
+  if (coupon.discountType === "percentage" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundMoney(Math.min(discount, eligibleValue));
+
+  // Spread the discount over the eligible lines by value; the last one
+  // takes any rounding paisa
+  const lastEligible = eligible.lastIndexOf(true);
+  let remaining = discount;
+  const lineDiscounts = amounts.map((amount, index) => {
+    if (!eligible[index]) return 0;
+    const share =
+      index === lastEligible
+        ? remaining
+        : roundMoney(discount * (amount / eligibleValue));
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+
+  return { discount, lineDiscounts };
+};
+
+// Take one of the uses of `coupon` that `user` is allowed for `orderId`:
+// the first free slot up to its perUserLimit, and their first order for
+// first-order-only coupons. evaluateCoupon counts the orders placed so far;
+// this keeps orders placed at the same time from all passing that count.
+const claimRedemption = async (coupon, user, orderId) => {
+  const slots = coupon.perUserLimit
+    ? Array.from({ length: coupon.perUserLimit }, (_, index) => index + 1)
+    : [undefined];
+
+  for (const slot of slots) {
+    try {
+      return await CouponRedemption.create({
+        coupon: coupon._id,
+        user: user.id,
+        order: orderId,
+        slot,
+        firstOrder: coupon.firstOrderOnly || undefined,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (!("slot" in (error.keyPattern || {}))) {
+        throw new Error("This coupon is only valid on your first order");
+      }
+    }
+  }
+
+  throw new Error("You have already used this coupon");
+};
+
+// Count a redemption of a coupon by `user` for `orderId`. Fails when its
+// usage limit, or the customer's, was reached in the meantime.
+const claimCoupon = async (coupon, user, orderId) => {
+  const perUser = coupon.perUserLimit || coupon.firstOrderOnly;
+  if (perUser) {
+    await claimRedemption(coupon, user, orderId);
+  }
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    if (perUser) {
+      await CouponRedemption.deleteMany({ order: orderId });
+    }
+    throw new Error("This coupon has been fully redeemed");
+  }
+  return claimed;
+};
+
+// Give back the redemption of a coupon for `orderId`, e.g. when the order
+// is cancelled
+const releaseCoupon = async (couponId, orderId) => {
+  await CouponRedemption.deleteMany({ order: orderId });
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+module.exports = {
+  normaliseCode,
+  getCouponStatus,
+  findCoupon,
+  evaluateCoupon,
+  claimCoupon,
+  releaseCoupon,
+};
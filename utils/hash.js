@@ -0,0 +1,10 @@
+const crypto = require("crypto");
+
+// One-way hash for opaque tokens we store server-side
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Random URL-safe token handed to the client
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString("hex");
+
+module.exports = { hashToken, generateToken };
@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+const multer = require("multer");
+const sharp = require("sharp");
+const { generateToken } = require("./hash");
+const { saveFile, removeFile } = require("./storage");
+
+const MAX_FILE_MB = Number(process.env.UPLOAD_MAX_FILE_MB) || 5;
+const MAX_FILES = 10;
+const THUMBNAIL_SIZE = 320;
+// Declared type and decoded format must both be one of these
+const ALLOWED_TYPES = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+const FILE_EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp" };
+
+// An uploaded image and its thumbnail as stored by the storage backend
+const imageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  thumbnailUrl: { type: String, required: true },
+  key: { type: String, required: true },
+  thumbnailKey: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number },
+});
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      return cb(new Error("Only JPEG, PNG and WebP images are allowed"));
+    }
+    cb(null, true);
+  },
+});
+
+// Parse a multipart upload of up to maxCount images from `field`
+const uploadImages =
+  (field, maxCount = MAX_FILES) =>
+  (req, res, next) => {
+    upload.array(field, maxCount)(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          message: "Invalid upload",
+          error: error.message,
+        });
+      }
+
+      if (!req.files?.length) {
+        return res.status(400).json({ message: "No image uploaded" });
+      }
+
+      next();
+    });
+  };
+
+// Decode an uploaded file, then store it with a thumbnail under `folder`.
+// Re-encoding drops EXIF data such as GPS positions from phone photos.
+const storeImage = async (file, folder) => {
+  const metadata = await sharp(file.buffer)
+    .metadata()
+    .catch(() => ({}));
+  if (metadata.format !== ALLOWED_TYPES[file.mimetype]) {
+    throw new Error(`${file.originalname} is not a valid image`);
+  }
+
+  const name = generateToken(12);
+  const key = `${folder}/${name}.${FILE_EXTENSIONS[metadata.format]}`;
+  const thumbnailKey = `${folder}/${name}-thumb.webp`;
+
+  const { data, info } = await sharp(file.buffer)
+    .rotate()
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  const url = await saveFile(key, data, file.mimetype);
+  const thumbnailUrl = await saveFile(thumbnailKey, thumbnail, "image/webp");
+
+  return {
+    url,
+    thumbnailUrl,
+    key,
+    thumbnailKey,
+    width: info.width,
+    height: info.height,
+  };
+};
+
+// Store several uploads; if one fails the ones already stored are removed
+const storeImages = async (files, folder) => {
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeImage(file, folder));
+    }
+    return stored;
+  } catch (error) {
+    await removeStoredImages(stored);
+    throw error;
+  }
+};
+
+// Best effort: a missing file must not fail the request that removes it
+const removeStoredImages = async (images) => {
+  for (const image of images) {
+    for (const key of [image.key, image.thumbnailKey]) {
+      try {
+        await removeFile(key);
+      } catch (error) {
+        console.error(`Error removing stored file ${key}:`, error);
+      }
+    }
+  }
+};
+
+const DELETE_QUERIES = ["deleteOne", "findOneAndDelete", "deleteMany"];
+
+// Remove the stored files of deleted documents; getImages lists the
+// uploaded images of one (lean) document
+const removeImagesOnDelete = (schema, getImages) => {
+  schema.pre(DELETE_QUERIES, async function () {
+    const query = this.model.find(this.getFilter()).lean();
+    if (this.op !== "deleteMany") {
+      query.limit(1);
+    }
+    this._storedImages = (await query).flatMap(getImages);
+  });
+
+  schema.post(DELETE_QUERIES, async function () {
+    if (this._storedImages?.length) {
+      await removeStoredImages(this._storedImages);
+    }
+  });
+};
+
+module.exports = {
+  imageSchema,
+  uploadImages,
+  storeImages,
+  removeStoredImages,
+  removeImagesOnDelete,
+};
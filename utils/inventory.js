@@ -0,0 +1,359 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const { getRequestContext } = require("../middleware/requestContext");
+const { checkReorderLevel } = require("./restock");
+
+// Stock is held on the variant for products that have variants and on the
+// product itself otherwise. product.quantity always carries the total.
+// Every change is written to the StockMovement ledger with a `movement`
+// of { reason, order, donation, note }.
+
+const findVariant = (product, variantId) =>
+  variantId ? product.variants.id(variantId) : null;
+
+// Variants without their own price sell at the product price
+const getUnitPrice = (product, variant) => variant?.price ?? product.price;
+
+// Append a ledger entry for a change already applied to `product`, which
+// must reflect the stock after the change
+const recordMovement = async (product, variantId, delta, movement) => {
+  const variant = variantId
+    ? product.variants.find((v) => v._id.toString() === variantId.toString())
+    : null;
+  const actor = getRequestContext()?.actor;
+
+  try {
+    await StockMovement.create({
+      product: product._id,
+      variantId: variantId ? variantId.toString() : undefined,
+      sku: variant?.sku || movement.sku,
+      reason: movement.reason,
+      delta,
+      resultingQuantity: product.quantity,
+      resultingVariantQuantity: variantId ? variant?.quantity ?? 0 : undefined,
+      actor: actor || undefined,
+      order: movement.order,
+      donation: movement.donation,
+      note: movement.note,
+    });
+  } catch (error) {
+    console.error("Error recording stock movement:", error);
+  }
+};
+
+// Stock levels of a loaded product keyed by variant id, or by "" for the
+// product's own stock
+const snapshotStock = (product) =>
+  new Map(
+    product.variants.length
+      ? product.variants.map((variant) => [
+          variant._id.toString(),
+          { quantity: variant.quantity, sku: variant.sku },
+        ])
+      : [["", { quantity: product.quantity }]]
+  );
+
+// Record ledger entries for whatever changed between a snapshot and the
+// saved product, for edits made by saving the product document
+const recordStockChanges = async (product, before, movement) => {
+  const after = snapshotStock(product);
+  const previousQuantity = [...before.values()].reduce(
+    (sum, level) => sum + level.quantity,
+    0
+  );
+
+  const keys = new Set([...before.keys(), ...after.keys()]);
+
+  for (const key of keys) {
+    const delta =
+      (after.get(key)?.quantity || 0) - (before.get(key)?.quantity || 0);
+    if (delta) {
+      await recordMovement(product, key || undefined, delta, {
+        ...movement,
+        sku: before.get(key)?.sku,
+      });
+    }
+  }
+
+  await checkReorderLevel(product, previousQuantity);
+};
+
+// Recompute the Available / Not Available status of a product and its
+// variants from their stock, in one update so it can't undo a concurrent
+// stock change
+const syncStockStatus = (productId) => {
+  const statusOf = (quantity) => ({
+    $cond: [{ $gt: [quantity, 0] }, "Available", "Not Available"],
+  });
+
+  return Product.updateOne({ _id: productId }, [
+    {
+      $set: {
+        status: statusOf("$quantity"),
+        variants: {
+          $cond: [
+            { $isArray: "$variants" },
+            {
+              $map: {
+                input: "$variants",
+                as: "variant",
+                in: {
+                  $mergeObjects: [
+                    "$$variant",
+                    { status: statusOf("$$variant.quantity") },
+                  ],
+                },
+              },
+            },
+            "$$REMOVE",
+          ],
+        },
+      },
+    },
+  ]);
+};
+
+// Take stock of a product (or one of its variants) off the shelf with a
+// single conditional update, so concurrent buyers can never take more than
+// is left. Fails without changing anything when less than quantity is left.
+const takeStock = async (productId, variantId, quantity, movement) => {
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new Error("Invalid quantity");
+  }
+  if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+    throw new Error("Product not found");
+  }
+
+  const filter = variantId
+    ? {
+        _id: productId,
+        variants: {
+          $elemMatch: { _id: variantId, quantity: { $gte: quantity } },
+        },
+      }
+    : {
+        _id: productId,
+        "variants.0": { $exists: false },
+        quantity: { $gte: quantity },
+      };
+  const update = variantId
+    ? { $inc: { "variants.$.quantity": -quantity, quantity: -quantity } }
+    : { $inc: { quantity: -quantity } };
+
+  const updated = await Product.findOneAndUpdate(filter, update, {
+    new: true,
+  }).lean();
+
+  if (!updated) {
+    const product = await Product.findById(productId);
+    const variant = product && findVariant(product, variantId);
+    if (!product || (variantId && !variant)) {
+      throw new Error("Product not found");
+    }
+    if (!variantId && product.variants.length) {
+      throw new Error(`Please choose a variant of ${product.name}`);
+    }
+
+    const available = variant ? variant.quantity : product.quantity;
+    throw new Error(
+      `Insufficient stock for ${product.name}. Available: ${available}`
+    );
+  }
+
+  await syncStockStatus(productId);
+  await recordMovement(updated, variantId, -quantity, movement);
+  await checkReorderLevel(updated, updated.quantity + quantity);
+};
+
+// Set the stock of a product (or one of its variants) to `quantity`, e.g.
+// after a stock count. The level read is only written back if it is still
+// current, with the total moved by the same delta, so a concurrent
+// takeStock is never overwritten; a lost race is retried on a fresh read.
+// Returns the updated product, or null when the product or variant is gone.
+const setStock = async (productId, variantId, quantity, movement) => {
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new Error("Invalid quantity");
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const product = await Product.findById(productId).lean();
+    const variant = product?.variants.find(
+      (candidate) => candidate._id.toString() === String(variantId)
+    );
+    if (!product || (variantId && !variant)) return null;
+
+    const current = variant ? variant.quantity : product.quantity;
+    const delta = quantity - current;
+    if (!delta) return product;
+
+    const updated = await Product.findOneAndUpdate(
+      variant
+        ? {
+            _id: productId,
+            variants: { $elemMatch: { _id: variant._id, quantity: current } },
+          }
+        : {
+            _id: productId,
+            "variants.0": { $exists: false },
+            quantity: current,
+          },
+      variant
+        ? {
+            $set: { "variants.$.quantity": quantity },
+            $inc: { quantity: delta },
+          }
+        : { $set: { quantity } },
+      { new: true }
+    ).lean();
+
+    if (updated) {
+      await syncStockStatus(productId);
+      await recordMovement(updated, variantId, delta, movement);
+      await checkReorderLevel(updated, updated.quantity - delta);
+      return Product.findById(productId);
+    }
+  }
+
+  throw new Error("Stock keeps changing, please try again");
+};
+
+// Add a variant to a product with a single update. The first variant takes
+// over from the product-level stock, which is dropped; later ones add to the
+// total. Returns the updated product, or null when the product is gone.
+// Fails when the product already has a variant with the same SKU.
+const addVariant = async (productId, variant, movement) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const product = await Product.findById(productId).lean();
+    if (!product) return null;
+    if (product.variants.some((existing) => existing.sku === variant.sku)) {
+      throw new Error("Variant SKUs must be unique");
+    }
+
+    const first = !product.variants.length;
+    const updated = await Product.findOneAndUpdate(
+      first
+        ? {
+            _id: productId,
+            "variants.0": { $exists: false },
+            quantity: product.quantity,
+          }
+        : {
+            _id: productId,
+            "variants.0": { $exists: true },
+            "variants.sku": { $ne: variant.sku },
+          },
+      first
+        ? { $push: { variants: variant }, $set: { quantity: variant.quantity } }
+        : {
+            $push: { variants: variant },
+            $inc: { quantity: variant.quantity },
+          },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (updated) {
+      const added = updated.variants[updated.variants.length - 1];
+      const previousQuantity = first
+        ? product.quantity
+        : updated.quantity - variant.quantity;
+
+      await syncStockStatus(productId);
+      if (first && product.quantity) {
+        await recordMovement(updated, undefined, -product.quantity, movement);
+      }
+      if (variant.quantity) {
+        await recordMovement(updated, added._id, variant.quantity, movement);
+      }
+      await checkReorderLevel(updated, previousQuantity);
+      return Product.findById(productId);
+    }
+  }
+
+  throw new Error("Stock keeps changing, please try again");
+};
+
+// Remove a variant and its stock from a product with a single update that
+// only applies while the variant holds the stock that was read, so units
+// sold meanwhile are never added back to the total. Returns the updated
+// product, or null when the product or variant is gone.
+const removeVariant = async (productId, variantId, movement) => {
+  if (!mongoose.Types.ObjectId.isValid(variantId)) return null;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const product = await Product.findById(productId).lean();
+    const variant = product?.variants.find(
+      (candidate) => candidate._id.toString() === String(variantId)
+    );
+    if (!variant) return null;
+
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        variants: {
+          $elemMatch: { _id: variant._id, quantity: variant.quantity },
+        },
+      },
+      {
+        $pull: { variants: { _id: variant._id } },
+        $inc: { quantity: -variant.quantity },
+      },
+      { new: true }
+    ).lean();
+
+    if (updated) {
+      await syncStockStatus(productId);
+      if (variant.quantity) {
+        await recordMovement(updated, variant._id, -variant.quantity, {
+          ...movement,
+          sku: variant.sku,
+        });
+      }
+      await checkReorderLevel(updated, updated.quantity + variant.quantity);
+      return Product.findById(productId);
+    }
+  }
+
+  throw new Error("Stock keeps changing, please try again");
+};
+
+// Put stock on the shelf, e.g. for a cancelled order, a released hold or
+// received donation. Returns false when the product or variant is gone.
+const returnStock = async (productId, variantId, quantity, movement) => {
+  if (!Number.isInteger(quantity) || quantity <= 0) return;
+  if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) return;
+
+  const updated = await Product.findOneAndUpdate(
+    variantId
+      ? { _id: productId, "variants._id": variantId }
+      : { _id: productId, "variants.0": { $exists: false } },
+    variantId
+      ? { $inc: { "variants.$.quantity": quantity, quantity } }
+      : { $inc: { quantity } },
+    { new: true }
+  ).lean();
+
+  if (updated) {
+    await syncStockStatus(productId);
+    await recordMovement(updated, variantId, quantity, movement);
+  }
+  return !!updated;
+};
+
+// Put an order item's quantity back on the shelf
+const restoreStock = (item, movement) =>
+  returnStock(item._id, item.variantId, item.quantity, movement);
+
+module.exports = {
+  findVariant,
+  getUnitPrice,
+  takeStock,
+  setStock,
+  addVariant,
+  removeVariant,
+  returnStock,
+  restoreStock,
+  recordMovement,
+  snapshotStock,
+  recordStockChanges,
+};
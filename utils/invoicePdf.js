@@ -0,0 +1,138 @@
+const PDFDocument = require("pdfkit");
+
+const MARGIN = 40;
+
+const formatMoney = (amount) => (amount || 0).toFixed(2);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+// Table columns as [title, width, value of a line]. Intra-state invoices
+// show CGST and SGST, inter-state ones IGST.
+const getColumns = (invoice) => [
+  ["#", 18, (line, index) => String(index + 1)],
+  ["Description", 110, (line) => line.description],
+  ["HSN", 40, (line) => line.hsnCode || "-"],
+  ["Qty", 24, (line) => String(line.quantity)],
+  ["Rate", 46, (line) => formatMoney(line.unitPrice)],
+  ["Discount", 46, (line) => formatMoney(line.discountAmount)],
+  ["Taxable", 50, (line) => formatMoney(line.taxableValue)],
+  ["GST %", 30, (line) => String(line.gstRate)],
+  ...(invoice.supplyType === "intra-state"
+    ? [
+        ["CGST", 40, (line) => formatMoney(line.cgst)],
+        ["SGST", 40, (line) => formatMoney(line.sgst)],
+      ]
+    : [["IGST", 80, (line) => formatMoney(line.igst)]]),
+  ["Total", 51, (line) => formatMoney(line.total)],
+];
+
+const drawRow = (doc, columns, values, y, options = {}) => {
+  let x = MARGIN;
+  let height = 0;
+
+  columns.forEach(([, width], index) => {
+    const align = index > 2 ? "right" : "left";
+    doc.text(values[index], x, y, { width: width - 4, align, ...options });
+    height = Math.max(
+      height,
+      doc.heightOfString(values[index], { width: width - 4 })
+    );
+    x += width;
+  });
+
+  return y + height + 6;
+};
+
+// Stream an issued invoice as a PDF to `output` (e.g. the response)
+const writeInvoicePdf = (invoice, output) => {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN });
+  doc.pipe(output);
+
+  doc.fontSize(16).text("TAX INVOICE", { align: "center" }).moveDown();
+
+  const { seller, buyer, totals } = invoice;
+  const top = doc.y;
+  doc.fontSize(10).text(seller.name || "", MARGIN, top);
+  doc.fontSize(8);
+  if (seller.address) doc.text(seller.address);
+  if (seller.state) doc.text(`State: ${seller.state}`);
+  if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+
+  doc.text(`Invoice No: ${invoice.invoiceNumber}`, 350, top);
+  doc.text(`Invoice Date: ${formatDate(invoice.issuedAt)}`);
+  doc.text(`Order: ${invoice.order}`);
+  doc.text(`Payment: ${invoice.paymentMethod}`);
+
+  doc.moveDown(2);
+  doc.fontSize(9).text("Bill To / Ship To", MARGIN);
+  doc.fontSize(8).text(buyer.name || "");
+  const address = buyer.address || {};
+  doc.text(
+    [address.street, address.city, address.state, address.postalCode]
+      .filter(Boolean)
+      .join(", ")
+  );
+  doc.text(address.country || "");
+  doc.text(`Place of Supply: ${invoice.placeOfSupply}`);
+  doc.moveDown();
+
+  const columns = getColumns(invoice);
+  let y = drawRow(
+    doc.font("Helvetica-Bold"),
+    columns,
+    columns.map(([title]) => title),
+    doc.y
+  );
+  doc.font("Helvetica");
+
+  invoice.lines.forEach((line, index) => {
+    if (y > doc.page.height - 150) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    y = drawRow(
+      doc,
+      columns,
+      columns.map(([, , value]) => value(line, index)),
+      y
+    );
+  });
+
+  doc
+    .moveTo(MARGIN, y)
+    .lineTo(doc.page.width - MARGIN, y)
+    .stroke();
+  doc.y = y + 10;
+
+  const summary = [
+    ["Gross Amount", totals.grossAmount],
+    ["Discount", totals.discountAmount],
+    ["Taxable Value", totals.taxableValue],
+    ...(invoice.supplyType === "intra-state"
+      ? [
+          ["CGST", totals.cgst],
+          ["SGST", totals.sgst],
+        ]
+      : [["IGST", totals.igst]]),
+    ["Invoice Total", totals.total],
+  ];
+  summary.forEach(([label, amount]) => {
+    const rowY = doc.y;
+    doc.text(label, 350, rowY, { width: 110 });
+    doc.text(`INR ${formatMoney(amount)}`, 460, rowY, {
+      width: 95,
+      align: "right",
+    });
+  });
+
+  doc.moveDown(2).text("This is a computer generated invoice.", MARGIN);
+
+  doc.end();
+};
+
+module.exports = { writeInvoicePdf };
@@ -0,0 +1,293 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const Counter = require("../models/Counter");
+const Invoice = require("../models/Invoice");
+const {
+  SHIPPING_GST_RATE,
+  SHIPPING_SAC_CODE,
+  roundMoney,
+  getTaxClass,
+  splitTax,
+} = require("./pricing");
+
+const SELLER = {
+  name: process.env.SELLER_NAME || "Craft Culture",
+  gstin: process.env.SELLER_GSTIN,
+  address: process.env.SELLER_ADDRESS,
+  state: process.env.SELLER_STATE,
+};
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV";
+
+// Orders get an invoice once they have shipped
+const INVOICEABLE_STATUSES = ["Shipped", "Delivered", "Returned", "Refunded"];
+
+// Issuing an invoice takes well under this; a claim this old without an
+// invoice was left by a process that died while issuing
+const STALE_CLAIM_MS = 60 * 1000;
+
+const normaliseState = (state) => (state || "").trim().toLowerCase();
+
+// India Standard Time is UTC+5:30 all year
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Indian financial years run from April to March in IST, e.g. "2026-27",
+// whatever the server's timezone
+const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const start =
+    ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+};
+
+// Next number of a named sequence; the first call returns 1. Numbers given
+// back with releaseSequence are used up first, lowest first.
+//
+// This is intended: a reused invoice number is lower than numbers issued
+// after it was drawn, so numbers only follow issue dates until one is
+// reused. GST asks for unique, consecutive numbers per financial year,
+// which gaps would break and reuse doesn't.
+const nextSequence = async (name) => {
+  const reused = await Counter.findOneAndUpdate(
+    { _id: name, "released.0": { $exists: true } },
+    { $pop: { released: -1 } }
+  );
+  if (reused) return reused.released[0];
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Give back a number that was drawn but not used
+const releaseSequence = (name, sequence) =>
+  Counter.updateOne(
+    { _id: name },
+    { $push: { released: { $each: [sequence], $sort: 1 } } }
+  );
+
+// Split the tax of a line between CGST and SGST, or charge it as IGST.
+// The halves must add up to the tax, so SGST takes any rounding paisa.
+const splitGst = (tax, intraState) => {
+  const cgst = intraState ? roundMoney(tax / 2) : 0;
+  return {
+    cgst,
+    sgst: intraState ? roundMoney(tax - cgst) : 0,
+    igst: intraState ? 0 : tax,
+  };
+};
+
+const buildLine = (item, taxClass, intraState, taxIncluded) => {
+  const grossAmount = roundMoney(item.price * item.quantity);
+  // The offer and the item's share of any coupon
+  const discountAmount = roundMoney(
+    grossAmount * ((item.offer || 0) / 100) + (item.couponDiscount || 0)
+  );
+  const { taxableValue, tax, total } = splitTax(
+    grossAmount - discountAmount,
+    taxClass.gstRate,
+    taxIncluded
+  );
+  const attributes = item.attributes ? [...item.attributes.values()] : [];
+
+  return {
+    product: item._id,
+    description: attributes.length
+      ? `${item.name} (${attributes.join(", ")})`
+      : item.name,
+    sku: item.sku,
+    hsnCode: taxClass.hsnCode,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    grossAmount,
+    discountPercent: grossAmount
+      ? roundMoney((discountAmount / grossAmount) * 100)
+      : 0,
+    discountAmount,
+    taxableValue,
+    gstRate: taxClass.gstRate,
+    ...splitGst(tax, intraState),
+    total,
+  };
+};
+
+// Shipping and the COD fee, billed as courier services
+const buildChargeLine = (description, amount, intraState, taxIncluded) => {
+  const { taxableValue, tax, total } = splitTax(
+    amount,
+    SHIPPING_GST_RATE,
+    taxIncluded
+  );
+
+  return {
+    description,
+    hsnCode: SHIPPING_SAC_CODE,
+    quantity: 1,
+    unitPrice: amount,
+    grossAmount: amount,
+    taxableValue,
+    gstRate: SHIPPING_GST_RATE,
+    ...splitGst(tax, intraState),
+    total,
+  };
+};
+
+const sumLines = (lines, field) =>
+  roundMoney(lines.reduce((sum, line) => sum + line[field], 0));
+
+// Issue the invoice of an order, or return the one already issued. The order
+// is claimed before a number is drawn, so concurrent calls can't use up
+// numbers. A claim with no invoice behind it doesn't count as issued once
+// it is stale, and is taken over. Returns null when the order can't be
+// invoiced (yet), or while another call is issuing its invoice.
+const issueInvoice = async (orderId) => {
+  const claimed = await Order.findById(orderId).select(
+    "invoice invoiceClaimedAt"
+  );
+  if (claimed?.invoice) {
+    const issued = await Invoice.findOne({ order: orderId });
+    if (issued) return issued;
+
+    const claimedAt = claimed.invoiceClaimedAt?.getTime() || 0;
+    if (claimedAt > Date.now() - STALE_CLAIM_MS) return null;
+    await Order.updateOne(
+      { _id: orderId, invoice: claimed.invoice },
+      { $unset: { invoice: "", invoiceClaimedAt: "" } }
+    );
+  }
+
+  const invoiceId = new mongoose.Types.ObjectId();
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      status: { $in: INVOICEABLE_STATUSES },
+      invoice: null,
+    },
+    { $set: { invoice: invoiceId, invoiceClaimedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!order) {
+    return Invoice.findOne({ order: orderId });
+  }
+
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  const sequenceName = `invoice:${financialYear}`;
+  let sequence = null;
+
+  try {
+    // Without a configured seller state every sale is taxed as inter-state
+    const intraState =
+      !!SELLER.state &&
+      normaliseState(SELLER.state) === normaliseState(order.address.state);
+
+    // Orders from before checkout pricing were charged GST-inclusive prices
+    // and nothing else
+    const pricing = order.pricing || {};
+    const taxIncluded = pricing.taxIncluded ?? true;
+
+    // Items keep the tax class they were priced with
+    const lines = [];
+    for (const item of order.items) {
+      const taxClass =
+        typeof item.gstRate === "number"
+          ? { hsnCode: item.hsnCode, gstRate: item.gstRate }
+          : await getTaxClass(
+              (
+                await Product.findById(item._id).select("category")
+              )?.category
+            );
+      lines.push(buildLine(item, taxClass, intraState, taxIncluded));
+    }
+    if (pricing.shippingCharge) {
+      lines.push(
+        buildChargeLine(
+          "Shipping",
+          pricing.shippingCharge,
+          intraState,
+          taxIncluded
+        )
+      );
+    }
+    if (pricing.codFee) {
+      lines.push(
+        buildChargeLine(
+          "Cash on delivery fee",
+          pricing.codFee,
+          intraState,
+          taxIncluded
+        )
+      );
+    }
+
+    // Drawn last, once nothing but saving the invoice can fail. A process
+    // that dies before saving leaves a gap in the numbers.
+    sequence = await nextSequence(sequenceName);
+
+    const cgst = sumLines(lines, "cgst");
+    const sgst = sumLines(lines, "sgst");
+    const igst = sumLines(lines, "igst");
+
+    return await Invoice.create({
+      _id: invoiceId,
+      invoiceNumber: `${INVOICE_PREFIX}/${financialYear}/${String(
+        sequence
+      ).padStart(6, "0")}`,
+      financialYear,
+      sequence,
+      order: order._id,
+      issuedAt,
+      seller: SELLER,
+      buyer: {
+        name: order.fullName,
+        email: order.email,
+        phone: order.phone,
+        address: order.address,
+      },
+      placeOfSupply: order.address.state,
+      supplyType: intraState ? "intra-state" : "inter-state",
+      paymentMethod: order.paymentMethod,
+      lines,
+      totals: {
+        grossAmount: sumLines(lines, "grossAmount"),
+        discountAmount: sumLines(lines, "discountAmount"),
+        taxableValue: sumLines(lines, "taxableValue"),
+        cgst,
+        sgst,
+        igst,
+        totalTax: roundMoney(cgst + sgst + igst),
+        total: sumLines(lines, "total"),
+      },
+    });
+  } catch (error) {
+    // Keep the number for the next invoice and let a later call try again
+    if (sequence !== null) {
+      try {
+        await releaseSequence(sequenceName, sequence);
+      } catch (releaseError) {
+        console.error("Error releasing invoice number:", releaseError);
+      }
+    }
+    // The call whose stale claim this one took over may have issued the
+    // invoice after all
+    const issued = await Invoice.findOne({ order: order._id });
+    await Order.updateOne(
+      { _id: order._id, invoice: invoiceId },
+      issued
+        ? { $set: { invoice: issued._id } }
+        : { $unset: { invoice: "", invoiceClaimedAt: "" } }
+    );
+    if (issued) return issued;
+    throw error;
+  }
+};
+
+module.exports = {
+  INVOICEABLE_STATUSES,
+  getFinancialYear,
+  issueInvoice,
+};
@@ -0,0 +1,82 @@
+const LoginAttempt = require("../models/LoginAttempt");
+
+const ACCOUNT_MAX_FAILURES =
+  Number(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Failures allowed before each further attempt has to wait
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Seconds the next attempt must wait after the given number of failures:
+// nothing at first, then doubling delays, then a full lockout
+const delayFor = (failures, maxFailures) => {
+  if (failures >= maxFailures) return LOCKOUT_MINUTES * 60;
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+// Seconds until a login for this email from this address may be tried
+// again, or 0 when it is allowed now
+const getRetryAfter = async (email, ip) => {
+  const attempts = await LoginAttempt.find({
+    key: { $in: [accountKey(email), ipKey(ip)] },
+    lockedUntil: { $gt: new Date() },
+  });
+
+  const lockedUntil = Math.max(0, ...attempts.map((a) => a.lockedUntil));
+  return lockedUntil ? Math.ceil((lockedUntil - Date.now()) / 1000) : 0;
+};
+
+const recordKeyFailure = async (key, maxFailures) => {
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: new Date() } },
+    { upsert: true, new: true }
+  );
+
+  const delay = delayFor(attempt.failures, maxFailures);
+  if (delay) {
+    attempt.lockedUntil = new Date(Date.now() + delay * 1000);
+    await attempt.save();
+  }
+};
+
+// Count a failed login against both the account and the client address.
+// Unknown emails are tracked too, so lockouts don't reveal which exist.
+const recordFailure = (email, ip) =>
+  Promise.all([
+    recordKeyFailure(accountKey(email), ACCOUNT_MAX_FAILURES),
+    recordKeyFailure(ipKey(ip), IP_MAX_FAILURES),
+  ]);
+
+// Reset the account counter after a successful login. The address keeps
+// its count so one valid account can't be used to reset a guessing run.
+const clearAccountFailures = (email) =>
+  LoginAttempt.deleteOne({ key: accountKey(email) });
+
+// Admin unlock of an account and/or a client address
+const unlock = async ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push(accountKey(email));
+  if (ip) keys.push(ipKey(ip));
+
+  const result = await LoginAttempt.deleteMany({ key: { $in: keys } });
+  return result.deletedCount;
+};
+
+// Accounts and addresses currently locked out
+const getActiveLocks = () =>
+  LoginAttempt.find({ lockedUntil: { $gt: new Date() } }).sort("-lockedUntil");
+
+module.exports = {
+  getRetryAfter,
+  recordFailure,
+  clearAccountFailures,
+  unlock,
+  getActiveLocks,
+};
@@ -0,0 +1,41 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Craft Culture <no-reply@craftculture.local>";
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, "..", "mail");
+
+// Transports receive a message { from, to, subject, text } and deliver it.
+// Register another one (SMTP, an API provider, ...) with registerTransport.
+const transports = {
+  console: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+  file: async (message) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const recipient = message.to.replace(/[^\w.@-]/g, "_");
+    const fileName = `${Date.now()}-${recipient}.json`;
+    await fs.writeFile(
+      path.join(MAIL_DIR, fileName),
+      JSON.stringify(message, null, 2)
+    );
+  },
+};
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({ from: MAIL_FROM, to, subject, text });
+};
+
+module.exports = { sendMail, registerTransport };
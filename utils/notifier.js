@@ -0,0 +1,69 @@
+const { sendMail } = require("./mailer");
+
+// Give up on a webhook that doesn't answer in time
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Channels receive a notification { type, title, message, data } and pass
+// it on. Register another one (Slack, SMS, ...) with registerChannel.
+const channels = {
+  console: async (notification) => {
+    console.log(`[notify] ${notification.title}: ${notification.message}`);
+  },
+  email: async (notification) => {
+    const recipients = (process.env.ALERT_EMAILS || "")
+      .split(",")
+      .map((email) => email.trim())
+      .filter(Boolean);
+
+    for (const to of recipients) {
+      await sendMail({
+        to,
+        subject: notification.title,
+        text: notification.message,
+      });
+    }
+  },
+  webhook: async (notification) => {
+    const url = process.env.ALERT_WEBHOOK_URL;
+    if (!url) {
+      throw new Error("ALERT_WEBHOOK_URL is not set");
+    }
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(notification),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  },
+};
+
+const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+// Send through every channel listed in NOTIFY_CHANNELS. A failing channel
+// is logged and does not stop the others.
+const notify = async (notification) => {
+  const names = (process.env.NOTIFY_CHANNELS || "console")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  for (const name of names) {
+    const channel = channels[name];
+    try {
+      if (!channel) {
+        throw new Error(`Unknown notification channel: ${name}`);
+      }
+      await channel(notification);
+    } catch (error) {
+      console.error(`Error sending notification via ${name}:`, error);
+    }
+  }
+};
+
+module.exports = { notify, registerChannel };
@@ -0,0 +1,171 @@
+const SaleCampaign = require("../models/SaleCampaign");
+const PriceHistory = require("../models/PriceHistory");
+const { getRequestContext } = require("../middleware/requestContext");
+const { getCategoryTreeIds } = require("./categories");
+const { getUnitPrice } = require("./inventory");
+
+// Customers get the best of a product's own offer and any running sale
+// campaign that covers it. Offers stay percentages everywhere (orders keep
+// `offer` per item), so fixed-amount campaigns are converted against the
+// unit price they apply to.
+
+const roundOffer = (offer) => Math.round(offer * 100) / 100;
+
+// Where a campaign stands at `at`
+const getCampaignStatus = (campaign, at = new Date()) => {
+  if (!campaign.enabled) return "disabled";
+  if (campaign.startsAt > at) return "scheduled";
+  if (campaign.endsAt <= at) return "ended";
+  return "active";
+};
+
+// Campaigns running at `at`, each with the ids of the products and of all
+// categories (sub-categories included) it covers
+const loadActiveCampaigns = async (at = new Date()) => {
+  const campaigns = await SaleCampaign.find({
+    enabled: true,
+    startsAt: { $lte: at },
+    endsAt: { $gt: at },
+  }).lean();
+
+  for (const campaign of campaigns) {
+    const categoryIds = [];
+    for (const category of campaign.categories) {
+      categoryIds.push(...(await getCategoryTreeIds(category)));
+    }
+
+    campaign.productIds = new Set(campaign.products.map(String));
+    campaign.categoryIds = new Set(categoryIds.map(String));
+  }
+
+  return campaigns;
+};
+
+// The category may or may not be populated
+const coversProduct = (campaign, product) =>
+  campaign.productIds.has(String(product._id)) ||
+  campaign.categoryIds.has(String(product.category?._id ?? product.category));
+
+// Percent off `unitPrice` a campaign gives
+const getCampaignOffer = (campaign, unitPrice) =>
+  campaign.discountType === "percentage"
+    ? Math.min(campaign.discountValue, 100)
+    : roundOffer(Math.min((campaign.discountValue / unitPrice) * 100, 100));
+
+// The offer that applies to `product` sold at `unitPrice`, and the campaign
+// it comes from (null for the product's own offer)
+const getEffectiveOffer = (product, unitPrice, campaigns) => {
+  let best = { offer: product.offer || 0, campaign: null };
+
+  for (const campaign of campaigns) {
+    if (!coversProduct(campaign, product)) continue;
+
+    const offer = getCampaignOffer(campaign, unitPrice);
+    if (offer > best.offer) {
+      best = { offer, campaign };
+    }
+  }
+
+  return best;
+};
+
+// Plain copy of a product for the catalog with `effectiveOffer` on it and
+// its variants, and the campaign behind the product's offer as `sale`
+const withEffectiveOffer = (product, campaigns) => {
+  // Maps (variant attributes) are flattened as toJSON would
+  const data = product.toObject
+    ? product.toObject({ flattenMaps: true })
+    : { ...product };
+  const { offer, campaign } = getEffectiveOffer(
+    product,
+    product.price,
+    campaigns
+  );
+
+  data.effectiveOffer = offer;
+  data.sale = campaign
+    ? { _id: campaign._id, name: campaign.name, endsAt: campaign.endsAt }
+    : null;
+  data.variants = (data.variants || []).map((variant) => ({
+    ...variant,
+    effectiveOffer: getEffectiveOffer(
+      product,
+      getUnitPrice(product, variant),
+      campaigns
+    ).offer,
+  }));
+
+  return data;
+};
+
+// Prices of a loaded product keyed by variant id, or by "" for the
+// product's own price and offer
+const snapshotPrices = (product) =>
+  new Map([
+    ["", { price: product.price, offer: product.offer || 0 }],
+    ...product.variants.map((variant) => [
+      variant._id.toString(),
+      { price: getUnitPrice(product, variant) },
+    ]),
+  ]);
+
+// Append price history for whatever changed between a snapshot and the
+// saved product; pass no snapshot for a new product. History must never
+// fail the edit, so errors are only logged.
+const recordPriceChanges = async (product, before) => {
+  try {
+    const campaigns = await loadActiveCampaigns();
+    const actor = getRequestContext()?.actor || undefined;
+    const after = snapshotPrices(product);
+    const entries = [];
+
+    const entryFor = (reason, variantId, price) => {
+      const { offer, campaign } = getEffectiveOffer(product, price, campaigns);
+      return {
+        product: product._id,
+        variantId,
+        reason,
+        price,
+        offer: product.offer || 0,
+        effectiveOffer: offer,
+        campaign: campaign?._id,
+        actor,
+      };
+    };
+
+    const previous = before?.get("");
+    if (!previous) {
+      entries.push(entryFor("product_created", undefined, product.price));
+    } else if (previous.price !== product.price) {
+      entries.push(entryFor("price_changed", undefined, product.price));
+    } else if (previous.offer !== (product.offer || 0)) {
+      entries.push(entryFor("offer_changed", undefined, product.price));
+    }
+
+    for (const [variantId, { price }] of after) {
+      if (!variantId || before?.get(variantId)?.price === price) continue;
+      entries.push(
+        entryFor(
+          previous ? "price_changed" : "product_created",
+          variantId,
+          price
+        )
+      );
+    }
+
+    if (entries.length) {
+      await PriceHistory.insertMany(entries);
+    }
+  } catch (error) {
+    console.error("Error recording price history:", error);
+  }
+};
+
+module.exports = {
+  getCampaignStatus,
+  loadActiveCampaigns,
+  getEffectiveOffer,
+  withEffectiveOffer,
+  snapshotPrices,
+  recordPriceChanges,
+};
@@ -0,0 +1,121 @@
+const Order = require("../models/Order");
+const { ADMIN } = require("../middleware/auth");
+const { restoreStock } = require("./inventory");
+const { issueInvoice } = require("./invoices");
+const { releaseCoupon } = require("./coupons");
+
+const ORDER_STATUSES = [
+  "Pending",
+  "Processing",
+  "Shipped",
+  "Delivered",
+  "Cancelled",
+  "Returned",
+  "Refunded",
+];
+
+// Statuses an order may move to from each status, by who moves it. Shipped
+// goods have left the warehouse, so a shipped order can't be cancelled (and
+// restocked); customers may only cancel orders nobody has started on.
+// Returned and Refunded are only reached through return requests.
+const ORDER_TRANSITIONS = {
+  [ADMIN]: {
+    Pending: ["Processing", "Cancelled"],
+    Processing: ["Shipped", "Cancelled"],
+    Shipped: ["Delivered"],
+  },
+  customer: {
+    Pending: ["Cancelled"],
+  },
+};
+
+// Statuses `user` may move `order` to next
+const getAllowedStatuses = (order, user) => {
+  let transitions = {};
+  if (user?.userRole === ADMIN) {
+    transitions = ORDER_TRANSITIONS[ADMIN];
+  } else if (user && order.user && order.user.toString() === user.id) {
+    transitions = ORDER_TRANSITIONS.customer;
+  }
+
+  return transitions[order.status] || [];
+};
+
+// Entry for the order's status history
+const historyEntry = (status, user, note) => ({
+  status,
+  at: new Date(),
+  actor: user
+    ? { id: user.id, username: user.username, userRole: user.userRole }
+    : undefined,
+  note: typeof note === "string" && note.trim() ? note.trim() : undefined,
+});
+
+// Move `order` to `status` on behalf of `user`, with any other `updates`
+// to apply alongside. The caller checks the transition is allowed. Returns
+// the updated order, or null when its status changed in the meantime, so
+// an order can't be cancelled (and its stock restored) twice.
+const changeOrderStatus = async (order, status, user, note, updates = {}) => {
+  const entry = historyEntry(status, user, note);
+  const $set = { ...updates, status };
+  if (status === "Delivered") {
+    $set.deliveryDate = entry.at;
+  }
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    { $set, $push: { statusHistory: entry } },
+    { new: true, runValidators: true }
+  );
+  if (!updatedOrder) return null;
+
+  // Cancelled orders give their stock and coupon redemption back
+  if (status === "Cancelled") {
+    for (const item of updatedOrder.items) {
+      await restoreStock(item, {
+        reason: "order_cancelled",
+        order: updatedOrder._id,
+      });
+    }
+    if (updatedOrder.coupon?.coupon) {
+      await releaseCoupon(updatedOrder.coupon.coupon, updatedOrder._id);
+    }
+  }
+
+  // Shipped orders are invoiced; a failure here is retried when the
+  // invoice is first downloaded
+  if (status === "Shipped") {
+    try {
+      await issueInvoice(updatedOrder._id);
+    } catch (error) {
+      console.error(
+        `Error issuing invoice of order ${updatedOrder._id}:`,
+        error
+      );
+    }
+  }
+
+  return updatedOrder;
+};
+
+// What the customer sees of an order's progress: who moved it is reduced
+// to whether it was them or the store
+const getTrackingTimeline = (order) =>
+  order.statusHistory.map((entry) => ({
+    status: entry.status,
+    at: entry.at,
+    by:
+      entry.actor?.username && entry.actor.username === order.username
+        ? "customer"
+        : "store",
+    note: entry.note,
+  }));
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  getAllowedStatuses,
+  historyEntry,
+  changeOrderStatus,
+  getTrackingTimeline,
+};
@@ -0,0 +1,201 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const {
+  findVariant,
+  getUnitPrice,
+  takeStock,
+  returnStock,
+} = require("./inventory");
+const { loadActiveCampaigns, getEffectiveOffer } = require("./offers");
+const { historyEntry } = require("./orderStatus");
+const { buildQuote } = require("./pricing");
+const { findCoupon, claimCoupon, releaseCoupon } = require("./coupons");
+
+// Key of an order or cart line: the same product in another variant is a
+// different line
+const lineKey = (productId, variantId) => `${productId}:${variantId || ""}`;
+
+// Check the items against the current catalog, price the order with the
+// checkout pricing engine, redeem its coupon, take the items out of stock
+// and save the order. `holds` maps line keys to stock a cart hold has
+// already set aside for the customer; only the remainder is taken here. If
+// anything fails, stock and the coupon redemption taken by this call are
+// given back and the error is rethrown.
+const placeOrder = async (user, details, holds = new Map()) => {
+  const {
+    fullName,
+    email,
+    phone,
+    items,
+    totalAmount,
+    address,
+    paymentMethod,
+    couponCode,
+  } = details;
+  const taken = [];
+  let claimedCoupon = null;
+  // Known up front so stock movements can point at the order
+  const orderId = new mongoose.Types.ObjectId();
+
+  try {
+    const campaigns = await loadActiveCampaigns();
+    const lines = [];
+    const toTake = [];
+
+    for (const item of items) {
+      const product = await Product.findById(item._id);
+      if (!product || product.archivedAt) {
+        throw new Error(`Product not found: ${item.name}`);
+      }
+
+      // Products sold in variants need the chosen variant on the item
+      const variant = findVariant(product, item.variantId);
+      if (product.variants.length && !variant) {
+        throw new Error(`Please choose a variant of ${item.name}`);
+      }
+
+      // A hold can take the last unit, which marks the product sold out;
+      // fully held lines are still good
+      const key = lineKey(item._id, variant?._id);
+      const held = Math.min(holds.get(key) || 0, item.quantity);
+      holds.set(key, (holds.get(key) || 0) - held);
+      if (held < item.quantity) {
+        if (product.status !== "Available") {
+          throw new Error(`Product ${item.name} is currently not available`);
+        }
+
+        if (variant?.status === "Not Available") {
+          throw new Error(
+            `Variant ${variant.sku} of ${item.name} is currently not available`
+          );
+        }
+      }
+
+      // The offer must be the one the catalog shows right now, sale
+      // campaigns included
+      const unitPrice = getUnitPrice(product, variant);
+      const { offer, campaign } = getEffectiveOffer(
+        product,
+        unitPrice,
+        campaigns
+      );
+      if (unitPrice !== item.price || offer !== item.offer) {
+        throw new Error(`Price or offer mismatch for ${item.name}`);
+      }
+      item.saleCampaign = campaign?._id;
+
+      // Keep a snapshot of what was bought on the order item
+      if (variant) {
+        item.variantId = variant._id.toString();
+        item.sku = variant.sku;
+        item.attributes = Object.fromEntries(variant.attributes);
+      } else {
+        delete item.variantId;
+      }
+
+      lines.push({
+        product,
+        variant,
+        quantity: item.quantity,
+        price: unitPrice,
+        offer,
+      });
+      toTake.push({ item, quantity: item.quantity - held });
+    }
+
+    // The total must include the coupon, shipping, fees and any tax added
+    // on top, exactly as POST /quote showed them
+    const coupon = couponCode ? await findCoupon(couponCode) : null;
+    const quote = await buildQuote(lines, {
+      address,
+      paymentMethod,
+      coupon,
+      user,
+    });
+    if (Math.abs(quote.total - totalAmount) > 0.01) {
+      throw new Error(
+        `Total amount calculation mismatch, expected ${quote.total}`
+      );
+    }
+    items.forEach((item, index) => {
+      item.hsnCode = quote.items[index].hsnCode;
+      item.gstRate = quote.items[index].gstRate;
+      item.couponDiscount = quote.items[index].couponDiscount;
+    });
+
+    if (coupon) {
+      await claimCoupon(coupon, user, orderId);
+      claimedCoupon = coupon._id;
+    }
+
+    for (const { item, quantity } of toTake) {
+      if (quantity > 0) {
+        await takeStock(item._id, item.variantId, quantity, {
+          reason: "order",
+          order: orderId,
+        });
+        taken.push({ item, quantity });
+      }
+    }
+
+    const deliveryDate = new Date();
+    deliveryDate.setDate(deliveryDate.getDate() + 5);
+
+    const order = new Order({
+      _id: orderId,
+      user: user.id,
+      username: user.username,
+      fullName: fullName.trim(),
+      email: email.trim().toLowerCase(),
+      phone: phone.trim(),
+      items,
+      totalAmount: quote.total,
+      pricing: {
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        couponDiscount: quote.coupon?.discount || 0,
+        shippingZone: quote.shipping.zone,
+        shippingCharge: quote.shipping.charge,
+        codFee: quote.codFee,
+        tax: quote.tax,
+        taxIncluded: quote.taxIncluded,
+      },
+      coupon: quote.coupon && {
+        coupon: quote.coupon._id,
+        code: quote.coupon.code,
+        discount: quote.coupon.discount,
+      },
+      address,
+      paymentMethod,
+      deliveryDate,
+      status: "Pending",
+      statusHistory: [historyEntry("Pending", user)],
+      orderDate: new Date(),
+    });
+
+    await order.save();
+    return order;
+  } catch (error) {
+    for (const { item, quantity } of taken) {
+      try {
+        await returnStock(item._id, item.variantId, quantity, {
+          reason: "order_failed",
+          order: orderId,
+        });
+      } catch (restoreError) {
+        console.error("Error restoring product quantity:", restoreError);
+      }
+    }
+    if (claimedCoupon) {
+      try {
+        await releaseCoupon(claimedCoupon, orderId);
+      } catch (releaseError) {
+        console.error("Error releasing coupon redemption:", releaseError);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = { lineKey, placeOrder };
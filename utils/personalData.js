@@ -0,0 +1,248 @@
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Applicant = require("../models/Applicant");
+const DonateMoney = require("../models/DonateMoney");
+const DonateProduct = require("../models/DonateProduct");
+const RefreshToken = require("../models/RefreshToken");
+const UserToken = require("../models/UserToken");
+const LoginAttempt = require("../models/LoginAttempt");
+const Review = require("../models/Review");
+const Cart = require("../models/Cart");
+const ReturnRequest = require("../models/ReturnRequest");
+const Invoice = require("../models/Invoice");
+const AuditLog = require("../models/AuditLog");
+const { withRequestContext } = require("../middleware/requestContext");
+const { refreshProductRating } = require("./reviews");
+const { releaseHold } = require("./cart");
+const { removeStoredImages } = require("./images");
+
+const ERASED = "[erased]";
+
+// Records outside the User document that provably belong to the user:
+// everything linked to the account, orders and return requests from before
+// they were linked by username, and orders and job applications by email
+// once the user has verified it. Phone numbers are never verified, so
+// donations only count when made while signed in.
+const linkedRecordQueries = (user) => {
+  const email = user.email.toLowerCase();
+  const byEmail = user.isVerified ? [{ user: null, email }] : [];
+
+  return {
+    orders: {
+      $or: [
+        { user: user._id },
+        { user: null, username: user.username },
+        ...byEmail,
+      ],
+    },
+    applicants: user.isVerified ? { email } : { _id: { $in: [] } },
+    donations: { user: user._id },
+    returns: {
+      $or: [{ user: user._id }, { user: null, username: user.username }],
+    },
+  };
+};
+
+// Everything we hold about a user, as a plain object ready to serialise
+const collectPersonalData = async (userId) => {
+  const user = await User.findById(userId).select("-password -tokenVersion");
+  if (!user) return null;
+
+  const queries = linkedRecordQueries(user);
+  const [
+    orders,
+    applications,
+    moneyDonations,
+    productDonations,
+    sessions,
+    reviews,
+    cart,
+    returnRequests,
+  ] = await Promise.all([
+    Order.find(queries.orders).select("-__v").lean(),
+    Applicant.find(queries.applicants)
+      .populate("companyId", "name")
+      .populate("jobId", "title")
+      .select("-__v")
+      .lean(),
+    DonateMoney.find(queries.donations).select("-__v").lean(),
+    DonateProduct.find(queries.donations).select("-__v").lean(),
+    RefreshToken.find({ user: user._id })
+      .select("createdAt expiresAt revokedAt createdByIp userAgent")
+      .lean(),
+    Review.find({ user: user._id })
+      .select("-__v -helpfulVoters -flags")
+      .populate("product", "name")
+      .lean(),
+    Cart.findOne({ user: user._id }).select("items updatedAt").lean(),
+    ReturnRequest.find(queries.returns)
+      .select("-__v -statusHistory.actor")
+      .lean(),
+  ]);
+
+  const invoices = await Invoice.find({
+    order: { $in: orders.map((order) => order._id) },
+  })
+    .select("-__v")
+    .lean();
+
+  return {
+    exportedAt: new Date(),
+    account: user.toObject(),
+    orders,
+    applications,
+    donations: { money: moneyDonations, products: productDonations },
+    sessions,
+    reviews,
+    cart,
+    returnRequests,
+    invoices,
+  };
+};
+
+// Delete a user and everything that only exists because of them. Orders
+// and donations are kept for accounting but stripped of personal details;
+// the shipping state stays on orders as it decides how tax was charged.
+// Issued invoices are tax records and are kept as they are.
+//
+// The erasure itself is not audited, as the entries would hold the very
+// details being erased. Existing entries about the user's records lose their
+// snapshots and the ones the user made themselves are anonymised.
+const erasePersonalData = (userId) =>
+  withRequestContext({ audit: false, erasingPersonalData: true }, () =>
+    eraseUser(userId)
+  );
+
+const eraseUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const queries = linkedRecordQueries(user);
+  const anonymousId = `deleted-${user._id}`;
+
+  const linkedIds = await Promise.all([
+    Order.distinct("_id", queries.orders),
+    Applicant.distinct("_id", queries.applicants),
+    DonateMoney.distinct("_id", queries.donations),
+    DonateProduct.distinct("_id", queries.donations),
+    ReturnRequest.distinct("_id", queries.returns),
+    Review.distinct("_id", { user: user._id }),
+    Cart.distinct("_id", { user: user._id }),
+  ]);
+  const auditedIds = [user._id, ...linkedIds.flat()].map(String);
+
+  const [orders, applications, moneyDonations, productDonations] =
+    await Promise.all([
+      Order.updateMany(
+        queries.orders,
+        {
+          $set: {
+            username: anonymousId,
+            fullName: ERASED,
+            email: `${anonymousId}@erased.invalid`,
+            phone: ERASED,
+            "address.street": ERASED,
+            "address.city": ERASED,
+            "address.postalCode": ERASED,
+            "statusHistory.$[own].actor.username": anonymousId,
+          },
+          $unset: { user: "", notes: "", "statusHistory.$[own].actor.id": "" },
+        },
+        { arrayFilters: [{ "own.actor.id": user._id }] }
+      ),
+      Applicant.deleteMany(queries.applicants),
+      DonateMoney.updateMany(queries.donations, {
+        $set: { name: ERASED, phone: ERASED },
+        $unset: { user: "" },
+      }),
+      DonateProduct.updateMany(queries.donations, {
+        $set: { name: ERASED, phone: ERASED },
+        $unset: { user: "" },
+      }),
+      RefreshToken.deleteMany({ user: user._id }),
+      UserToken.deleteMany({ user: user._id }),
+      LoginAttempt.deleteMany({
+        key: `account:${user.email.trim().toLowerCase()}`,
+      }),
+    ]);
+
+  // Reviews are the user's own words, so they go entirely; their votes and
+  // reports on other reviews are withdrawn
+  const reviewedProducts = await Review.distinct("product", {
+    user: user._id,
+  });
+  const reviews = await Review.deleteMany({ user: user._id });
+  await Review.updateMany(
+    { helpfulVoters: user._id },
+    { $pull: { helpfulVoters: user._id }, $inc: { helpfulCount: -1 } }
+  );
+  await Review.updateMany(
+    { "flags.user": user._id },
+    { $pull: { flags: { user: user._id } } }
+  );
+  for (const productId of reviewedProducts) {
+    await refreshProductRating(productId);
+  }
+
+  // Return requests are kept for accounting without the customer's photos
+  // and own words
+  const returnRequests = await ReturnRequest.find(queries.returns).select(
+    "photos"
+  );
+  await removeStoredImages(returnRequests.flatMap((request) => request.photos));
+  const returns = await ReturnRequest.updateMany(
+    queries.returns,
+    {
+      $set: {
+        username: anonymousId,
+        photos: [],
+        reason: ERASED,
+        "statusHistory.$[own].actor.username": anonymousId,
+      },
+      $unset: {
+        user: "",
+        description: "",
+        "statusHistory.$[own].actor.id": "",
+        "statusHistory.$[own].note": "",
+      },
+    },
+    { arrayFilters: [{ "own.actor.id": user._id }] }
+  );
+
+  // Held cart stock goes back on the shelf before the cart is dropped
+  const cart = await Cart.findOne({ user: user._id });
+  if (cart) {
+    for (const item of cart.items) {
+      await releaseHold(cart, item);
+    }
+    await cart.deleteOne();
+  }
+
+  await User.deleteOne({ _id: user._id });
+
+  await AuditLog.updateMany(
+    { targetId: { $in: auditedIds } },
+    {
+      $set: { erasedAt: new Date() },
+      $unset: { before: "", after: "", changes: "" },
+    }
+  );
+  await AuditLog.updateMany(
+    { "actor.id": user._id },
+    {
+      $set: { "actor.username": anonymousId },
+      $unset: { "actor.id": "", ip: "", path: "" },
+    }
+  );
+
+  return {
+    ordersAnonymised: orders.modifiedCount,
+    applicationsDeleted: applications.deletedCount,
+    donationsAnonymised:
+      moneyDonations.modifiedCount + productDonations.modifiedCount,
+    reviewsDeleted: reviews.deletedCount,
+    returnRequestsAnonymised: returns.modifiedCount,
+  };
+};
+
+module.exports = { collectPersonalData, erasePersonalData };
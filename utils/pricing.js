@@ -0,0 +1,246 @@
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const ShippingZone = require("../models/ShippingZone");
+const { findVariant, getUnitPrice } = require("./inventory");
+const { loadActiveCampaigns, getEffectiveOffer } = require("./offers");
+const { findCoupon, evaluateCoupon } = require("./coupons");
+
+// Prices an order the same way for quotes and for placing it: items at
+// their offer less any coupon, shipping by zone, a COD fee and GST.
+// Catalog prices include GST unless PRICES_INCLUDE_TAX is "false", in
+// which case it is added on top.
+
+// GST slabs a category can be taxed at
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX !== "false";
+const DEFAULT_GST_RATE = Number(process.env.DEFAULT_GST_RATE ?? 18);
+const COD_FEE = Number(process.env.COD_FEE) || 0;
+const DEFAULT_ITEM_WEIGHT_GRAMS =
+  Number(process.env.DEFAULT_ITEM_WEIGHT_GRAMS) || 500;
+// Shipping and the COD fee are taxed as courier services
+const SHIPPING_GST_RATE = Number(process.env.SHIPPING_GST_RATE ?? 18);
+const SHIPPING_SAC_CODE = "9968";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// HSN code and GST rate of a category, inherited from the closest parent
+// that sets them
+const getTaxClass = async (categoryId) => {
+  const taxClass = {};
+  let category = categoryId && (await Category.findById(categoryId));
+
+  while (category) {
+    taxClass.hsnCode ??= category.hsnCode || undefined;
+    if (typeof category.gstRate === "number") {
+      taxClass.gstRate ??= category.gstRate;
+    }
+    if (taxClass.hsnCode && taxClass.gstRate !== undefined) break;
+
+    category = category.parent && (await Category.findById(category.parent));
+  }
+
+  return {
+    hsnCode: taxClass.hsnCode,
+    gstRate: taxClass.gstRate ?? DEFAULT_GST_RATE,
+  };
+};
+
+// Taxable value, tax and total of an amount charged at a GST rate
+const splitTax = (amount, gstRate, taxIncluded = PRICES_INCLUDE_TAX) => {
+  if (taxIncluded) {
+    const taxableValue = roundMoney(amount / (1 + gstRate / 100));
+    return {
+      taxableValue,
+      tax: roundMoney(amount - taxableValue),
+      total: roundMoney(amount),
+    };
+  }
+
+  const tax = roundMoney(amount * (gstRate / 100));
+  return { taxableValue: amount, tax, total: roundMoney(amount + tax) };
+};
+
+// The zone shipping to a postal code. Null when no zones are set up, in
+// which case shipping is free.
+const findShippingZone = async (postalCode) => {
+  const zones = await ShippingZone.find({ enabled: true });
+  if (!zones.length) return null;
+
+  const code = String(postalCode).replace(/\s/g, "");
+  let best = null;
+  let bestLength = -1;
+  for (const zone of zones) {
+    for (const prefix of zone.postalCodePrefixes) {
+      if (code.startsWith(prefix) && prefix.length > bestLength) {
+        best = zone;
+        bestLength = prefix.length;
+      }
+    }
+  }
+
+  best ||= zones.find((zone) => zone.isDefault);
+  if (!best) {
+    throw new Error(`We don't ship to postal code ${postalCode} yet`);
+  }
+  return best;
+};
+
+// Charge of a zone for a parcel of `weight` grams and `quantity` units
+const getShippingCharge = (zone, weight, quantity) => {
+  const amount = zone.basis === "quantity" ? quantity : weight;
+  const rates = [...zone.rates].sort((a, b) => a.upTo - b.upTo);
+  if (!rates.length) return 0;
+
+  const rate = rates.find((candidate) => amount <= candidate.upTo);
+  if (rate) return rate.charge;
+
+  const highest = rates[rates.length - 1];
+  const extraSteps = zone.extraStep
+    ? Math.ceil((amount - highest.upTo) / zone.extraStep)
+    : 0;
+  return highest.charge + extraSteps * (zone.extraCharge || 0);
+};
+
+// Price lines of { product, variant, quantity, price, offer } that were
+// already checked against the catalog, for delivery to `address`. A
+// `coupon` is checked for `user` and throws when it can't be used.
+const buildQuote = async (
+  lines,
+  { address, paymentMethod, coupon, user = null }
+) => {
+  const items = [];
+  let weight = 0;
+  let quantity = 0;
+
+  const couponDiscount = coupon
+    ? await evaluateCoupon(coupon, user, lines)
+    : { discount: 0, lineDiscounts: lines.map(() => 0) };
+
+  for (const [index, line] of lines.entries()) {
+    const { product, variant } = line;
+    const { hsnCode, gstRate } = await getTaxClass(product.category);
+    const grossAmount = roundMoney(line.price * line.quantity);
+    const discountAmount = roundMoney(grossAmount * (line.offer / 100));
+    const lineCouponDiscount = couponDiscount.lineDiscounts[index];
+
+    items.push({
+      _id: product._id.toString(),
+      variantId: variant?._id.toString(),
+      name: product.name,
+      quantity: line.quantity,
+      price: line.price,
+      offer: line.offer,
+      grossAmount,
+      discountAmount,
+      couponDiscount: lineCouponDiscount,
+      hsnCode,
+      gstRate,
+      ...splitTax(grossAmount - discountAmount - lineCouponDiscount, gstRate),
+    });
+
+    weight +=
+      (variant?.weight ?? product.weight ?? DEFAULT_ITEM_WEIGHT_GRAMS) *
+      line.quantity;
+    quantity += line.quantity;
+  }
+
+  const sum = (list, field) =>
+    roundMoney(list.reduce((total, entry) => total + entry[field], 0));
+  const subtotal = sum(items, "grossAmount");
+  const discount = sum(items, "discountAmount");
+
+  const zone = await findShippingZone(address.postalCode);
+  const freeShipping =
+    !zone ||
+    (typeof zone.freeShippingThreshold === "number" &&
+      subtotal - discount - couponDiscount.discount >=
+        zone.freeShippingThreshold);
+  const shippingCharge = freeShipping
+    ? 0
+    : getShippingCharge(zone, weight, quantity);
+  const codFee = paymentMethod === "COD" ? COD_FEE : 0;
+
+  const shipping = splitTax(shippingCharge, SHIPPING_GST_RATE);
+  const cod = splitTax(codFee, SHIPPING_GST_RATE);
+  const itemsTax = sum(items, "tax");
+
+  return {
+    items,
+    subtotal,
+    discount,
+    coupon: coupon
+      ? {
+          _id: coupon._id,
+          code: coupon.code,
+          discount: couponDiscount.discount,
+        }
+      : null,
+    // Charges before any GST added on top
+    shipping: {
+      zone: zone?.name,
+      weight,
+      free: freeShipping,
+      charge: shippingCharge,
+    },
+    codFee,
+    tax: roundMoney(itemsTax + shipping.tax + cod.tax),
+    taxIncluded: PRICES_INCLUDE_TAX,
+    total: roundMoney(sum(items, "total") + shipping.total + cod.total),
+  };
+};
+
+// Price lines for items of { _id, variantId, quantity }, checked against
+// the catalog and at its current prices
+const loadQuoteLines = async (items) => {
+  const campaigns = await loadActiveCampaigns();
+  const lines = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item._id);
+    if (!product || product.archivedAt) {
+      throw new Error(`Product not found: ${item._id}`);
+    }
+
+    const variant = findVariant(product, item.variantId);
+    if (product.variants.length && !variant) {
+      throw new Error(`Please choose a variant of ${product.name}`);
+    }
+
+    const price = getUnitPrice(product, variant);
+    lines.push({
+      product,
+      variant,
+      quantity: item.quantity,
+      price,
+      offer: getEffectiveOffer(product, price, campaigns).offer,
+    });
+  }
+
+  return lines;
+};
+
+// Quote items of { _id, variantId, quantity } at current catalog prices,
+// with the coupon of `couponCode` when given
+const quoteOrder = async (
+  { items, address, paymentMethod, couponCode },
+  user = null
+) =>
+  buildQuote(await loadQuoteLines(items), {
+    address,
+    paymentMethod,
+    coupon: couponCode ? await findCoupon(couponCode) : null,
+    user,
+  });
+
+module.exports = {
+  GST_RATES,
+  SHIPPING_GST_RATE,
+  SHIPPING_SAC_CODE,
+  roundMoney,
+  getTaxClass,
+  splitTax,
+  buildQuote,
+  loadQuoteLines,
+  quoteOrder,
+};
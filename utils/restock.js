@@ -0,0 +1,107 @@
+const Category = require("../models/Category");
+const Notification = require("../models/Notification");
+const Order = require("../models/Order");
+const { notify } = require("./notifier");
+
+const SALES_LOOKBACK_DAYS = Number(process.env.REORDER_LOOKBACK_DAYS) || 30;
+const REORDER_COVER_DAYS = Number(process.env.REORDER_COVER_DAYS) || 30;
+
+// The product's own threshold, else its category's; null when neither is set
+const getReorderThreshold = async (product) => {
+  if (typeof product.reorderThreshold === "number") {
+    return product.reorderThreshold;
+  }
+
+  const category = await Category.findById(product.category).select(
+    "reorderThreshold"
+  );
+  return typeof category?.reorderThreshold === "number"
+    ? category.reorderThreshold
+    : null;
+};
+
+// Units of a product sold in orders that were not cancelled
+const getRecentSales = async (productId, days = SALES_LOOKBACK_DAYS) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const id = productId.toString();
+
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        orderDate: { $gte: since },
+        status: { $ne: "Cancelled" },
+        "items._id": id,
+      },
+    },
+    { $unwind: "$items" },
+    { $match: { "items._id": id } },
+    { $group: { _id: null, sold: { $sum: "$items.quantity" } } },
+  ]);
+
+  return result ? result.sold : 0;
+};
+
+// Enough stock to cover REORDER_COVER_DAYS of sales at the recent rate on
+// top of the threshold, and never less than the threshold itself
+const suggestReorderQuantity = (currentQuantity, threshold, recentSales) => {
+  const dailySales = recentSales / SALES_LOOKBACK_DAYS;
+  const target = threshold + Math.ceil(dailySales * REORDER_COVER_DAYS);
+  return Math.max(target - currentQuantity, threshold, 1);
+};
+
+// Raise a low-stock alert when stock of `product` (already reflecting the
+// change) went from above its threshold to at or below it. Alerting must
+// never fail the stock change, so errors are only logged.
+const checkReorderLevel = async (product, previousQuantity) => {
+  try {
+    if (product.quantity >= previousQuantity) return;
+
+    const threshold = await getReorderThreshold(product);
+    if (
+      threshold === null ||
+      previousQuantity <= threshold ||
+      product.quantity > threshold
+    ) {
+      return;
+    }
+
+    const recentSales = await getRecentSales(product._id);
+    const suggestedQuantity = suggestReorderQuantity(
+      product.quantity,
+      threshold,
+      recentSales
+    );
+
+    const notification = await Notification.create({
+      type: "low_stock",
+      title: `Low stock: ${product.name}`,
+      message:
+        `${product.name} is down to ${product.quantity} ` +
+        `(reorder threshold ${threshold}). ${recentSales} sold in the last ` +
+        `${SALES_LOOKBACK_DAYS} days; suggested reorder: ${suggestedQuantity}.`,
+      product: product._id,
+      data: {
+        quantity: product.quantity,
+        threshold,
+        recentSales,
+        lookbackDays: SALES_LOOKBACK_DAYS,
+        suggestedQuantity,
+      },
+    });
+
+    // Sent in the background: a slow mail server or webhook must not hold
+    // up the order or hold that took the stock
+    notify(notification.toObject()).catch((error) =>
+      console.error("Error sending low stock notification:", error)
+    );
+  } catch (error) {
+    console.error("Error checking reorder level:", error);
+  }
+};
+
+module.exports = {
+  getReorderThreshold,
+  getRecentSales,
+  suggestReorderQuantity,
+  checkReorderLevel,
+};
@@ -0,0 +1,178 @@
+const Order = require("../models/Order");
+const ReturnRequest = require("../models/ReturnRequest");
+const { lineKey } = require("./orders");
+const { historyEntry, changeOrderStatus } = require("./orderStatus");
+const { roundMoney, splitTax } = require("./pricing");
+
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+// Longest a return request submission may hold its order's lock
+const RETURN_LOCK_MS = 30 * 1000;
+
+// Requests in these statuses no longer claim any units of the order
+const CLOSED_UNCLAIMED = ["Rejected", "Cancelled"];
+
+// Statuses a return request moves through. Exchanges end in Exchanged and
+// returns in Refunded.
+const RETURN_TRANSITIONS = {
+  Requested: ["Approved", "Rejected", "Cancelled"],
+  Approved: ["Received"],
+  Received: ["Refunded", "Exchanged"],
+};
+
+// When the order was delivered, from its status history when it has one
+const getDeliveredAt = (order) => {
+  const delivered = [...(order.statusHistory || [])]
+    .reverse()
+    .find((entry) => entry.status === "Delivered");
+  return delivered?.at || order.deliveryDate;
+};
+
+// Last moment a return can be requested for a delivered order
+const getReturnDeadline = (order) => {
+  const deliveredAt = getDeliveredAt(order);
+  return deliveredAt
+    ? new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+    : null;
+};
+
+// What the customer paid per unit of an order item: after its offer and
+// its share of any coupon, plus GST when that was added on top of prices
+const getPaidUnitPrice = (order, item) => {
+  const gross = item.price * item.quantity;
+  const net =
+    gross - gross * ((item.offer || 0) / 100) - (item.couponDiscount || 0);
+  const paid =
+    order.pricing?.taxIncluded === false
+      ? splitTax(net, item.gstRate || 0, false).total
+      : net;
+  return roundMoney(paid / item.quantity);
+};
+
+// Most that can be refunded for the received units of a return request
+const getRefundableAmount = (order, request) =>
+  roundMoney(
+    request.items.reduce((sum, item) => {
+      const orderItem = order.items.find(
+        (candidate) =>
+          lineKey(candidate._id, candidate.variantId) ===
+          lineKey(item.product, item.variantId)
+      );
+      const unitPrice = orderItem
+        ? getPaidUnitPrice(order, orderItem)
+        : item.unitPrice;
+      return sum + unitPrice * (item.receivedQuantity || 0);
+    }, 0)
+  );
+
+// Units of every order line that no other return request has claimed yet,
+// keyed by line key
+const getReturnableQuantities = async (order) => {
+  const requests = await ReturnRequest.find({
+    order: order._id,
+    status: { $nin: CLOSED_UNCLAIMED },
+  }).select("items");
+
+  const returnable = new Map();
+  for (const item of order.items) {
+    const key = lineKey(item._id, item.variantId);
+    returnable.set(key, (returnable.get(key) || 0) + item.quantity);
+  }
+  for (const request of requests) {
+    for (const item of request.items) {
+      const key = lineKey(item.product, item.variantId);
+      returnable.set(key, (returnable.get(key) || 0) - item.quantity);
+    }
+  }
+
+  return returnable;
+};
+
+// Run fn(order) while holding the order's return lock, so requests for the
+// same order are submitted one at a time and can't both claim the units
+// getReturnableQuantities found. The lock lapses by itself should the
+// process die holding it. Returns false, without running fn, when another
+// submission holds the lock.
+const withReturnLock = async (orderId, fn) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + RETURN_LOCK_MS);
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      $or: [{ returnLockedUntil: null }, { returnLockedUntil: { $lte: now } }],
+    },
+    { $set: { returnLockedUntil: lockedUntil } },
+    { new: true }
+  );
+  if (!order) return false;
+
+  try {
+    await fn(order);
+  } finally {
+    await Order.updateOne(
+      { _id: orderId, returnLockedUntil: lockedUntil },
+      { $unset: { returnLockedUntil: "" } }
+    );
+  }
+  return true;
+};
+
+// Move a return request to `status` on behalf of `user`, with any other
+// `updates` to apply alongside. Returns the updated request, or null when
+// its status changed in the meantime.
+const changeReturnStatus = (request, status, user, note, updates = {}) =>
+  ReturnRequest.findOneAndUpdate(
+    { _id: request._id, status: request.status },
+    {
+      $set: { ...updates, status },
+      $push: { statusHistory: historyEntry(status, user, note) },
+    },
+    { new: true, runValidators: true }
+  );
+
+// Once every unit of an order has come back it is Returned, and once all
+// of those returns are refunded it is Refunded
+const settleReturnedOrder = async (orderId, user) => {
+  let order = await Order.findById(orderId);
+  if (!order || !["Delivered", "Returned"].includes(order.status)) return;
+
+  const returns = await ReturnRequest.find({
+    order: order._id,
+    type: "return",
+    status: { $in: ["Received", "Refunded"] },
+  });
+  const orderedUnits = order.items.reduce(
+    (sum, item) => sum + item.quantity,
+    0
+  );
+  const returnedUnits = returns.reduce(
+    (sum, request) =>
+      sum +
+      request.items.reduce(
+        (itemSum, item) => itemSum + (item.receivedQuantity || 0),
+        0
+      ),
+    0
+  );
+  if (returnedUnits < orderedUnits) return;
+
+  if (order.status === "Delivered") {
+    order = await changeOrderStatus(order, "Returned", user);
+    if (!order) return;
+  }
+
+  if (returns.every((request) => request.status === "Refunded")) {
+    await changeOrderStatus(order, "Refunded", user);
+  }
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  RETURN_TRANSITIONS,
+  getReturnDeadline,
+  getReturnableQuantities,
+  withReturnLock,
+  getPaidUnitPrice,
+  getRefundableAmount,
+  changeReturnStatus,
+  settleReturnedOrder,
+};
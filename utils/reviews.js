@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+
+// Recalculate a product's rating fields from its published reviews
+const refreshProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        status: "Published",
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: "$rating" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      $set: {
+        ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+        ratingCount: stats ? stats.count : 0,
+      },
+    }
+  );
+};
+
+// Most recent delivered order of the user that contains the product; one
+// returned since still counts. Older orders are only linked by username.
+const findDeliveredOrder = (user, productId) =>
+  Order.findOne({
+    status: { $in: ["Delivered", "Returned", "Refunded"] },
+    "items._id": String(productId),
+    $or: [{ user: user.id }, { username: user.username }],
+  })
+    .sort({ deliveryDate: -1 })
+    .select("_id");
+
+module.exports = { refreshProductRating, findDeliveredOrder };
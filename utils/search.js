@@ -0,0 +1,136 @@
+// Catalog search helpers. Matching and ranking run in the app rather than
+// in MongoDB so that small typos can be tolerated.
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Lower-cased words with Latin accents stripped; keeps any script
+const tokenize = (text = "") =>
+  text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+
+// Edit distance between two words, counting a swap of neighbouring letters
+// as one edit. Gives up once the distance exceeds max.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Short words must match exactly; longer ones may have one or two typos
+const allowedTypos = (term) =>
+  term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2;
+
+// How well a search term matches a list of words, from 0 to 1
+const matchTerm = (term, words) => {
+  let best = 0;
+  for (const word of words) {
+    if (word === term) return 1;
+    if (term.length >= 2 && word.startsWith(term)) {
+      best = Math.max(best, 0.8);
+      continue;
+    }
+
+    const typos = allowedTypos(term);
+    if (typos && editDistance(term, word, typos) <= typos) {
+      best = Math.max(best, 0.6);
+    }
+  }
+  return best;
+};
+
+// Regex source matching text a term could score against: any three
+// letters in a row of it, or the whole term when it is shorter. Only
+// misspellings without three correct letters in a row are missed, so this
+// can narrow the catalog in MongoDB before scoring.
+const candidatePattern = (term) => {
+  if (term.length <= 3) return escapeRegex(term);
+
+  const grams = new Set();
+  for (let i = 0; i + 3 <= term.length; i++) {
+    grams.add(escapeRegex(term.slice(i, i + 3)));
+  }
+  return [...grams].join("|");
+};
+
+// Field weights: a hit in the name counts more than one in the description
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 };
+
+// Relevance of a product for the query terms, or 0 when any term is
+// missing from every field
+const scoreProduct = (fields, terms) => {
+  const words = Object.fromEntries(
+    Object.keys(FIELD_WEIGHTS).map((field) => [field, tokenize(fields[field])])
+  );
+
+  let score = 0;
+  for (const term of terms) {
+    const termScore = Math.max(
+      ...Object.entries(FIELD_WEIGHTS).map(
+        ([field, weight]) => weight * matchTerm(term, words[field])
+      )
+    );
+    if (!termScore) return 0;
+    score += termScore;
+  }
+
+  // Reward names containing the whole query as typed
+  if (terms.length > 1 && words.name.join(" ").includes(terms.join(" "))) {
+    score += FIELD_WEIGHTS.name;
+  }
+
+  return score;
+};
+
+// Facet buckets; `max` is exclusive
+const PRICE_BANDS = [
+  { label: "Under 500", min: 0, max: 500 },
+  { label: "500 - 1000", min: 500, max: 1000 },
+  { label: "1000 - 2500", min: 1000, max: 2500 },
+  { label: "2500 - 5000", min: 2500, max: 5000 },
+  { label: "5000 and above", min: 5000 },
+];
+
+// Offer facets overlap, matching the minOffer filter
+const OFFER_RANGES = [
+  { label: "10% and above", min: 10 },
+  { label: "25% and above", min: 25 },
+  { label: "50% and above", min: 50 },
+];
+
+const inRange = (value, { min = 0, max = Infinity }) =>
+  value >= min && value < max;
+
+module.exports = {
+  escapeRegex,
+  tokenize,
+  candidatePattern,
+  scoreProduct,
+  PRICE_BANDS,
+  OFFER_RANGES,
+  inRange,
+};
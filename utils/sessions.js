@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+const { signToken } = require("../middleware/auth");
+const { hashToken, generateToken } = require("./hash");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Store a new refresh token for the user and return the raw value
+const createRefreshToken = async (user, req, family) => {
+  const token = generateToken(48);
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt,
+    createdByIp: req?.ip,
+    userAgent: req?.get?.("user-agent"),
+  });
+
+  return token;
+};
+
+// Issue an access token and a fresh refresh token family (a new login)
+const issueSession = async (user, req) => ({
+  token: signToken(user),
+  refreshToken: await createRefreshToken(user, req),
+});
+
+// Exchange a refresh token for a new pair. Each refresh token is single
+// use and is claimed atomically, so of two concurrent calls only one wins;
+// presenting one that was already rotated revokes its whole family.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } },
+    { new: true }
+  );
+
+  if (!stored) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known?.revokedAt) {
+      await RefreshToken.updateMany(
+        { family: known.family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+    return null;
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user) {
+    return null;
+  }
+
+  const nextToken = await createRefreshToken(user, req, stored.family);
+  await RefreshToken.updateOne(
+    { _id: stored._id },
+    { $set: { replacedBy: hashToken(nextToken) } }
+  );
+
+  return { user, token: signToken(user), refreshToken: nextToken };
+};
+
+// Revoke a single refresh token (logout on one device)
+const revokeRefreshToken = async (refreshToken) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// End every session of a user: outstanding access tokens stop verifying
+// because the token version changes, and all refresh tokens are revoked.
+// Resolves to the updated user document.
+const revokeAllSessions = async (userId) => {
+  const [user] = await Promise.all([
+    User.findByIdAndUpdate(
+      userId,
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    ),
+    RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ),
+  ]);
+  return user;
+};
+
+module.exports = {
+  issueSession,
+  rotateSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+};
@@ -0,0 +1,63 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const UPLOAD_DIR =
+  process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads");
+const UPLOAD_BASE_URL = (process.env.UPLOAD_BASE_URL || "/uploads").replace(
+  /\/$/,
+  ""
+);
+
+// Resolve a storage key inside UPLOAD_DIR, refusing keys that escape it
+const localPath = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+  if (!filePath.startsWith(path.resolve(UPLOAD_DIR) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Backends store files under a key such as "products/<id>/<name>.webp" and
+// implement save(key, buffer, contentType), remove(key) and url(key).
+// Register another one (S3, a CDN, ...) with registerStorageBackend.
+const backends = {
+  local: {
+    save: async (key, buffer) => {
+      const filePath = localPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    remove: async (key) => {
+      await fs.rm(localPath(key), { force: true });
+    },
+    url: (key) => `${UPLOAD_BASE_URL}/${key}`,
+  },
+};
+
+const registerStorageBackend = (name, backend) => {
+  backends[name] = backend;
+};
+
+const getStorageBackend = () => {
+  const name = process.env.STORAGE_BACKEND || "local";
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  return backend;
+};
+
+const saveFile = async (key, buffer, contentType) => {
+  const backend = getStorageBackend();
+  await backend.save(key, buffer, contentType);
+  return backend.url(key);
+};
+
+const removeFile = (key) => getStorageBackend().remove(key);
+
+module.exports = {
+  UPLOAD_DIR,
+  saveFile,
+  removeFile,
+  registerStorageBackend,
+};
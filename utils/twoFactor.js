@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { verifyTotp } = require("./totp");
+const { hashToken } = require("./hash");
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields holding second-factor secrets, which are not selected by default
+const TWO_FACTOR_SECRETS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// Fresh recovery codes: the plain values for the user, hashes for storage
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashToken) };
+};
+
+// Check a TOTP code or a single-use recovery code against a user loaded
+// with TWO_FACTOR_SECRETS and spend it in the same conditional update, so
+// of two concurrent requests with one code only one gets through. Resolves
+// to true when the code was accepted; the user document is left as loaded.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const { twoFactor } = user;
+  if (!twoFactor?.enabled || !twoFactor.secret) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyTotp(twoFactor.secret, code, twoFactor.lastUsedStep);
+    if (step === null) return false;
+
+    // Only moves forward, past the step of the code being used
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        "twoFactor.enabled": true,
+        $or: [
+          { "twoFactor.lastUsedStep": null },
+          { "twoFactor.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        "twoFactor.enabled": true,
+        "twoFactor.recoveryCodes": hash,
+      },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  return false;
+};
+
+module.exports = {
+  TWO_FACTOR_SECRETS,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
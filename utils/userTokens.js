@@ -0,0 +1,42 @@
+const UserToken = require("../models/UserToken");
+const { hashToken, generateToken } = require("./hash");
+
+// Lifetime of each token type, in minutes
+const TOKEN_TTL_MINUTES = {
+  EMAIL_VERIFICATION: 24 * 60,
+  PASSWORD_RESET: 30,
+};
+
+// Create a token of the given type for a user and return the raw value.
+// Any earlier unused token of the same type stops working.
+const createUserToken = async (userId, type) => {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES[type] * 60000);
+
+  await UserToken.deleteMany({ user: userId, type, usedAt: null });
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt,
+  });
+
+  return token;
+};
+
+// Mark a token as used and resolve to its document, or null when the token
+// is unknown, expired or already used. The update is atomic so a token can
+// only be redeemed once even under concurrent requests.
+const consumeUserToken = (token, type) =>
+  UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+module.exports = { createUserToken, consumeUserToken };